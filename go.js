@@ -147,4 +147,101 @@ async function run() {
     .avif({ quality: 20, effort: 9 })
     .toFile(avifCompressedOut);
   console.log(`✔ avif (compressed q20): ${(fs.statSync(avifCompressedOut).size / 1024).toFixed(2)} KB`);
-}
\ No newline at end of file
+
+  // CSS delivery assets (background-image / image-set() / sprite sheet)
+  await buildRetinaVariants();
+  await buildSpriteSheets();
+
+  // Monochrome mask for the CSS mask-image icon
+  buildMaskAsset();
+
+  // Per-size raster assets for the icon size sweep
+  await buildSizedVariants();
+}
+
+// Standard-variant encoder settings per raster format, shared by the CSS delivery assets
+// so they differ from the <img> variants only in how they are delivered
+const rasterFormats = [
+  { ext: 'png',  encode: (p) => p.png({ compressionLevel: 6 }) },
+  { ext: 'webp', encode: (p) => p.webp({ quality: 80 }) },
+  { ext: 'avif', encode: (p) => p.avif({ quality: 50 }) },
+  { ext: 'jpg',  encode: (p) => p.flatten({ background: '#ffffff' }).jpeg({ quality: 90 }) },
+  { ext: 'gif',  encode: (p) => p.gif() }
+];
+
+// Sprite sheet layout — keep in sync with spriteColumns / spriteCells in the format pages
+const SPRITE_ICON_SIZE = 48;
+const SPRITE_COLUMNS = 4;
+const SPRITE_ROWS = 4;
+
+// 2× (96×96) variants for image-set(); PNG already has remix_circle_icon_2x.png above
+async function buildRetinaVariants() {
+  for (const f of rasterFormats.filter(format => format.ext !== 'png')) {
+    const out = path.join(imgDir, `remix_circle_icon_2x.${f.ext}`);
+    await f.encode(sharp(input).resize(96, 96)).toFile(out);
+    console.log(`✔ ${f.ext} (high-dpi 96×96): ${(fs.statSync(out).size / 1024).toFixed(2)} KB`);
+  }
+}
+
+// Sprite sheets (4×4 grid of 48×48 cells) addressed with background-position.
+// Every cell holds the same icon; the benchmark cycles through cells so each icon
+// still resolves a different position, as it would with a real multi-icon sheet.
+async function buildSpriteSheets() {
+  const cell = await sharp(input).resize(SPRITE_ICON_SIZE, SPRITE_ICON_SIZE).png().toBuffer();
+  const composites = [];
+  for (let row = 0; row < SPRITE_ROWS; row++) {
+    for (let col = 0; col < SPRITE_COLUMNS; col++) {
+      composites.push({ input: cell, left: col * SPRITE_ICON_SIZE, top: row * SPRITE_ICON_SIZE });
+    }
+  }
+  const sheet = await sharp({
+    create: {
+      width: SPRITE_COLUMNS * SPRITE_ICON_SIZE,
+      height: SPRITE_ROWS * SPRITE_ICON_SIZE,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    }
+  }).composite(composites).png().toBuffer();
+
+  for (const f of rasterFormats) {
+    const out = path.join(imgDir, `remix_circle_icon_spritesheet.${f.ext}`);
+    await f.encode(sharp(sheet)).toFile(out);
+    console.log(`✔ ${f.ext} (sprite sheet ${SPRITE_COLUMNS}×${SPRITE_ROWS}): ${(fs.statSync(out).size / 1024).toFixed(2)} KB`);
+  }
+}
+
+// Icon size sweep — keep in sync with SIZED_ASSET_SIZES in src/js/stress-test-manager.js
+const SWEEP_SIZES = [16, 24, 32, 48, 64, 128, 256];
+const SWEEP_DENSITIES = [1, 2];
+
+// Raster variants rendered at each sweep size and density from the SVG source, so a raster
+// technique at N px is measured with an N px asset instead of a rescaled 48px one.
+// Written to img/sizes/remix_circle_icon_<size>_<density>x.<ext> (the pages' sizedSrc template).
+async function buildSizedVariants() {
+  const sizesDir = path.join(imgDir, 'sizes');
+  fs.mkdirSync(sizesDir, { recursive: true });
+  for (const size of SWEEP_SIZES) {
+    for (const density of SWEEP_DENSITIES) {
+      const pixels = size * density;
+      for (const f of rasterFormats) {
+        const out = path.join(sizesDir, `remix_circle_icon_${size}_${density}x.${f.ext}`);
+        await f.encode(sharp(input, { density: Math.max(72, Math.ceil(72 * pixels / 48)) }).resize(pixels, pixels)).toFile(out);
+      }
+    }
+    console.log(`✔ sized variants ${size}px (1x, 2x × ${rasterFormats.length} formats)`);
+  }
+}
+
+// Glyph-only SVG for mask-image: the source's path data on a transparent square, without the
+// gradient circle. Only alpha matters to a mask, so the fill colour is irrelevant; the page
+// supplies the colour through background-color: currentColor.
+function buildMaskAsset() {
+  const source = fs.readFileSync(input, 'utf8');
+  const glyph = source.match(/<path[^>]*\sd="([^"]+)"/);
+  if (!glyph) throw new Error(`No <path d="…"> found in ${input}`);
+  // Square viewBox centred on the glyph (x 12–36, y 13–31) so mask-size: contain keeps it centred
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="12 10 24 24"><path d="${glyph[1]}" fill="#000"/></svg>\n`;
+  const out = path.join(imgDir, 'remix_code_slash_mask.svg');
+  fs.writeFileSync(out, svg);
+  console.log(`✔ svg (mask glyph): ${(fs.statSync(out).size / 1024).toFixed(2)} KB`);
+}
@@ -41,9 +41,12 @@ const SOURCE_TO_TESTS = {
   'src/avif.html':         ['tests/format-pages.test.js'],
 
   // JS modules
-  'src/js/i18n.js':                ['tests/i18n.test.js', 'tests/i18n-selectors.test.js', 'tests/i18n-locale.test.js'],
-  'src/js/system-specs.js':        ['tests/system-specs.test.js'],
-  'src/js/stress-test-manager.js': ['tests/stress-test-manager.test.js', 'tests/css.test.js'],
+  'src/js/i18n.js':                  ['tests/i18n.test.js', 'tests/i18n-selectors.test.js', 'tests/i18n-locale.test.js'],
+  'src/js/system-specs.js':          ['tests/system-specs.test.js'],
+  'src/js/stress-test-manager.js':   ['tests/stress-test-manager.test.js', 'tests/css.test.js', 'tests/measurement-options.test.js', 'tests/statistics.test.js'],
+  'src/js/offscreen-icon-worker.js': ['tests/measurement-options.test.js'],
+  'src/js/test-presets.js':          ['tests/stress-test-manager.test.js', 'tests/measurement-options.test.js', 'tests/past-results.test.js'],
+  'src/js/statistics.js':            ['tests/statistics.test.js', 'tests/stress-test-manager.test.js'],
 
   // Locale files → i18n tests
   'src/locales/': ['tests/i18n.test.js', 'tests/i18n-selectors.test.js', 'tests/i18n-locale.test.js'],
@@ -70,6 +73,8 @@ const ALL_TEST_FILES = [
   'tests/i18n-locale.test.js',
   'tests/system-specs.test.js',
   'tests/stress-test-manager.test.js',
+  'tests/measurement-options.test.js',
+  'tests/statistics.test.js',
 ];
 
 // How many "cold" test files to add per commit via rotation
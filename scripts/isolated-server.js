@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * Cross-Origin Isolated Development Server
+ *
+ * Serves src/ with COOP/COEP headers so pages run cross-origin isolated, which
+ * unlocks high-resolution performance.now() (browsers otherwise coarsen it to
+ * 100µs–1ms) and performance.measureUserAgentSpecificMemory().
+ *
+ * Isolation (COEP: require-corp) blocks cross-origin subresources that don't
+ * opt in, so CDN assets (Tailwind, Chart.js, Remix Icon CSS and fonts) are
+ * proxied through /vendor/<host>/<path>.  Absolute CDN URLs in served HTML are
+ * rewritten to that prefix; relative URLs inside proxied CSS (font files)
+ * resolve under it automatically.  Proxied responses are cached on disk in
+ * scripts/.vendor-cache so later runs work offline.
+ *
+ * Usage:
+ *   node scripts/isolated-server.js              # http://localhost:3001
+ *   node scripts/isolated-server.js --port 4000
+ *   PORT=4000 node scripts/isolated-server.js
+ *   node scripts/isolated-server.js --host 0.0.0.0  # expose on the network
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..', 'src');
+const CACHE_DIR = path.resolve(__dirname, '.vendor-cache');
+const VENDOR_PREFIX = '/vendor/';
+
+// Hosts the pages load assets from; anything else is left untouched
+const VENDOR_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'simpsonconcepts.com'];
+
+const ISOLATION_HEADERS = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp',
+  'Cross-Origin-Resource-Policy': 'same-origin',
+};
+
+const MIME_TYPES = {
+  '.html':  'text/html; charset=utf-8',
+  '.js':    'text/javascript; charset=utf-8',
+  '.css':   'text/css; charset=utf-8',
+  '.json':  'application/json; charset=utf-8',
+  '.svg':   'image/svg+xml',
+  '.png':   'image/png',
+  '.jpg':   'image/jpeg',
+  '.jpeg':  'image/jpeg',
+  '.gif':   'image/gif',
+  '.webp':  'image/webp',
+  '.avif':  'image/avif',
+  '.ico':   'image/x-icon',
+  '.woff':  'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf':   'font/ttf',
+  '.eot':   'application/vnd.ms-fontobject',
+  '.txt':   'text/plain; charset=utf-8',
+};
+
+function parsePort() {
+  const idx = process.argv.indexOf('--port');
+  if (idx !== -1 && process.argv[idx + 1]) return parseInt(process.argv[idx + 1], 10);
+  return parseInt(process.env.PORT, 10) || 3001;
+}
+
+// Loopback only unless asked otherwise: the proxy writes upstream responses to disk
+function parseHost() {
+  const idx = process.argv.indexOf('--host');
+  if (idx !== -1 && process.argv[idx + 1]) return process.argv[idx + 1];
+  return process.env.HOST || '127.0.0.1';
+}
+
+// ── HTML rewriting ───────────────────────────────────────────────────
+
+const CDN_URL_PATTERN = new RegExp(
+  `https://(${VENDOR_HOSTS.map(h => h.replace(/\./g, '\\.')).join('|')})(?=[/"'?])`, 'g'
+);
+
+function rewriteHtml(html) {
+  return html.replace(CDN_URL_PATTERN, (_, host) => `${VENDOR_PREFIX}${host}`);
+}
+
+// ── Static files ─────────────────────────────────────────────────────
+
+function send(res, status, headers, body) {
+  res.writeHead(status, { ...ISOLATION_HEADERS, ...headers });
+  res.end(body);
+}
+
+function serveStatic(req, res, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    // Malformed percent-escapes (e.g. /%E0%A4%A) throw URIError
+    send(res, 400, { 'Content-Type': 'text/plain' }, 'Bad request');
+    return;
+  }
+  let filePath = path.join(ROOT, decoded);
+  // A plain prefix check would also accept siblings such as src-evil/
+  if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+    send(res, 403, { 'Content-Type': 'text/plain' }, 'Forbidden');
+    return;
+  }
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  }
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      send(res, 404, { 'Content-Type': 'text/plain' }, 'Not found');
+      return;
+    }
+    const ext = path.extname(filePath).toLowerCase();
+    const body = ext === '.html' ? rewriteHtml(data.toString('utf8')) : data;
+    send(res, 200, {
+      'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+    }, body);
+  });
+}
+
+// ── CDN proxy ────────────────────────────────────────────────────────
+
+function cachePaths(host, rest) {
+  // Query strings (e.g. Tailwind's ?plugins=) are part of the cache key.  The key is
+  // hashed so no part of the request path can reach the filesystem; the meta file
+  // records the original URL.
+  const key = crypto.createHash('sha256').update(rest).digest('hex');
+  const base = path.resolve(CACHE_DIR, host, key);
+  if (!base.startsWith(CACHE_DIR + path.sep)) return null;
+  return { body: `${base}.body`, meta: `${base}.meta.json` };
+}
+
+async function serveVendor(req, res, pathname, search) {
+  const [host, ...parts] = pathname.slice(VENDOR_PREFIX.length).split('/');
+  if (!VENDOR_HOSTS.includes(host)) {
+    send(res, 404, { 'Content-Type': 'text/plain' }, `Unknown vendor host: ${host}`);
+    return;
+  }
+  const rest = `/${parts.join('/')}${search}`;
+  const cached = cachePaths(host, rest);
+  if (!cached) {
+    send(res, 403, { 'Content-Type': 'text/plain' }, 'Forbidden');
+    return;
+  }
+
+  // Proxied responses are same-origin from the page's point of view
+  const vendorHeaders = (contentType) => ({
+    'Content-Type': contentType,
+    'Cache-Control': 'public, max-age=86400',
+  });
+
+  if (fs.existsSync(cached.body) && fs.existsSync(cached.meta)) {
+    const meta = JSON.parse(fs.readFileSync(cached.meta, 'utf8'));
+    send(res, 200, vendorHeaders(meta.contentType), fs.readFileSync(cached.body));
+    return;
+  }
+
+  try {
+    const upstream = await fetch(`https://${host}${rest}`, { redirect: 'follow' });
+    if (!upstream.ok) {
+      send(res, upstream.status, { 'Content-Type': 'text/plain' }, `Upstream ${upstream.status} for ${host}${rest}`);
+      return;
+    }
+    const contentType = upstream.headers.get('content-type') || 'application/octet-stream';
+    const body = Buffer.from(await upstream.arrayBuffer());
+    fs.mkdirSync(path.dirname(cached.body), { recursive: true });
+    fs.writeFileSync(cached.body, body);
+    fs.writeFileSync(cached.meta, JSON.stringify({ url: upstream.url, contentType }, null, 2));
+    send(res, 200, vendorHeaders(contentType), body);
+  } catch (error) {
+    console.error(`  ✗ ${host}${rest}: ${error.message}`);
+    send(res, 502, { 'Content-Type': 'text/plain' }, `Could not fetch ${host}${rest} (offline and not cached)`);
+  }
+}
+
+// ── Server ───────────────────────────────────────────────────────────
+
+function main() {
+  const port = parsePort();
+  const host = parseHost();
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (url.pathname.startsWith(VENDOR_PREFIX)) {
+      serveVendor(req, res, url.pathname, url.search).catch((error) => {
+        // e.g. a corrupt cache meta file or an unreadable cached body
+        console.error(`  ✗ ${url.pathname}: ${error.message}`);
+        if (!res.headersSent) {
+          send(res, 500, { 'Content-Type': 'text/plain' }, 'Internal server error');
+        } else {
+          res.end();
+        }
+      });
+    } else {
+      serveStatic(req, res, url.pathname);
+    }
+  });
+
+  server.listen(port, host, () => {
+    console.log('\n🔒 Cross-origin isolated server');
+    console.log(`   Serving ${path.relative(process.cwd(), ROOT) || '.'} at http://${host === '127.0.0.1' ? 'localhost' : host}:${port}`);
+    console.log(`   CDN assets proxied via ${VENDOR_PREFIX}<host>/ (cache: ${path.relative(process.cwd(), CACHE_DIR)})`);
+    console.log('   Press Ctrl+C to stop\n');
+  });
+}
+
+main();
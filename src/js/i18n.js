@@ -130,7 +130,9 @@ class I18n {
         
         elements.forEach(element => {
             const key = element.getAttribute('data-i18n');
-            const translation = this.translate(key);
+            // {{placeholder}} values that come from code, e.g. a preset's counts
+            const params = element.hasAttribute('data-i18n-params') ? JSON.parse(element.getAttribute('data-i18n-params')) : {};
+            const translation = this.translate(key, params);
             
             console.log('🌍 Translating:', key, '→', translation);
             
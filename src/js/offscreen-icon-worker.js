@@ -0,0 +1,32 @@
+/**
+ * OffscreenCanvas Icon Worker
+ * Backs the 'offscreen-canvas' render type in stress-test-manager.js.
+ * Receives the decoded icon bitmap once, draws each batch off the main thread,
+ * and transfers the finished frame back as an ImageBitmap.
+ */
+let iconBitmap = null;
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'init') {
+        iconBitmap = data.bitmap;
+        return;
+    }
+
+    if (data.type === 'render') {
+        if (!iconBitmap) {
+            self.postMessage({ id: data.id, error: 'Worker received a render request before its icon bitmap' });
+            return;
+        }
+
+        const canvas = new OffscreenCanvas(data.width, data.height);
+        const ctx = canvas.getContext('2d');
+        for (let i = 0; i < data.iconCount; i++) {
+            const x = (i % data.columns) * data.pitch + data.inset;
+            const y = Math.floor(i / data.columns) * data.pitch + data.inset;
+            ctx.drawImage(iconBitmap, x, y, data.size, data.size);
+        }
+
+        const bitmap = canvas.transferToImageBitmap();
+        self.postMessage({ id: data.id, bitmap }, [bitmap]);
+    }
+};
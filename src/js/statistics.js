@@ -0,0 +1,684 @@
+/**
+ * Statistics Module
+ * Distribution functions, rank-based two-sample tests, bootstrap intervals, multiple-
+ * comparison adjustments, omnibus tests and sample-size planning for the stats engine in
+ * stress-test-manager.js. Plain functions (no DOM access) so they can be checked against
+ * published golden values.
+ */
+
+// Iteration cap and relative tolerance for the incomplete beta continued fraction; it needs
+// O(√max(a, b)) terms, so even 10⁶ samples converge well within the cap
+const BETA_MAX_ITERATIONS = 10000;
+const BETA_EPSILON = 1e-15;
+const BETA_FPMIN = 1e-300;
+
+// ── Student t distribution ───────────────────────────────────────────
+
+// Lanczos approximation (g = 7, n = 9), accurate to ~15 significant digits for x > 0
+const LANCZOS_COEFFICIENTS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(x) {
+    if (x < 0.5) {
+        // Reflection formula keeps the series in its accurate range
+        return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+    x -= 1;
+    let sum = LANCZOS_COEFFICIENTS[0];
+    for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+        sum += LANCZOS_COEFFICIENTS[i] / (x + i);
+    }
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction for I_x(a, b), evaluated with the modified Lentz method
+function betaContinuedFraction(x, a, b) {
+    const qab = a + b;
+    const qap = a + 1;
+    const qam = a - 1;
+    let c = 1;
+    let d = 1 - qab * x / qap;
+    if (Math.abs(d) < BETA_FPMIN) d = BETA_FPMIN;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= BETA_MAX_ITERATIONS; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < BETA_FPMIN) d = BETA_FPMIN;
+        c = 1 + aa / c;
+        if (Math.abs(c) < BETA_FPMIN) c = BETA_FPMIN;
+        d = 1 / d;
+        h *= d * c;
+        aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < BETA_FPMIN) d = BETA_FPMIN;
+        c = 1 + aa / c;
+        if (Math.abs(c) < BETA_FPMIN) c = BETA_FPMIN;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < BETA_EPSILON) break;
+    }
+    return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b) for a, b > 0 and 0 ≤ x ≤ 1.
+ * The continued fraction converges fastest below (a + 1) / (a + b + 2); above it
+ * the symmetry I_x(a, b) = 1 − I_{1−x}(b, a) is used instead.
+ */
+function regularizedIncompleteBeta(x, a, b) {
+    if (Number.isNaN(x) || !(a > 0) || !(b > 0) || x < 0 || x > 1) return NaN;
+    if (x === 0 || x === 1) return x;
+    const logFront = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+    if (x < (a + 1) / (a + b + 2)) {
+        return Math.exp(logFront) * betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - Math.exp(logFront) * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// P(|T| ≥ |t|) for Student's t with df degrees of freedom; computed directly rather than
+// as 1 − CDF so very small p-values keep their precision
+function studentTTwoTailedP(t, df) {
+    if (Number.isNaN(t) || !(df > 0)) return NaN;
+    if (!Number.isFinite(t)) return 0;
+    return regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// P(T ≤ t) for Student's t with df degrees of freedom
+function studentTCDF(t, df) {
+    if (Number.isNaN(t) || !(df > 0)) return NaN;
+    const tail = studentTTwoTailedP(t, df) / 2;
+    return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Quantile of Student's t: the t with studentTCDF(t, df) = p. Solved by bisection on the
+ * upper tail, which is monotone in t; the bracket is doubled until it contains the root,
+ * so extreme quantiles at df = 1 (the Cauchy distribution) are found too.
+ */
+function studentTQuantile(p, df) {
+    if (Number.isNaN(p) || !(df > 0) || p < 0 || p > 1) return NaN;
+    if (p === 0) return -Infinity;
+    if (p === 1) return Infinity;
+    if (p === 0.5) return 0;
+
+    const tail = p > 0.5 ? 1 - p : p;
+    const upperTail = (t) => studentTTwoTailedP(t, df) / 2;
+    let lower = 0;
+    let upper = 1;
+    while (upperTail(upper) > tail) {
+        lower = upper;
+        upper *= 2;
+    }
+    for (let i = 0; i < 200 && upper - lower > 1e-14 * upper; i++) {
+        const middle = (lower + upper) / 2;
+        if (upperTail(middle) > tail) {
+            lower = middle;
+        } else {
+            upper = middle;
+        }
+    }
+    const t = (lower + upper) / 2;
+    return p > 0.5 ? t : -t;
+}
+
+// ── Normal distribution ──────────────────────────────────────────────
+
+// Complementary error function (Chebyshev fit, fractional error below 1.2e-7 everywhere)
+function erfc(x) {
+    const z = Math.abs(x);
+    const t = 1 / (1 + 0.5 * z);
+    const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? r : 2 - r;
+}
+
+function normalCDF(x) {
+    return 0.5 * erfc(-x / Math.SQRT2);
+}
+
+// Inverse of normalCDF (Acklam's rational approximation, relative error below 1.2e-9)
+function normalQuantile(p) {
+    if (Number.isNaN(p) || p < 0 || p > 1) return NaN;
+    if (p === 0) return -Infinity;
+    if (p === 1) return Infinity;
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const pLow = 0.02425;
+    if (p < pLow || p > 1 - pLow) {
+        const q = Math.sqrt(-2 * Math.log(p < pLow ? p : 1 - p));
+        const x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        return p < pLow ? x : -x;
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// ── Rank-based two-sample tests ──────────────────────────────────────
+
+// Mid-ranks (1-based, ties share their average rank) plus Σ(t³ − t) over tie groups
+function rankWithTies(values) {
+    const order = values.map((value, index) => index).sort((i, j) => values[i] - values[j]);
+    const ranks = new Array(values.length);
+    let tieCorrection = 0;
+    for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+        const rank = (start + end) / 2 + 1;
+        for (let k = start; k <= end; k++) ranks[order[k]] = rank;
+        const ties = end - start + 1;
+        tieCorrection += ties * ties * ties - ties;
+        start = end + 1;
+    }
+    return { ranks, tieCorrection };
+}
+
+/**
+ * Mann–Whitney U test (two-sided) with the tie-corrected normal approximation and a
+ * continuity correction. `u` counts pairs with x > y (ties count half), so
+ * u / (n₁·n₂) estimates P(X > Y) + ½·P(X = Y).
+ */
+function mannWhitneyU(x, y) {
+    const n1 = x.length;
+    const n2 = y.length;
+    if (n1 === 0 || n2 === 0) return null;
+    const n = n1 + n2;
+    const { ranks, tieCorrection } = rankWithTies([...x, ...y]);
+    let rankSumX = 0;
+    for (let i = 0; i < n1; i++) rankSumX += ranks[i];
+    const u = rankSumX - n1 * (n1 + 1) / 2;
+    const mean = n1 * n2 / 2;
+    const variance = n1 * n2 / 12 * ((n + 1) - tieCorrection / (n * (n - 1)));
+    if (!(variance > 0)) {
+        return { u, z: 0, pValue: 1 };
+    }
+    const difference = u - mean;
+    const z = (difference - 0.5 * Math.sign(difference)) / Math.sqrt(variance);
+    return { u, z, pValue: Math.min(1, erfc(Math.abs(z) / Math.SQRT2)) };
+}
+
+/**
+ * Brunner–Munzel test (two-sided): a rank test of P(X > Y) + ½·P(X = Y) = ½ that, unlike
+ * Mann–Whitney, stays valid when the two samples have different spreads or shapes. Uses
+ * the t approximation with Satterthwaite-style degrees of freedom. `probabilityGreater`
+ * is the estimated P(X > Y) + ½·P(X = Y).
+ */
+function brunnerMunzel(x, y) {
+    const n1 = x.length;
+    const n2 = y.length;
+    if (n1 < 2 || n2 < 2) return null;
+    const combined = rankWithTies([...x, ...y]).ranks;
+    const withinX = rankWithTies(x).ranks;
+    const withinY = rankWithTies(y).ranks;
+    let rankSumX = 0;
+    for (let i = 0; i < n1; i++) rankSumX += combined[i];
+    const totalRank = (n1 + n2) * (n1 + n2 + 1) / 2;
+    const meanRankX = rankSumX / n1;
+    const meanRankY = (totalRank - rankSumX) / n2;
+
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n1; i++) {
+        varianceX += Math.pow(combined[i] - withinX[i] - meanRankX + (n1 + 1) / 2, 2) / (n1 - 1);
+    }
+    for (let j = 0; j < n2; j++) {
+        varianceY += Math.pow(combined[n1 + j] - withinY[j] - meanRankY + (n2 + 1) / 2, 2) / (n2 - 1);
+    }
+
+    // Rank sums are exact (half-integers), so complete separation gives exactly 0 or 1 here
+    const probabilityGreater = (rankSumX - n1 * (n1 + 1) / 2) / (n1 * n2);
+    const spread = n1 * varianceX + n2 * varianceY;
+    if (probabilityGreater === 0 || probabilityGreater === 1 || !(spread > 0)) {
+        // Complete separation (or identical samples): the placement variances vanish and the
+        // statistic is unbounded, so the test is reported as decided rather than approximated
+        return { statistic: null, df: null, pValue: probabilityGreater === 0.5 ? 1 : 0, probabilityGreater };
+    }
+    const statistic = n1 * n2 * (meanRankX - meanRankY) / ((n1 + n2) * Math.sqrt(spread));
+    const df = spread * spread /
+        (Math.pow(n1 * varianceX, 2) / (n1 - 1) + Math.pow(n2 * varianceY, 2) / (n2 - 1));
+    return { statistic, df, pValue: studentTTwoTailedP(statistic, df), probabilityGreater };
+}
+
+// Cliff's delta P(X > Y) − P(X < Y), with Romano et al.'s magnitude thresholds
+function cliffsDelta(x, y) {
+    const test = mannWhitneyU(x, y);
+    if (!test) return null;
+    const delta = 2 * test.u / (x.length * y.length) - 1;
+    const size = Math.abs(delta);
+    const magnitude = size < 0.147 ? 'negligible' : size < 0.33 ? 'small' : size < 0.474 ? 'medium' : 'large';
+    return { delta, magnitude };
+}
+
+// ── Bootstrap ────────────────────────────────────────────────────────
+
+// mulberry32: small, fast and fully determined by its 32-bit seed
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Linear-interpolated quantile of an ascending array (same definition as the manager's)
+function sortedQuantile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const base = Math.floor(position);
+    const rest = position - base;
+    return sorted[base + 1] !== undefined ? sorted[base] + rest * (sorted[base + 1] - sorted[base]) : sorted[base];
+}
+
+function sortedMedian(sorted) {
+    const n = sorted.length;
+    return n % 2 === 0 ? (sorted[n / 2 - 1] + sorted[n / 2]) / 2 : sorted[Math.floor(n / 2)];
+}
+
+// Leave-one-out estimates of the mean and median (median from the sorted sample in O(1) each)
+function jackknifeEstimates(sorted) {
+    const n = sorted.length;
+    const sum = sorted.reduce((total, value) => total + value, 0);
+    const without = (i, k) => (k < i ? sorted[k] : sorted[k + 1]);
+    const m = n - 1;
+    const means = new Float64Array(n);
+    const medians = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        means[i] = (sum - sorted[i]) / m;
+        medians[i] = m % 2 === 0 ? (without(i, m / 2 - 1) + without(i, m / 2)) / 2 : without(i, (m - 1) / 2);
+    }
+    return { means, medians };
+}
+
+function bcaAcceleration(jackknife) {
+    const mean = jackknife.reduce((total, value) => total + value, 0) / jackknife.length;
+    let squares = 0;
+    let cubes = 0;
+    for (const value of jackknife) {
+        const d = mean - value;
+        squares += d * d;
+        cubes += d * d * d;
+    }
+    return squares > 0 ? cubes / (6 * Math.pow(squares, 1.5)) : 0;
+}
+
+function bootstrapInterval(estimate, replicates, jackknife, level) {
+    const sorted = Float64Array.from(replicates).sort();
+    const alpha = (1 - level) / 2;
+    const percentile = { lower: sortedQuantile(sorted, alpha), upper: sortedQuantile(sorted, 1 - alpha) };
+
+    // BCa: bias correction from the share of replicates below the estimate (ties count half)
+    let below = 0;
+    for (const value of sorted) {
+        if (value < estimate) below += 1;
+        else if (value === estimate) below += 0.5;
+    }
+    const z0 = normalQuantile(below / sorted.length);
+    let bca = null;
+    if (Number.isFinite(z0)) {
+        const a = bcaAcceleration(jackknife);
+        const adjust = (z) => normalCDF(z0 + (z0 + z) / (1 - a * (z0 + z)));
+        bca = {
+            lower: sortedQuantile(sorted, adjust(normalQuantile(alpha))),
+            upper: sortedQuantile(sorted, adjust(normalQuantile(1 - alpha)))
+        };
+    }
+    return { estimate, percentile, bca };
+}
+
+/**
+ * Percentile and BCa bootstrap confidence intervals for the mean and median, from one
+ * seeded set of resamples. Resamples are drawn as counts over the sorted sample, so each
+ * median is found in O(n) without sorting. `bca` is null when every replicate lies on
+ * one side of the estimate (the bias correction is then unbounded).
+ */
+function bootstrapConfidenceIntervals(values, { resamples = 2000, level = 0.95, seed = 1 } = {}) {
+    const n = values.length;
+    if (n < 2) return null;
+    const sorted = Float64Array.from(values).sort();
+    const random = createSeededRandom(seed);
+    const counts = new Uint32Array(n);
+    const means = new Float64Array(resamples);
+    const medians = new Float64Array(resamples);
+    const lowerTarget = Math.floor((n - 1) / 2); // 0-based order statistics of the median
+    const upperTarget = Math.floor(n / 2);
+
+    for (let b = 0; b < resamples; b++) {
+        counts.fill(0);
+        let sum = 0;
+        for (let k = 0; k < n; k++) {
+            const index = Math.floor(random() * n);
+            counts[index]++;
+            sum += sorted[index];
+        }
+        means[b] = sum / n;
+        let seen = 0;
+        let lower = null;
+        for (let i = 0; i < n; i++) {
+            seen += counts[i];
+            if (lower === null && seen > lowerTarget) lower = sorted[i];
+            if (seen > upperTarget) {
+                medians[b] = (lower + sorted[i]) / 2;
+                break;
+            }
+        }
+    }
+
+    const jackknife = jackknifeEstimates(sorted);
+    const mean = sorted.reduce((total, value) => total + value, 0) / n;
+    return {
+        resamples,
+        seed,
+        level,
+        mean: bootstrapInterval(mean, means, jackknife.means, level),
+        median: bootstrapInterval(sortedMedian(sorted), medians, jackknife.medians, level)
+    };
+}
+
+// ── Multiple comparisons ─────────────────────────────────────────────
+
+// Indices of the finite p-values in ascending order; NaN entries (untestable pairs) are
+// left out of the family, as R's p.adjust does with NA
+function orderedFinite(pValues) {
+    return pValues.map((p, index) => index).filter(index => Number.isFinite(pValues[index]))
+        .sort((i, j) => pValues[i] - pValues[j]);
+}
+
+// Holm–Bonferroni step-down adjustment (controls the family-wise error rate)
+function holmAdjust(pValues) {
+    const order = orderedFinite(pValues);
+    const adjusted = pValues.map(() => NaN);
+    let running = 0;
+    order.forEach((index, rank) => {
+        running = Math.max(running, Math.min(1, (order.length - rank) * pValues[index]));
+        adjusted[index] = running;
+    });
+    return adjusted;
+}
+
+// Benjamini–Hochberg step-up adjustment (controls the false discovery rate)
+function benjaminiHochbergAdjust(pValues) {
+    const order = orderedFinite(pValues);
+    const adjusted = pValues.map(() => NaN);
+    let running = 1;
+    for (let rank = order.length - 1; rank >= 0; rank--) {
+        const index = order[rank];
+        running = Math.min(running, order.length / (rank + 1) * pValues[index]);
+        adjusted[index] = running;
+    }
+    return adjusted;
+}
+
+// ── F, chi-squared and studentized range distributions ───────────────
+
+// Regularized upper incomplete gamma Q(a, x): the series for P below a + 1, the Lentz
+// continued fraction for Q above it (same tolerances as the incomplete beta)
+function regularizedGammaUpper(a, x) {
+    if (Number.isNaN(x) || !(a > 0)) return NaN;
+    if (x <= 0) return 1;
+    if (!Number.isFinite(x)) return 0;
+    const logFront = a * Math.log(x) - x - logGamma(a);
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n <= BETA_MAX_ITERATIONS; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * BETA_EPSILON) break;
+        }
+        return 1 - sum * Math.exp(logFront);
+    }
+    let b = x + 1 - a;
+    let c = 1 / BETA_FPMIN;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i <= BETA_MAX_ITERATIONS; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < BETA_FPMIN) d = BETA_FPMIN;
+        c = b + an / c;
+        if (Math.abs(c) < BETA_FPMIN) c = BETA_FPMIN;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < BETA_EPSILON) break;
+    }
+    return Math.exp(logFront) * h;
+}
+
+// P(X ≥ x) for the chi-squared distribution with df degrees of freedom
+function chiSquaredUpperTail(x, df) {
+    if (Number.isNaN(x) || !(df > 0)) return NaN;
+    return regularizedGammaUpper(df / 2, x / 2);
+}
+
+// P(X ≥ f) for the F distribution with (df1, df2) degrees of freedom
+function fUpperTail(f, df1, df2) {
+    if (Number.isNaN(f) || !(df1 > 0) || !(df2 > 0)) return NaN;
+    if (f <= 0) return 1;
+    if (!Number.isFinite(f)) return 0;
+    return regularizedIncompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+// Gauss–Legendre nodes and weights (positive half) for the studentized range integrals
+const LEGENDRE_12 = {
+    nodes: [0.981560634246719250690549090149, 0.904117256370474856678465866119, 0.769902674194304687036893833213,
+        0.587317954286617447296702418941, 0.367831498998180193752691536644, 0.125233408511468915472441369464],
+    weights: [0.047175336386511827194615961485, 0.106939325995318430960254718194, 0.160078328543346226334652529543,
+        0.203167426723065921749064455810, 0.233492536538354808760849898925, 0.249147045813402785000562436043]
+};
+const LEGENDRE_16 = {
+    nodes: [0.989400934991649932596154173450, 0.944575023073232576077988415535, 0.865631202387831743880467897712,
+        0.755404408355003033895101194847, 0.617876244402643748446671764049, 0.458016777657227386342419442984,
+        0.281603550779258913230460501460, 0.0950125098376374401853193354250],
+    weights: [0.0271524594117540948517805724560, 0.0622535239386478928628438369944, 0.0951585116824927848099251076022,
+        0.124628971255533872052476282192, 0.149595988816576732081501730547, 0.169156519395002538189312079030,
+        0.182603415044923588866763667969, 0.189450610455068496285396723208]
+};
+
+// P(range of k standard normals < w), by Hartley's form integrated over [w/2, 8]
+function normalRangeCDF(w, k) {
+    const half = w / 2;
+    if (half >= 8) return 1;
+    let probability = 2 * normalCDF(half) - 1;
+    probability = probability >= Math.exp(-50 / k) ? Math.pow(probability, k) : 0;
+
+    const intervals = w > 3 ? 2 : 3;
+    const width = (8 - half) / intervals;
+    let integral = 0;
+    for (let interval = 0; interval < intervals; interval++) {
+        const lowerBound = half + interval * width;
+        const center = lowerBound + width / 2;
+        let sum = 0;
+        for (const sign of [-1, 1]) {
+            LEGENDRE_12.nodes.forEach((node, index) => {
+                const x = center + sign * node * width / 2;
+                if (x * x > 60) return;
+                const inner = normalCDF(x) - normalCDF(x - w);
+                if (inner >= Math.exp(-30 / (k - 1))) {
+                    sum += LEGENDRE_12.weights[index] * Math.exp(-0.5 * x * x) * Math.pow(inner, k - 1);
+                }
+            });
+        }
+        integral += sum * width * k / Math.sqrt(2 * Math.PI);
+    }
+    probability += integral;
+    return probability >= 1 ? 1 : probability;
+}
+
+/**
+ * P(Q < q) for the studentized range of k means with df degrees of freedom (R's ptukey,
+ * after Copenhaver & Holland 1988): the normal-range CDF integrated against the
+ * distribution of s / σ with Gauss–Legendre quadrature.
+ */
+function studentizedRangeCDF(q, k, df) {
+    if (Number.isNaN(q) || !(k >= 2) || !(df >= 2)) return NaN;
+    if (q <= 0) return 0;
+    if (!Number.isFinite(q)) return 1;
+    if (df > 25000) return normalRangeCDF(q, k);
+
+    const step = df <= 100 ? 1 : df <= 800 ? 0.5 : df <= 5000 ? 0.25 : 0.125;
+    const halfDf = df / 2;
+    const logConstant = halfDf * Math.log(df) - df * Math.LN2 - logGamma(halfDf) + Math.log(step);
+    let total = 0;
+    for (let i = 1; i <= 50; i++) {
+        const center = (2 * i - 1) * step;
+        let sum = 0;
+        for (const sign of [-1, 1]) {
+            LEGENDRE_16.nodes.forEach((node, index) => {
+                const u = center + sign * node * step;
+                const logDensity = logConstant + (halfDf - 1) * Math.log(u) - u * df / 4;
+                if (logDensity < -30) return;
+                sum += LEGENDRE_16.weights[index] * Math.exp(logDensity) * normalRangeCDF(q * Math.sqrt(u / 2), k);
+            });
+        }
+        // At least one unit of s² is integrated so a small left tail is never cut short
+        if (i * step >= 1 && sum <= 1e-14) break;
+        total += sum;
+    }
+    return Math.min(1, total);
+}
+
+// ── Omnibus tests and post-hoc comparisons ───────────────────────────
+
+/**
+ * One-way Welch ANOVA over group summaries ({ mean, variance, n }), which does not assume
+ * equal variances. η² is the classic between-groups share of the total sum of squares.
+ * Null when fewer than two groups can be tested (n < 2 or zero variance).
+ */
+function welchAnova(groups) {
+    const k = groups.length;
+    if (k < 2 || groups.some(group => !(group.n >= 2) || !(group.variance > 0))) return null;
+    const weights = groups.map(group => group.n / group.variance);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const weightedMean = groups.reduce((sum, group, i) => sum + weights[i] * group.mean, 0) / totalWeight;
+    const between = groups.reduce((sum, group, i) => sum + weights[i] * Math.pow(group.mean - weightedMean, 2), 0) / (k - 1);
+    const lambda = groups.reduce((sum, group, i) => sum + Math.pow(1 - weights[i] / totalWeight, 2) / (group.n - 1), 0);
+    const statistic = between / (1 + 2 * (k - 2) * lambda / (k * k - 1));
+    const df1 = k - 1;
+    const df2 = (k * k - 1) / (3 * lambda);
+
+    const total = groups.reduce((sum, group) => sum + group.n, 0);
+    const grandMean = groups.reduce((sum, group) => sum + group.n * group.mean, 0) / total;
+    const sumOfSquaresBetween = groups.reduce((sum, group) => sum + group.n * Math.pow(group.mean - grandMean, 2), 0);
+    const sumOfSquaresWithin = groups.reduce((sum, group) => sum + (group.n - 1) * group.variance, 0);
+    return {
+        statistic,
+        df1,
+        df2,
+        pValue: fUpperTail(statistic, df1, df2),
+        etaSquared: sumOfSquaresBetween / (sumOfSquaresBetween + sumOfSquaresWithin)
+    };
+}
+
+/**
+ * Games–Howell post-hoc test for every pair of group summaries: Welch standard errors and
+ * degrees of freedom, with p-values from the studentized range of all k groups (so they
+ * are already adjusted for the family). `difference` is group j's mean minus group i's.
+ */
+function gamesHowell(groups) {
+    const k = groups.length;
+    const pairs = [];
+    for (let i = 0; i < k; i++) {
+        for (let j = i + 1; j < k; j++) {
+            const a = groups[i].variance / groups[i].n;
+            const b = groups[j].variance / groups[j].n;
+            const difference = groups[j].mean - groups[i].mean;
+            const statistic = Math.abs(difference) / Math.sqrt((a + b) / 2);
+            const df = Math.pow(a + b, 2) / (a * a / (groups[i].n - 1) + b * b / (groups[j].n - 1));
+            const pValue = Number.isFinite(statistic) && df >= 2
+                ? Math.max(0, 1 - studentizedRangeCDF(statistic, k, df)) : NaN;
+            pairs.push({ i, j, difference, statistic, df, pValue });
+        }
+    }
+    return pairs;
+}
+
+// Mid-ranks of the pooled samples, split back per sample, with the tie term and total size
+function pooledRanks(samples) {
+    const { ranks, tieCorrection } = rankWithTies(samples.flat());
+    let offset = 0;
+    const meanRanks = samples.map(sample => {
+        let sum = 0;
+        for (let i = 0; i < sample.length; i++) sum += ranks[offset + i];
+        offset += sample.length;
+        return sum / sample.length;
+    });
+    return { meanRanks, tieCorrection, total: offset };
+}
+
+/**
+ * Kruskal–Wallis H test (tie-corrected, chi-squared approximation) across samples, with
+ * the ε² effect size H / (N − 1). Null when fewer than two non-empty samples are given.
+ */
+function kruskalWallis(samples) {
+    if (samples.length < 2 || samples.some(sample => sample.length === 0)) return null;
+    const { meanRanks, tieCorrection, total } = pooledRanks(samples);
+    const df = samples.length - 1;
+    const correction = 1 - tieCorrection / (total * total * total - total);
+    if (!(correction > 0)) {
+        // Every value tied: no rank information at all
+        return { statistic: 0, df, pValue: 1, epsilonSquared: 0 };
+    }
+    const centered = samples.reduce((sum, sample, i) => sum + sample.length * Math.pow(meanRanks[i] - (total + 1) / 2, 2), 0);
+    const statistic = 12 * centered / (total * (total + 1)) / correction;
+    return { statistic, df, pValue: chiSquaredUpperTail(statistic, df), epsilonSquared: statistic / (total - 1) };
+}
+
+/**
+ * Dunn's post-hoc test for every pair of samples: tie-corrected z on the pooled mean ranks,
+ * two-sided normal p-values with Holm's adjustment over the family. Positive z means
+ * sample j ranks higher (slower) than sample i.
+ */
+function dunnTest(samples) {
+    const { meanRanks, tieCorrection, total } = pooledRanks(samples);
+    const variance = total * (total + 1) / 12 - tieCorrection / (12 * (total - 1));
+    const pairs = [];
+    for (let i = 0; i < samples.length; i++) {
+        for (let j = i + 1; j < samples.length; j++) {
+            const z = (meanRanks[j] - meanRanks[i]) / Math.sqrt(variance * (1 / samples[i].length + 1 / samples[j].length));
+            pairs.push({ i, j, z, pValue: Number.isFinite(z) ? Math.min(1, erfc(Math.abs(z) / Math.SQRT2)) : NaN });
+        }
+    }
+    const holm = holmAdjust(pairs.map(pair => pair.pValue));
+    pairs.forEach((pair, index) => { pair.holm = holm[index]; });
+    return pairs;
+}
+
+// ── Power and sample size ────────────────────────────────────────────
+
+/**
+ * Iterations per group for a two-sided Welch t-test to detect a mean difference with the
+ * given power. Starts from the normal approximation n = (z₁₋α/₂ + z_power)²·(σ₁² + σ₂²) / δ²
+ * and re-solves with t quantiles at the Welch degrees of freedom for that n until it settles
+ * (the usual central-t stand-in for the noncentral t, which errs by at most an iteration or
+ * so on the safe side). Null when the difference or the variances leave nothing to plan.
+ */
+function requiredSampleSize({ varianceA, varianceB, difference, power = 0.8, alpha = 0.05 }) {
+    const delta = Math.abs(difference);
+    const spread = varianceA + varianceB;
+    if (!(delta > 0) || !(spread > 0) || !(power > 0 && power < 1) || !(alpha > 0 && alpha < 1)) return null;
+    const perGroup = (critical, powerQuantile) => Math.max(2, Math.ceil(Math.pow(critical + powerQuantile, 2) * spread / (delta * delta)));
+    let n = perGroup(normalQuantile(1 - alpha / 2), normalQuantile(power));
+    for (let i = 0; i < 50; i++) {
+        const df = spread * spread * (n - 1) / (varianceA * varianceA + varianceB * varianceB);
+        const next = perGroup(studentTQuantile(1 - alpha / 2, df), studentTQuantile(power, df));
+        if (next === n) break;
+        n = next;
+    }
+    return n;
+}
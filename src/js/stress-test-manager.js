@@ -1,7 +1,68 @@
+// Rendered icon size (px) every technique was designed around, and the sizes go.js emits
+// sized raster assets for (keep in sync with SWEEP_SIZES there)
+const DEFAULT_ICON_SIZE = 48;
+const SIZED_ASSET_SIZES = [16, 24, 32, 48, 64, 128, 256];
+// Icons-per-test points for DOM-size scaling mode, and the frame budget its fits are read against
+const SCALING_ICON_COUNTS = [10, 50, 100, 500, 1000, 5000];
+const FRAME_BUDGET_MS = 1000 / 60;
+// Sustained-rendering (jank) modes: scroll lists are this many preset grids long, and each config
+// is preceded by this long an idle recording to estimate the display's refresh interval
+const JANK_SCROLL_PAGES = 10;
+const JANK_SCROLL_SPEED = 1.2; // px per ms
+const REFRESH_CALIBRATION_MS = 500;
+// Background-noise entry types observed for the whole run; event entries shorter than the
+// threshold are ignored (16 ms is the smallest duration the Event Timing API allows)
+const NOISE_ENTRY_TYPES = ['longtask', 'layout-shift', 'event'];
+const NOISE_EVENT_THRESHOLD_MS = 16;
+// Checkpoints of finished configs (and their raw samples) survive reloads and crashes; the
+// version is bumped whenever the stored shape changes so stale checkpoints are ignored
+const CHECKPOINT_VERSION = 1;
+// Timer probe: performance.now() is sampled for up to this long, and a smallest observed tick at or
+// above the threshold is reported as coarse (non-isolated pages get 100 µs or worse)
+const TIMER_PROBE_MS = 50;
+const COARSE_TIMER_THRESHOLD_MS = 0.1;
+// Sequential stopping: a config's precision is first checked after the minimum, then after every
+// chunk, until its 95% CI half-width relative to the mean reaches the target or the budget runs out
+const PRECISION_MIN_ITERATIONS = 30;
+const PRECISION_CHUNK_ITERATIONS = 25;
+const DEFAULT_PRECISION_BUDGET = 5000;
+// Resamples per bootstrap interval in the non-parametric analysis method
+const BOOTSTRAP_RESAMPLES = 2000;
+// Sample-size planner: power levels offered, and the significance level it plans for (the
+// results tables' p < 0.05)
+const PLANNER_POWER_LEVELS = [0.8, 0.9, 0.95];
+const PLANNER_ALPHA = 0.05;
+// Measurement settings a planned run copies from its pilot so the pilot's variance applies:
+// control id → the value in the pilot's saved testConfiguration
+const PLANNER_PILOT_SETTINGS = {
+    timingMode: settings => settings.timingMode,
+    decodePhase: settings => settings.decodePhase,
+    cacheMode: settings => settings.cacheMode,
+    warmupIterations: settings => settings.warmupIterations,
+    outlierPolicy: settings => settings.outlierPolicy,
+    executionOrder: settings => settings.executionOrder && settings.executionOrder.strategy,
+    testMethod: settings => settings.testMethod
+};
+// What a page without the setting's control runs with (only css-backup.html has #testMethod)
+const PLANNER_PILOT_FALLBACKS = { testMethod: 'straight' };
+const CHART_PALETTE = ['#2563eb', '#16a34a', '#dc2626', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777', '#4b5563', '#65a30d', '#7c3aed', '#0d9488'];
+// Render types whose icons are rasterized from vector data at the rendered size
+const VECTOR_RENDER_TYPES = ['inline-svg', 'optimized-svg', 'sprite-svg', 'external-sprite-svg', 'css-mask', 'font', 'css'];
+
+// Cold modes only mean something when the batch runner (index.html) loads each suite into
+// a fresh frame; a standalone page keeps one document for the whole run
+const CACHE_MODES = ['warm', 'cold-iteration', 'cold-icon'];
+
 class StressTestManager {
     constructor(options = {}) {
         this.isRunning = false;
         this.shouldStop = false;
+        // Pausing takes effect between iterations; waiters are resumed by resumeTest() or stopTest()
+        this.isPaused = false;
+        this.pausedAt = 0;
+        this.pauseWaiters = [];
+        // Set when the user stops a run, so its partial results are saved flagged as incomplete
+        this.runIncomplete = false;
         this.currentTest = null;
         this.results = {};
         this.startTime = 0;
@@ -11,6 +72,70 @@ class StressTestManager {
         this.activeIntervals = []; // Track all running intervals for cleanup
         this.wakeLock = null; // Screen wake lock for uninterrupted testing
         this.antiThrottleAudio = null; // Silent audio to prevent throttling
+        // 'layout' stops the timer after a forced reflow; 'paint' waits for the frame to be presented
+        this.timingMode = options.timingMode || 'layout';
+        this.paintObserver = null; // Element Timing / paint observer, active in 'paint' mode only
+        this.paintEntries = [];
+        // Long tasks, layout shifts and slow events seen during the run, attributed to the config
+        // whose noise window (one per processBatch call) contains their start time
+        this.noiseObserver = null;
+        this.noiseEntries = [];
+        this.noiseWindows = [];
+        // Timed spans of each measured render; long tasks overlapping one are the render's own work
+        this.measuredSpans = [];
+        this.noiseEntryTypes = [];
+        this.unattributedNoise = null;
+        // Configs this browser can't render here (or whose source failed to load) → reason; they
+        // are skipped rather than aborting the run, see prepareRenderContext()
+        this.unavailableConfigs = {};
+        // Memory source for this run: 'uasm' (measureUserAgentSpecificMemory, cross-origin isolated
+        // pages only), 'performance-memory' (Chromium) or 'unavailable'; see getMemoryBackend()
+        this.memoryBackend = this.getMemoryBackend();
+        // Effective performance.now() resolution, probed at run start; see measureTimerResolution()
+        this.timerResolution = null;
+        // 'await' adds a decode phase that waits for img.decode() on every <img> in the batch
+        this.decodePhase = options.decodePhase || 'off';
+        // 'warm' reuses asset URLs; 'cold-iteration' / 'cold-icon' cache-bust them per batch / per icon
+        this.cacheMode = options.cacheMode || 'warm';
+        this.cacheBustToken = Date.now().toString(36); // renewed per run so cold URLs never repeat across runs
+        // Warm-up iterations run before each config; their samples are kept but excluded from stats
+        this.warmupIterations = options.warmupIterations || 0;
+        // Outlier policy applied in calculateStatistics(): 'none', 'tukey', 'mad' or 'trimmed'
+        this.outlierPolicy = options.outlierPolicy || 'none';
+        // Config execution order: 'sequential', 'random', 'latin-square' or 'round-robin'
+        this.executionOrder = options.executionOrder || 'sequential';
+        this.orderSeed = options.orderSeed != null ? options.orderSeed : null; // null = pick a new seed per run
+        this.executionPlan = null;
+        this.renderContexts = new Map(); // config name → { config, renderType, referenceElement }
+        // Size sweep: rendered sizes (px) the whole run is repeated at; empty = DEFAULT_ICON_SIZE only
+        this.sweepSizes = options.sweepSizes || [];
+        this.iconSize = DEFAULT_ICON_SIZE; // size the current pass renders icons at
+        this.sizeSweep = null; // per-size summary of the last sweep, see recordSizeSweepResults()
+        // 'dom-size' repeats the run at every SCALING_ICON_COUNTS point and fits render time against icon count
+        this.scalingMode = options.scalingMode || 'off';
+        this.scalingSweep = null; // per-count summary and fits of the last scaling run, see fitScalingModels()
+        this.passIndex = 0; // measurement pass in progress, see createMeasurementPasses()
+        this.referenceResults = {}; // results of the reference pass once it has run
+        this.rawSamples = {}; // pass key → config name → raw render times, checkpointed with the run
+        // 'insertion' measures one-shot rendering; 'animation' / 'scroll' record rAF frames for jankDuration seconds
+        this.benchmarkMode = options.benchmarkMode || 'insertion';
+        this.jankDuration = options.jankDuration || 5;
+        // Target relative CI half-width (%) for sequential stopping; 0 runs the preset's fixed iteration
+        // count. With a target, each config runs until it is met or precisionBudget iterations are used
+        this.precisionTarget = options.precisionTarget || 0;
+        this.precisionBudget = options.precisionBudget || DEFAULT_PRECISION_BUDGET;
+        // 'parametric' reports Welch t-tests and mean ± t·SE only; 'nonparametric' adds rank tests,
+        // Cliff's delta and bootstrap intervals (see runNonParametricAnalysis())
+        this.analysisMethod = options.analysisMethod || 'parametric';
+        this.nonParametricAnalysis = null; // comparison → rank tests, for the results being shown
+        this.pairwiseComparisons = null; // all-pairs matrix for the results being shown, see buildPairwiseComparisons()
+        this.omnibusTests = null; // Welch ANOVA / Kruskal–Wallis across every config, see runOmnibusTests()
+        this.powerPlan = null; // last sample-size recommendation, see calculatePowerPlan()
+        // Validated 'custom' test type settings (see validateCustomTestConfig); custom runs are
+        // repeated `repetitions` times, each saved as its own result
+        this.customTest = null;
+        this.repetitions = 1;
+        this.repetition = 1;
         
         // System information storage
         this.systemInfo = this.loadSystemInfo();
@@ -20,35 +145,56 @@ class StressTestManager {
                 name: 'Remix Icon (Square)',
                 selector: '.ri-code-s-slash-line',
                 containerSelector: '.ri-code-s-slash-line',
+                renderType: 'font',
                 hasNetworkOverhead: true
             },
             {
                 name: 'Pure CSS Icon',
                 selector: '.code-slash-icon',
                 containerSelector: '.code-slash-icon',
+                renderType: 'css',
+                cssStructure: 'slash',
                 hasNetworkOverhead: false
             },
             {
                 name: 'Minimal CSS Icon',
                 selector: '.simple-icon',
                 containerSelector: '.simple-icon',
+                renderType: 'css',
                 hasNetworkOverhead: false
             },
             {
                 name: 'Circular CSS Icon',
                 selector: '.circular-icon',
                 containerSelector: '.circular-icon',
-                hasNetworkOverhead: false
+                renderType: 'css',
+                hasNetworkOverhead: false,
+                isCircular: true
             },
             {
                 name: 'Circular Remix Icon',
                 selector: '.ri-code-s-slash-line',
                 containerSelector: '.ri-code-s-slash-line',
+                renderType: 'font',
                 hasNetworkOverhead: true,
                 isCircular: true
+            },
+            {
+                name: 'CSS Mask Icon',
+                selector: '.mask-icon',
+                containerSelector: '.mask-icon',
+                renderType: 'css-mask',
+                hasNetworkOverhead: true,
+                // Monochrome glyph generated by go.js (buildMaskAsset)
+                maskSrc: 'img/remix_code_slash_mask.svg'
             }
         ];
         
+        this.renderTestTypeOptions();
+        this.renderAdvancedOptions();
+        this.renderCustomTestOptions();
+        this.renderPowerPlanner();
+        this.renderPauseButton();
         this.setupEventListeners();
         this.updateMemoryDisplay();
         this.createTestContainer();
@@ -63,6 +209,7 @@ class StressTestManager {
         const urlParams = new URLSearchParams(window.location.search);
         if (!urlParams.get('autorun')) {
             this.loadSavedResults();
+            this.offerResume();
         }
     }
 
@@ -173,17 +320,23 @@ class StressTestManager {
                manual.reportGeneratedBy);
     }
 
+    // i18n helper — same fallback behaviour as SystemSpecsManager.t()
+    t(key, fallback) {
+        if (window.i18n && typeof window.i18n.translate === 'function') {
+            const val = window.i18n.translate(key);
+            if (val && val !== key) return val;
+        }
+        return fallback || key;
+    }
+
+    // Presets live in test-presets.js; 'custom' uses the last validated custom configuration
     getTestConfig(testType) {
-        const configs = {
-            single: { iterations: 2000, iconsPerTest: 1, description: 'Single icon repeated' },
-            bulk: { iterations: 50, iconsPerTest: 100, description: '100 icons per test' },
-            stress: { iterations: 200, iconsPerTest: 500, description: '500 icons per test' },
-            statistical: { iterations: 200, iconsPerTest: 100, description: 'High-power statistical analysis' },
-            massive: { iterations: 1000, iconsPerTest: 100, description: 'Maximum statistical power' },
-            ultra: { iterations: 10000, iconsPerTest: 100, description: 'Ultra-high statistical power' },
-            extreme: { iterations: 20000, iconsPerTest: 100, description: 'Extreme statistical confidence' }
-        };
-        return configs[testType] || configs.bulk;
+        if (testType === 'custom' && this.customTest) {
+            const { iterations, iconsPerTest } = this.customTest;
+            return { iterations, iconsPerTest, description: describeTestType('custom', this.customTest) };
+        }
+        const preset = TEST_PRESETS[testType] || TEST_PRESETS.bulk;
+        return { iterations: preset.iterations, iconsPerTest: preset.iconsPerTest, description: preset.description };
     }
 
     createTestContainer() {
@@ -219,9 +372,534 @@ class StressTestManager {
         }
     }
 
+    /**
+     * Build the collapsible "Advanced Measurement Options" panel below the test
+     * controls. Generated here rather than in each format page so every page
+     * exposes the same settings; values are read back in readAdvancedOptions().
+     */
+    // Preset options come from test-presets.js; css.html can end up with two managers
+    renderTestTypeOptions() {
+        const testTypeSelect = document.getElementById('testType');
+        if (!testTypeSelect || testTypeSelect.options.length) return;
+        populateTestTypeSelect(testTypeSelect, 'bulk', (key, fallback) => this.t(key, fallback));
+    }
+
+    renderAdvancedOptions() {
+        // css.html can end up with two manager instances; only build the panel once
+        if (document.getElementById('advancedOptions')) return;
+
+        const testTypeSelect = document.getElementById('testType');
+        const controlsGrid = testTypeSelect ? testTypeSelect.closest('.grid') : null;
+        if (!controlsGrid) return;
+
+        const panel = document.createElement('details');
+        panel.id = 'advancedOptions';
+        panel.className = 'mb-4 border border-gray-200 rounded';
+        panel.innerHTML = `
+            <summary class="cursor-pointer p-2 text-sm font-medium text-gray-700" data-i18n="advanced.title">${this.t('advanced.title', 'Advanced Measurement Options')}</summary>
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-4 p-3 border-t border-gray-200">
+                ${this.getAdvancedOptionFields().join('')}
+            </div>
+        `;
+        controlsGrid.insertAdjacentElement('afterend', panel);
+    }
+
+    getAdvancedOptionFields() {
+        const coldModesAvailable = window.parent !== window;
+        return [
+            this.buildSelectField('benchmarkMode', 'advanced.benchmark_mode', 'Benchmark Mode:', [
+                { value: 'insertion', key: 'advanced.mode_insertion', label: 'Insertion (one-shot render time)' },
+                { value: 'animation', key: 'advanced.mode_animation', label: 'Animation jank (transform, opacity, color)' },
+                { value: 'scroll', key: 'advanced.mode_scroll', label: 'Scroll jank (long icon list)' }
+            ], this.benchmarkMode),
+            this.buildNumberField('jankDuration', 'advanced.jank_duration', 'Jank Duration per Config (s):', this.jankDuration, 1, 120),
+            this.buildSelectField('timingMode', 'advanced.timing_mode', 'Timing Mode:', [
+                { value: 'layout', key: 'advanced.timing_layout', label: 'Layout (forced reflow)' },
+                { value: 'paint', key: 'advanced.timing_paint', label: 'Paint (frame presented)' }
+            ], this.timingMode),
+            this.buildSelectField('decodePhase', 'advanced.decode_phase', 'Image Decode Phase:', [
+                { value: 'off', key: 'advanced.decode_off', label: 'Off (timer ignores decoding)' },
+                { value: 'await', key: 'advanced.decode_await', label: 'Await img.decode() for every icon' }
+            ], this.decodePhase),
+            this.buildSelectField('cacheMode', 'advanced.cache_mode', 'Cache Mode:', [
+                { value: 'warm', key: 'advanced.cache_warm', label: 'Warm (same URL every iteration)' },
+                { value: 'cold-iteration', key: 'advanced.cache_cold_iteration', label: 'Cold per iteration (new URL per batch)', disabled: !coldModesAvailable },
+                { value: 'cold-icon', key: 'advanced.cache_cold_icon', label: 'Cold per icon (unique URL per icon)', disabled: !coldModesAvailable }
+            ], this.cacheMode),
+            coldModesAvailable ? '' : `
+            <p id="cacheModeNote" class="text-xs text-gray-500 md:col-span-3" data-i18n="advanced.cache_cold_batch_only">${this.t('advanced.cache_cold_batch_only', 'Cold cache modes are only available from the batch runner (index.html), which loads every suite into a fresh frame. A standalone page never reloads, so decoded images would stay cached between iterations.')}</p>`,
+            this.buildNumberField('warmupIterations', 'advanced.warmup', 'Warm-up Iterations:', this.warmupIterations, 0, 1000),
+            this.buildNumberField('precisionTarget', 'advanced.precision_target', 'Target CI Half-Width (±%, 0 = fixed iterations):', this.precisionTarget, 0, 50, 0.1),
+            this.buildNumberField('precisionBudget', 'advanced.precision_budget', 'Max Iterations per Config (precision target):', this.precisionBudget, PRECISION_MIN_ITERATIONS, 100000),
+            this.buildSelectField('outlierPolicy', 'advanced.outlier_policy', 'Outlier Policy:', [
+                { value: 'none', key: 'advanced.outlier_none', label: 'None (keep all samples)' },
+                { value: 'tukey', key: 'advanced.outlier_tukey', label: 'Tukey IQR fences (1.5 × IQR)' },
+                { value: 'mad', key: 'advanced.outlier_mad', label: 'MAD (modified z-score > 3.5)' },
+                { value: 'trimmed', key: 'advanced.outlier_trimmed', label: 'Trimmed mean (10% per tail)' }
+            ], this.outlierPolicy),
+            this.buildSelectField('executionOrder', 'advanced.execution_order', 'Execution Order:', [
+                { value: 'sequential', key: 'advanced.order_sequential', label: 'Sequential (declaration order)' },
+                { value: 'random', key: 'advanced.order_random', label: 'Randomized (seeded)' },
+                { value: 'latin-square', key: 'advanced.order_latin_square', label: 'Latin-square rotation across runs' },
+                { value: 'round-robin', key: 'advanced.order_round_robin', label: 'Round-robin (interleave iterations)' }
+            ], this.executionOrder),
+            this.buildSelectField('analysisMethod', 'advanced.analysis_method', 'Analysis Method:', [
+                { value: 'parametric', key: 'advanced.analysis_parametric', label: 'Parametric (Welch t-test, mean ± t·SE)' },
+                { value: 'nonparametric', key: 'advanced.analysis_nonparametric', label: 'Non-parametric (rank tests, bootstrap CIs)' }
+            ], this.analysisMethod),
+            this.buildNumberField('orderSeed', 'advanced.order_seed', 'Random Seed (blank = new):', this.orderSeed != null ? this.orderSeed : '', 0, 4294967295),
+            this.buildSelectField('scalingMode', 'advanced.scaling_mode', 'DOM Size Scaling:', [
+                { value: 'off', key: 'advanced.scaling_off', label: 'Off (preset icon count only)' },
+                { value: 'dom-size', key: 'advanced.scaling_dom_size', label: `Sweep ${SCALING_ICON_COUNTS.join(', ')} icons per test` }
+            ], this.scalingMode),
+            this.buildTextField('sizeSweep', 'advanced.size_sweep', 'Size Sweep (px, blank = 48 only):', this.sweepSizes.join(', '), SIZED_ASSET_SIZES.join(', '))
+        ];
+    }
+
+    /**
+     * 'Custom' test type: an extra #testType option plus a panel (shown only while it is
+     * selected) for iterations, icons per test and repetitions. Warm-up and sizes are the
+     * advanced options' warm-up and size sweep fields.
+     */
+    renderCustomTestOptions() {
+        if (document.getElementById('customTestOptions')) return;
+
+        const testTypeSelect = document.getElementById('testType');
+        const controlsGrid = testTypeSelect ? testTypeSelect.closest('.grid') : null;
+        if (!controlsGrid) return;
+
+        const option = document.createElement('option');
+        option.value = 'custom';
+        option.dataset.i18n = 'css.test_custom';
+        option.textContent = this.t('css.test_custom', 'Custom Test (set iterations and icons below)');
+        testTypeSelect.appendChild(option);
+
+        const limits = CUSTOM_TEST_LIMITS;
+        const panel = document.createElement('div');
+        panel.id = 'customTestOptions';
+        panel.className = 'mb-4 border border-gray-200 rounded p-3 hidden';
+        panel.innerHTML = `
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                ${this.buildNumberField('customIterations', 'custom.iterations', 'Iterations per Config:', TEST_PRESETS.bulk.iterations, limits.iterations.min, limits.iterations.max)}
+                ${this.buildNumberField('customIconsPerTest', 'custom.icons_per_test', 'Icons per Test:', TEST_PRESETS.bulk.iconsPerTest, limits.iconsPerTest.min, limits.iconsPerTest.max)}
+                ${this.buildNumberField('customRepetitions', 'custom.repetitions', 'Repetitions (separate runs):', 1, limits.repetitions.min, limits.repetitions.max)}
+            </div>
+            <p class="text-xs text-gray-500 mt-2" data-i18n="custom.hint">${this.t('custom.hint', 'Warm-up iterations and icon sizes are set under Advanced Measurement Options.')}</p>
+        `;
+        controlsGrid.insertAdjacentElement('afterend', panel);
+
+        const togglePanel = () => panel.classList.toggle('hidden', testTypeSelect.value !== 'custom');
+        testTypeSelect.addEventListener('change', togglePanel);
+        togglePanel();
+    }
+
+    // Validate the custom form (plus the warm-up and size sweep fields); stores the config when valid
+    readCustomTestOptions() {
+        const value = (id) => {
+            const element = document.getElementById(id);
+            return element ? element.value : '';
+        };
+        const { config, errors } = validateCustomTestConfig({
+            iterations: value('customIterations'),
+            iconsPerTest: value('customIconsPerTest'),
+            warmup: value('warmupIterations'),
+            repetitions: value('customRepetitions'),
+            sizes: value('sizeSweep')
+        });
+        if (errors.length === 0) {
+            this.customTest = config;
+        }
+        return { config, errors };
+    }
+
+    // Fill the custom form from ?iterations=&iconsPerTest=&warmup=&repetitions=&sizes= and select it
+    applyUrlTestParams(urlParams) {
+        if (!CUSTOM_TEST_PARAMS.some(key => urlParams.has(key)) && urlParams.get('autorun') !== 'custom') return;
+        const fields = {
+            testType: 'custom',
+            customIterations: urlParams.get('iterations'),
+            customIconsPerTest: urlParams.get('iconsPerTest'),
+            warmupIterations: urlParams.get('warmup'),
+            customRepetitions: urlParams.get('repetitions'),
+            sizeSweep: urlParams.get('sizes')
+        };
+        for (const [id, value] of Object.entries(fields)) {
+            const element = document.getElementById(id);
+            if (element && value != null) {
+                element.value = value;
+            }
+        }
+        const testTypeSelect = document.getElementById('testType');
+        if (testTypeSelect) {
+            testTypeSelect.dispatchEvent(new Event('change'));
+        }
+    }
+
+    /**
+     * Collapsible sample-size planner below the advanced options: takes the per-config variance
+     * of a pilot run (the page's latest results) or of the latest saved history entry for this
+     * page, and a minimum detectable effect, and recommends iterations per config for a target
+     * power. The recommendation can be started directly as a custom run.
+     */
+    renderPowerPlanner() {
+        if (document.getElementById('powerPlanner')) return;
+
+        const testTypeSelect = document.getElementById('testType');
+        const controlsGrid = testTypeSelect ? testTypeSelect.closest('.grid') : null;
+        const anchor = document.getElementById('advancedOptions') || controlsGrid;
+        if (!anchor) return;
+
+        const panel = document.createElement('details');
+        panel.id = 'powerPlanner';
+        panel.className = 'mb-4 border border-gray-200 rounded';
+        panel.innerHTML = `
+            <summary class="cursor-pointer p-2 text-sm font-medium text-gray-700" data-i18n="planner.title">${this.t('planner.title', 'Power Analysis & Sample-Size Planner')}</summary>
+            <div class="p-3 border-t border-gray-200">
+                <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+                    ${this.buildSelectField('plannerSource', 'planner.source', 'Variance From:', [
+                        { value: 'pilot', key: 'planner.source_pilot', label: 'Pilot run (latest results on this page)' },
+                        { value: 'history', key: 'planner.source_history', label: 'Latest saved history entry for this page' }
+                    ], 'pilot')}
+                    ${this.buildNumberField('plannerEffect', 'planner.effect', 'Minimum Detectable Effect:', 5, 0.001, 100000, 0.001)}
+                    ${this.buildSelectField('plannerEffectUnit', 'planner.effect_unit', 'Effect Unit:', [
+                        { value: 'percent', key: 'planner.unit_percent', label: '% of the fastest config\'s mean' },
+                        { value: 'ms', key: 'planner.unit_ms', label: 'Milliseconds' }
+                    ], 'percent')}
+                    ${this.buildSelectField('plannerPower', 'planner.power', 'Target Power:', PLANNER_POWER_LEVELS.map(level => ({
+                        value: String(level), key: `planner.power_${Math.round(level * 100)}`, label: `${level} (${Math.round(level * 100)}% chance to detect the effect)`
+                    })), String(PLANNER_POWER_LEVELS[0]))}
+                </div>
+                <button id="planPower" class="mt-3 mr-2 bg-blue-500 text-white px-4 py-2 rounded text-sm hover:bg-blue-600" data-i18n="planner.calculate">${this.t('planner.calculate', 'Recommend Iterations')}</button>
+                <button id="startPlannedRun" class="mt-3 bg-green-600 text-white px-4 py-2 rounded text-sm hover:bg-green-700 hidden" data-i18n="planner.start">${this.t('planner.start', 'Start Custom Run with Recommended Iterations')}</button>
+                <div id="plannerResult" class="mt-3 text-sm"></div>
+            </div>
+        `;
+        anchor.insertAdjacentElement('afterend', panel);
+
+        panel.querySelector('#planPower').addEventListener('click', () => this.updatePowerPlan());
+        panel.querySelector('#startPlannedRun').addEventListener('click', () => this.startPlannedRun());
+    }
+
+    // Pilot data for the planner: per-config results, the icons per test they were measured
+    // with and the run's throughput. Jank runs are skipped (they have no iterations to plan).
+    getPlannerPilot(source) {
+        try {
+            const isInsertionRun = (config) => !!config && !String(config.testType || '').startsWith('jank-');
+            if (source === 'history') {
+                const history = JSON.parse(localStorage.getItem('iconTestHistory') || '[]');
+                const entry = history.find(item => item.results && isInsertionRun(item.testConfiguration) &&
+                    item.sourceInfo && item.sourceInfo.originalSource === this.detectOriginalSource());
+                if (!entry) return null;
+                return {
+                    results: entry.results,
+                    iconsPerTest: entry.testConfiguration.iconsPerTest,
+                    iterationsPerSecond: entry.testConfiguration.iterationsPerSecond,
+                    settings: entry.testConfiguration,
+                    testDate: entry.testDate
+                };
+            }
+            const saved = JSON.parse(localStorage.getItem(`iconTestResults_${this.detectPageFormat()}`) || 'null');
+            if (!saved || !saved.results || !isInsertionRun(saved.testConfiguration)) return null;
+            return {
+                results: saved.results,
+                iconsPerTest: saved.testConfiguration.iconsPerTest,
+                iterationsPerSecond: saved.testMetadata ? saved.testMetadata.iterationsPerSecond : null,
+                settings: saved.testConfiguration,
+                testDate: saved.testDate
+            };
+        } catch (error) {
+            console.error('Failed to read pilot data for the planner:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Iterations per config for a Welch t-test to detect `effect` (ms, or % of the fastest
+     * config's mean) with the given power. α is PLANNER_ALPHA Bonferroni-corrected for the
+     * number of pairs, which the Holm-adjusted all-pairs comparisons can only improve on.
+     * Each config gets what it needs against the fastest; the recommendation covers every
+     * pair, i.e. the two largest variances. Duration is the pilot's throughput applied to
+     * every config at the recommended count.
+     */
+    calculatePowerPlan(pilot, { effect, unit, power }) {
+        const configs = Object.entries(pilot.results)
+            .filter(([, data]) => data && data.renderTime && data.renderTime.sampleSize >= 2)
+            .sort(([, a], [, b]) => a.renderTime.average - b.renderTime.average);
+        if (configs.length < 2) return null;
+
+        const [baselineName, baselineData] = configs[0];
+        const difference = unit === 'percent' ? baselineData.renderTime.average * effect / 100 : effect;
+        const variance = (data) => Math.pow(data.renderTime.stdDev, 2);
+        const pairs = configs.length * (configs.length - 1) / 2;
+        const alpha = PLANNER_ALPHA / pairs;
+        const plan = (a, b) => requiredSampleSize({ varianceA: variance(a), varianceB: variance(b), difference, power, alpha });
+
+        const byVariance = [...configs].sort(([, a], [, b]) => variance(b) - variance(a));
+        const required = plan(byVariance[0][1], byVariance[1][1]);
+        if (required == null) return null;
+        const limit = CUSTOM_TEST_LIMITS.iterations.max;
+        const iterations = Math.min(limit, required);
+        return {
+            effect,
+            unit,
+            difference,
+            power,
+            alpha,
+            familyAlpha: PLANNER_ALPHA,
+            pairs,
+            baseline: baselineName,
+            iconsPerTest: pilot.iconsPerTest,
+            pilotSettings: pilot.settings || null,
+            pilotDate: pilot.testDate || null,
+            configs: configs.map(([name, data]) => ({
+                name,
+                average: data.renderTime.average,
+                stdDev: data.renderTime.stdDev,
+                iterations: name === baselineName ? null : plan(baselineData, data)
+            })),
+            worstPair: [byVariance[0][0], byVariance[1][0]],
+            requiredIterations: required,
+            iterations,
+            exceedsLimit: required > limit,
+            estimatedSeconds: pilot.iterationsPerSecond > 0 ? iterations * configs.length / pilot.iterationsPerSecond : null
+        };
+    }
+
+    updatePowerPlan() {
+        const resultDiv = document.getElementById('plannerResult');
+        const startButton = document.getElementById('startPlannedRun');
+        const value = (id) => document.getElementById(id).value;
+        const effect = this.readNumberInput(document.getElementById('plannerEffect'), 0);
+        const pilot = this.getPlannerPilot(value('plannerSource'));
+
+        this.powerPlan = pilot && effect > 0
+            ? this.calculatePowerPlan(pilot, { effect, unit: value('plannerEffectUnit'), power: parseFloat(value('plannerPower')) })
+            : null;
+        startButton.classList.toggle('hidden', !this.powerPlan);
+        if (!pilot) {
+            resultDiv.innerHTML = `<div class="text-red-600">${this.t('planner.no_pilot', 'No insertion results for this page yet. Run a short pilot test first.')}</div>`;
+        } else if (!this.powerPlan) {
+            resultDiv.innerHTML = `<div class="text-red-600">${this.t('planner.no_plan', 'Nothing to plan: enter an effect above zero and use a pilot with at least two configs that vary.')}</div>`;
+        } else {
+            resultDiv.innerHTML = this.generatePowerPlanSummary(this.powerPlan);
+        }
+    }
+
+    generatePowerPlanSummary(plan) {
+        const effectText = plan.unit === 'percent'
+            ? `${plan.effect}% (${plan.difference.toFixed(3)} ms)`
+            : `${plan.difference.toFixed(3)} ms`;
+        let html = '<div class="bg-gray-50 border rounded p-3 power-plan">';
+        html += `<div class="mb-2"><strong>${plan.iterations.toLocaleString()} iterations per config</strong> `;
+        html += `(× ${plan.iconsPerTest} icons per test) detect a difference of ${effectText} with power ${plan.power} `;
+        html += `at α = ${plan.familyAlpha} / ${plan.pairs} pairs = ${plan.alpha.toPrecision(3)} (Bonferroni) `;
+        html += `for every pair; the least precise pair is ${plan.worstPair[0]} vs ${plan.worstPair[1]}.</div>`;
+        if (plan.exceedsLimit) {
+            html += `<div class="mb-2 text-red-600">The full requirement is ${plan.requiredIterations.toLocaleString()} iterations, above the custom test limit; a larger effect or more icons per test would be needed.</div>`;
+        }
+        if (plan.estimatedSeconds != null) {
+            const minutes = plan.estimatedSeconds >= 120 ? ` (≈ ${(plan.estimatedSeconds / 60).toFixed(1)} min)` : '';
+            html += `<div class="mb-2">Estimated duration: ${plan.estimatedSeconds.toFixed(0)}s${minutes} at the pilot run's throughput, excluding warm-up.</div>`;
+        }
+        html += '<table class="w-full text-xs"><thead><tr class="border-b"><th class="p-1 text-left">Config</th>';
+        html += '<th class="p-1 text-center">Mean (ms)</th><th class="p-1 text-center">Std Dev (ms)</th><th class="p-1 text-center">Iterations vs Fastest</th></tr></thead><tbody>';
+        for (const config of plan.configs) {
+            html += `<tr class="border-b"><td class="p-1">${config.name}</td><td class="p-1 text-center">${config.average.toFixed(3)}</td>`;
+            html += `<td class="p-1 text-center">${config.stdDev.toFixed(3)}</td>`;
+            html += `<td class="p-1 text-center">${config.iterations == null ? 'baseline' : config.iterations.toLocaleString()}</td></tr>`;
+        }
+        html += '</tbody></table>';
+        const settingChanges = plan.pilotSettings ? this.comparePilotSettings(plan.pilotSettings) : [];
+        const applied = settingChanges.filter(change => change.applicable);
+        const unavailable = settingChanges.filter(change => !change.applicable);
+        if (applied.length > 0) {
+            html += '<div class="mt-2 text-xs text-gray-600 pilot-settings-applied">Starting the planned run switches to the pilot\'s settings: ';
+            html += `${applied.map(change => `${change.id}: ${change.current} → ${change.pilot}`).join(', ')}.</div>`;
+        }
+        if (unavailable.length > 0) {
+            html += '<div class="mt-2 text-xs text-red-600 pilot-settings-unavailable">The pilot used settings this page can\'t reproduce, so its variance may not apply: ';
+            html += `${unavailable.map(change => `${change.id} = ${change.pilot}`).join(', ')}.</div>`;
+        }
+        // The advanced fields are only read into the manager when a run starts, so check them directly
+        const precisionInput = document.getElementById('precisionTarget');
+        const modeSelect = document.getElementById('benchmarkMode');
+        if (precisionInput && parseFloat(precisionInput.value) > 0 && (!modeSelect || modeSelect.value === 'insertion')) {
+            html += '<div class="mt-2 text-xs text-gray-600">A precision target is set under Advanced Measurement Options, so the run will stop each config by precision instead (the recommendation becomes its budget).</div>';
+        }
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Pilot measurement settings that differ from the current controls. A setting is applicable
+     * when its control exists and offers the pilot's value; a page without the control matches
+     * only the value it runs with anyway. Batched measurement is no longer offered, so a pilot
+     * that used it is always reported as not reproducible.
+     */
+    comparePilotSettings(settings) {
+        const changes = [];
+        for (const [id, read] of Object.entries(PLANNER_PILOT_SETTINGS)) {
+            const pilot = read(settings);
+            if (pilot == null) continue;
+            const element = document.getElementById(id);
+            const current = element ? element.value : PLANNER_PILOT_FALLBACKS[id];
+            if (current !== undefined && String(current) === String(pilot)) continue;
+            const applicable = !!element && (element.tagName !== 'SELECT' ||
+                [...element.options].some(option => option.value === String(pilot) && !option.disabled));
+            changes.push({ id, pilot, current: element ? element.value : null, applicable });
+        }
+        if (settings.useBatching) {
+            changes.push({ id: 'batchSize', pilot: settings.batchSize, current: null, applicable: false });
+        }
+        return changes;
+    }
+
+    // Start the recommendation as a custom run with the pilot's icons per test and measurement
+    // settings (so its variance applies)
+    startPlannedRun() {
+        const plan = this.powerPlan;
+        if (!plan || this.isRunning) return;
+        const fields = {
+            testType: 'custom',
+            customIterations: plan.iterations,
+            customIconsPerTest: plan.iconsPerTest,
+            customRepetitions: 1
+        };
+        if (plan.pilotSettings) {
+            for (const change of this.comparePilotSettings(plan.pilotSettings)) {
+                if (change.applicable) fields[change.id] = change.pilot;
+            }
+        }
+        for (const [id, value] of Object.entries(fields)) {
+            const element = document.getElementById(id);
+            if (element) element.value = value;
+        }
+        document.getElementById('testType').dispatchEvent(new Event('change'));
+        this.startStressTest();
+    }
+
+    buildSelectField(id, labelKey, label, options, selectedValue) {
+        const optionsHtml = options.map(option => `
+                    <option value="${option.value}"${option.value === selectedValue ? ' selected' : ''}${option.disabled ? ' disabled' : ''} data-i18n="${option.key}">${this.t(option.key, option.label)}</option>`).join('');
+        return `
+            <div>
+                <label for="${id}" class="block text-sm font-medium text-gray-700 mb-2" data-i18n="${labelKey}">${this.t(labelKey, label)}</label>
+                <select id="${id}" class="w-full p-2 border border-gray-300 rounded text-sm">${optionsHtml}
+                </select>
+            </div>`;
+    }
+
+    buildNumberField(id, labelKey, label, value, min, max, step = 1) {
+        return `
+            <div>
+                <label for="${id}" class="block text-sm font-medium text-gray-700 mb-2" data-i18n="${labelKey}">${this.t(labelKey, label)}</label>
+                <input type="number" id="${id}" value="${value}" min="${min}" max="${max}" step="${step}" class="w-full p-2 border border-gray-300 rounded text-sm">
+            </div>`;
+    }
+
+    buildTextField(id, labelKey, label, value, placeholder) {
+        return `
+            <div>
+                <label for="${id}" class="block text-sm font-medium text-gray-700 mb-2" data-i18n="${labelKey}">${this.t(labelKey, label)}</label>
+                <input type="text" id="${id}" value="${value}" placeholder="${placeholder}" class="w-full p-2 border border-gray-300 rounded text-sm">
+            </div>`;
+    }
+
+    readAdvancedOptions() {
+        const benchmarkModeSelect = document.getElementById('benchmarkMode');
+        if (benchmarkModeSelect) {
+            this.benchmarkMode = benchmarkModeSelect.value;
+        }
+        const jankDurationInput = document.getElementById('jankDuration');
+        if (jankDurationInput) {
+            this.jankDuration = this.readIntegerInput(jankDurationInput, 5);
+        }
+        const timingModeSelect = document.getElementById('timingMode');
+        if (timingModeSelect) {
+            this.timingMode = timingModeSelect.value;
+        }
+        const decodePhaseSelect = document.getElementById('decodePhase');
+        if (decodePhaseSelect) {
+            this.decodePhase = decodePhaseSelect.value;
+        }
+        const cacheModeSelect = document.getElementById('cacheMode');
+        if (cacheModeSelect) {
+            // A restored checkpoint can select a cold mode this page doesn't offer
+            const selectedOption = cacheModeSelect.selectedOptions[0];
+            const offered = CACHE_MODES.includes(cacheModeSelect.value) && !(selectedOption && selectedOption.disabled);
+            this.cacheMode = offered ? cacheModeSelect.value : 'warm';
+        }
+        const warmupInput = document.getElementById('warmupIterations');
+        if (warmupInput) {
+            this.warmupIterations = this.readIntegerInput(warmupInput, 0);
+        }
+        const precisionTargetInput = document.getElementById('precisionTarget');
+        if (precisionTargetInput) {
+            this.precisionTarget = this.readNumberInput(precisionTargetInput, 0);
+        }
+        const precisionBudgetInput = document.getElementById('precisionBudget');
+        if (precisionBudgetInput) {
+            this.precisionBudget = this.readIntegerInput(precisionBudgetInput, DEFAULT_PRECISION_BUDGET);
+        }
+        const outlierSelect = document.getElementById('outlierPolicy');
+        if (outlierSelect) {
+            this.outlierPolicy = outlierSelect.value;
+        }
+        const orderSelect = document.getElementById('executionOrder');
+        if (orderSelect) {
+            this.executionOrder = orderSelect.value;
+        }
+        const analysisSelect = document.getElementById('analysisMethod');
+        if (analysisSelect) {
+            this.analysisMethod = analysisSelect.value;
+        }
+        const seedInput = document.getElementById('orderSeed');
+        if (seedInput) {
+            this.orderSeed = this.readIntegerInput(seedInput, null);
+        }
+        const scalingSelect = document.getElementById('scalingMode');
+        if (scalingSelect) {
+            this.scalingMode = scalingSelect.value;
+        }
+        const sizeSweepInput = document.getElementById('sizeSweep');
+        if (sizeSweepInput) {
+            this.sweepSizes = this.parseSweepSizes(sizeSweepInput.value);
+        }
+    }
+
+    /**
+     * Parse a comma/space separated size list into ascending unique sizes within 8–512px.
+     * A non-empty sweep always includes DEFAULT_ICON_SIZE, whose pass supplies the main results.
+     */
+    parseSweepSizes(value) {
+        const sizes = String(value || '').split(/[\s,;]+/)
+            .map(part => parseInt(part, 10))
+            .filter(size => Number.isFinite(size))
+            .map(size => Math.min(512, Math.max(8, size)));
+        if (sizes.length === 0) return [];
+        return [...new Set([...sizes, DEFAULT_ICON_SIZE])].sort((a, b) => a - b);
+    }
+
+    // Clamp a number input to its min/max attributes, falling back when it is empty or invalid
+    readIntegerInput(input, fallback) {
+        return this.readNumberInput(input, fallback, value => parseInt(value, 10));
+    }
+
+    readNumberInput(input, fallback, parse = parseFloat) {
+        const value = parse(input.value);
+        if (Number.isNaN(value)) return fallback;
+        const min = input.min !== '' ? Number(input.min) : -Infinity;
+        const max = input.max !== '' ? Number(input.max) : Infinity;
+        return Math.min(max, Math.max(min, value));
+    }
+
     setupEventListeners() {
         document.getElementById('startTest').addEventListener('click', () => this.startStressTest());
         document.getElementById('stopTest').addEventListener('click', () => this.stopTest());
+        const pauseBtn = document.getElementById('pauseTest');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => this.togglePause());
+        }
         document.getElementById('clearResults').addEventListener('click', () => this.clearResults());
         
         // System info button event listener
@@ -242,6 +920,7 @@ class StressTestManager {
 
         // Auto-start support for batch runner (via URL parameter)
         const urlParams = new URLSearchParams(window.location.search);
+        this.applyUrlTestParams(urlParams);
         const autoTestType = urlParams.get('autorun');
         if (autoTestType) {
             // Set the test type dropdown and start after a brief delay for page setup
@@ -250,6 +929,15 @@ class StressTestManager {
                 if (testTypeSelect) {
                     testTypeSelect.value = autoTestType;
                 }
+                // The batch runner passes its cache mode along with the test type
+                const cacheModeSelect = document.getElementById('cacheMode');
+                const requestedCacheMode = urlParams.get('cacheMode');
+                if (cacheModeSelect && requestedCacheMode) {
+                    if (!CACHE_MODES.includes(requestedCacheMode)) {
+                        console.warn(`Unknown cacheMode "${requestedCacheMode}", using warm`);
+                    }
+                    cacheModeSelect.value = CACHE_MODES.includes(requestedCacheMode) ? requestedCacheMode : 'warm';
+                }
                 // Signal ready to parent, then start
                 if (window.parent !== window) {
                     window.parent.postMessage({ type: 'testReady', format: this.detectPageFormat() }, '*');
@@ -260,14 +948,40 @@ class StressTestManager {
     }
 
     updateMemoryDisplay() {
-        if (performance.memory && document.getElementById('memoryUsage')) {
+        const memoryElement = document.getElementById('memoryUsage');
+        if (!memoryElement) return;
+        // The live readout stays synchronous; measureUserAgentSpecificMemory() is too slow to poll
+        if (performance.memory) {
             const memoryMB = (performance.memory.usedJSHeapSize / (1024 * 1024)).toFixed(1);
-            document.getElementById('memoryUsage').textContent = `${memoryMB} MB`;
+            memoryElement.textContent = `${memoryMB} MB`;
+        } else if (this.memoryBackend === 'uasm') {
+            memoryElement.textContent = this.t('memory.per_config', 'Measured per config');
+        } else {
+            memoryElement.textContent = this.t('memory.unavailable', 'Unavailable');
         }
     }
 
-    async startStressTest() {
+    /**
+     * Run the selected test. With a `checkpoint` (see writeCheckpoint()) the interrupted run is
+     * resumed instead: its options and execution plan are restored, finished configs and passes
+     * are kept, and only the remaining work runs. Custom tests with repetitions start the next
+     * repetition (`repetition` is 1-based) once a run completes.
+     */
+    async startStressTest({ checkpoint = null, repetition = 1 } = {}) {
         if (this.isRunning) return;
+
+        if (checkpoint) {
+            this.applyCheckpointOptions(checkpoint);
+        }
+        // Custom settings are validated before anything is reset, so a bad value leaves the page as it was
+        const testType = document.getElementById('testType').value;
+        if (testType === 'custom') {
+            const { errors } = this.readCustomTestOptions();
+            if (errors.length > 0) {
+                this.displayError(`Invalid custom test configuration: ${errors.join('; ')}`);
+                return;
+            }
+        }
         
         // Complete reset of all state - critical for academic accuracy
         this.resetTestState();
@@ -281,21 +995,45 @@ class StressTestManager {
         this.testStartedAt = new Date().toISOString();
         this.results = {};
         this.completedIterations = 0;
+        this.repetitions = testType === 'custom' ? this.customTest.repetitions : 1;
+        this.repetition = checkpoint ? checkpoint.repetition || 1 : repetition;
         
         // Get test parameters
-        const testType = document.getElementById('testType').value;
-        const testConfig = this.getTestConfig(testType);
+        let testConfig = this.getTestConfig(testType);
+        this.readAdvancedOptions();
+        if (this.usesPrecisionTarget()) {
+            // The budget is the most a config can run; progress totals shrink as configs stop early
+            testConfig = { ...testConfig, iterations: this.precisionBudget };
+        }
+        this.memoryBackend = this.getMemoryBackend();
+        this.timerResolution = this.measureTimerResolution();
+        if (this.timerResolution.coarse) {
+            console.warn(`Coarse timer: performance.now() resolution is ${this.timerResolution.resolutionMs} ms ` +
+                '(serve with npm run serve:isolated for cross-origin isolation)');
+        }
         
-        this.totalIterations = testConfig.iterations * this.iconConfigs.length;
+        const passes = this.createMeasurementPasses(testConfig);
+        // Jank modes count one unit of progress per config instead of per iteration
+        this.totalIterations = this.benchmarkMode !== 'insertion' ? this.iconConfigs.length :
+            (testConfig.iterations + this.warmupIterations) * this.iconConfigs.length * passes.length;
         this.iconsPerTest = testConfig.iconsPerTest;
         // Academic research approach - no method selection, always maximum accuracy
         // this.useBatching = false; // Always use straight-through measurement
         this.useBatching = false;
         this.batchSize = this.useBatching ? 10 : testConfig.iterations; // Smaller batches for bulk tests
+        if (checkpoint) {
+            // Elapsed time and progress carry over; the pause between sessions is not counted
+            this.startTime -= checkpoint.elapsedMs;
+            this.testStartedAt = checkpoint.testStartedAt;
+            this.completedIterations = checkpoint.completedIterations;
+            this.totalIterations = checkpoint.totalIterations || this.totalIterations;
+            this.rawSamples = checkpoint.rawSamples || {};
+        }
         
         // Update UI
         this.showProgress(true);
-        this.updateProgress('Preparing test environment...', 0);
+        this.updateProgress(checkpoint ? 'Resuming interrupted run...' : 'Preparing test environment...',
+                          this.completedIterations / this.totalIterations * 100);
         
         // Initialize rendering tab for live viewing
         const testContainer = document.getElementById('bulkTestContainer');
@@ -304,185 +1042,901 @@ class StressTestManager {
             testContainer.style.display = 'block';
         }
         
+        let completed = false;
         try {
             // Log test parameters for user awareness
-            console.log(`Starting stress test: ${testConfig.iterations} iterations × ${this.iconConfigs.length} icon types = ${this.totalIterations} total iterations`);
-            this.updateProgress(`Test Configuration: ${this.totalIterations.toLocaleString()} total iterations`, 1);
+            const repetitionNote = this.repetitions > 1 ? ` (repetition ${this.repetition}/${this.repetitions})` : '';
+            console.log(`Starting stress test: ${testConfig.iterations} iterations × ${this.iconConfigs.length} icon types = ${this.totalIterations} total iterations${repetitionNote}`);
+            this.updateProgress(`Test Configuration: ${this.totalIterations.toLocaleString()} total iterations${repetitionNote}`,
+                              Math.max(1, this.completedIterations / this.totalIterations * 100));
             
-            // Run test for each icon configuration
-            for (let configIndex = 0; configIndex < this.iconConfigs.length; configIndex++) {
-                const config = this.iconConfigs[configIndex];
-                if (this.shouldStop) break;
-                
-                this.updateProgress(`Starting ${config.name} (${configIndex + 1}/${this.iconConfigs.length})...`, 
-                                  (configIndex / this.iconConfigs.length) * 100);
-                
-                await this.testIconConfiguration(config, testConfig);
+            if (this.timingMode === 'paint') {
+                this.startPaintObserver();
             }
-            
-            if (!this.shouldStop) {
-                await this.displayAggregatedResults();
+            this.startNoiseObserver();
+
+            // Fail before measuring anything if a config names a render type nobody registered
+            this.iconConfigs.forEach(config => StressTestManager.getRenderType(config.renderType));
+
+            // Resolve (and record) the order configs run in before any measurement starts; a resumed
+            // run keeps its original plan (re-planning would also advance the latin-square counter)
+            this.executionPlan = checkpoint ? checkpoint.executionPlan : this.createExecutionPlan();
+            const orderedConfigs = this.executionPlan.configOrder.map(name => this.iconConfigs.find(c => c.name === name));
+            console.log(`Execution order (${this.executionPlan.strategy}): ${this.executionPlan.configOrder.join(' → ')}`);
+
+            if (this.benchmarkMode !== 'insertion') {
+                this.results = checkpoint ? checkpoint.results : {};
+                await this.runJankBenchmark(orderedConfigs, testConfig);
+                this.attachBackgroundNoise();
+            } else {
+                await this.runMeasurementPasses(orderedConfigs, passes, testConfig, checkpoint);
             }
+            
+            await this.finishRun();
+            completed = !this.shouldStop;
         } catch (error) {
             console.error('Stress test error:', error);
             this.displayError(error.message);
         } finally {
+            this.stopPaintObserver();
+            this.stopNoiseObserver();
+            this.releaseRenderContexts();
+            this.iconSize = DEFAULT_ICON_SIZE;
             this.isRunning = false;
+            this.isPaused = false;
             this.showProgress(false);
             // Disable research mode protections
             await this.disableResearchMode();
         }
-    }
 
-    async testIconConfiguration(config, testConfig) {
-        this.updateProgress(`Testing ${config.name}...`, this.completedIterations / this.totalIterations * 100);
-        
-        // Update rendering tab with current test info
-        const testContainer = document.getElementById('bulkTestContainer');
-        if (testContainer) {
-            testContainer.innerHTML = `
-                <div style="text-align: center; padding: 20px; border-bottom: 1px solid #e5e5e5; margin-bottom: 16px;">
-                    <h3 style="margin: 0; color: #333; font-size: 18px;">🧪 Testing: ${config.name}</h3>
-                    <p style="margin: 8px 0 0 0; color: #666; font-size: 14px;">${testConfig.description} • ${testConfig.iterations} iterations • ${testConfig.iconsPerTest} icons per test</p>
-                    <p style="margin: 4px 0 0 0; color: #888; font-size: 12px;">Displaying up to ${testConfig.iconsPerTest} icons below</p>
-                </div>
-                <div id="iconDisplay" style="
-                    display: grid; 
-                    grid-template-columns: repeat(20, 1fr); 
-                    gap: 2px;
-                    max-height: 70vh;
-                    overflow-y: auto;
-                    border: 1px solid #f0f0f0;
-                    border-radius: 4px;
-                    padding: 8px;
-                ">
-                    <div style="text-align: center; color: #666; grid-column: 1/-1; padding: 20px;">Icons will appear here during testing...</div>
-                </div>
-            `;
+        if (completed && this.repetition < this.repetitions) {
+            await this.startStressTest({ repetition: this.repetition + 1 });
         }
-        
-        const measurements = {
-            renderTimes: [],
-            memoryUsage: [],
-            elementMetrics: null,
-            networkMetrics: null,
-            bulkMetrics: []
-        };
+    }
 
-        // Measure network overhead for font-based icons (once)
-        if (config.hasNetworkOverhead && !measurements.networkMetrics) {
-            measurements.networkMetrics = await this.measureNetworkOverhead();
+    /**
+     * Size sweeps and DOM-size scaling repeat the whole run once per pass; the reference
+     * pass (48px, preset icon count) supplies this.results so tables, storage and
+     * comparisons stay unchanged. A checkpoint restores finished passes and resumes mid-pass.
+     */
+    async runMeasurementPasses(orderedConfigs, passes, testConfig, checkpoint) {
+        const sizes = [...new Set(passes.map(pass => pass.iconSize))];
+        const counts = [...new Set(passes.map(pass => pass.iconsPerTest))].sort((a, b) => a - b);
+        if (checkpoint) {
+            this.sizeSweep = checkpoint.sizeSweep;
+            this.scalingSweep = checkpoint.scalingSweep;
+            this.referenceResults = checkpoint.referenceResults;
+        } else {
+            this.sizeSweep = sizes.length > 1 ? { sizes, referenceSize: DEFAULT_ICON_SIZE, results: {}, vectorConfigs: [] } : null;
+            this.scalingSweep = counts.length > 1 ? { counts, referenceCount: testConfig.iconsPerTest, results: {}, fits: {} } : null;
+            this.referenceResults = {};
         }
-
-        // Academic research mode - always run straight through for maximum accuracy
-        // UI updates happen in background without affecting timing
-        this.updateProgress(`${config.name}: Starting ${testConfig.iterations.toLocaleString()} iterations...`, 
-                          this.completedIterations / this.totalIterations * 100);
-        
-        // Start background progress updates (non-blocking)
-        const progressInterval = this.startProgressMonitoring(config, testConfig);
-        
-        try {
-            // Run performance test without interruptions for accuracy
-            // completedIterations is incremented per-iteration inside processBatch
-            await this.processBatch(config, 0, testConfig.iterations, measurements, testConfig);
-        } finally {
-            // Stop background monitoring
-            if (progressInterval) {
-                clearInterval(progressInterval);
+        const firstPass = checkpoint ? checkpoint.passIndex : 0;
+        for (let passIndex = firstPass; passIndex < passes.length; passIndex++) {
+            if (this.shouldStop) break;
+            const pass = passes[passIndex];
+            const passConfig = pass.iconsPerTest === testConfig.iconsPerTest ? testConfig :
+                { ...testConfig, iconsPerTest: pass.iconsPerTest, description: `${pass.iconsPerTest} icons per test` };
+            this.passIndex = passIndex;
+            this.iconSize = pass.iconSize;
+            this.iconsPerTest = pass.iconsPerTest;
+            // Configs finished before the interruption are kept and skipped by runConfigurations()
+            this.results = checkpoint && passIndex === firstPass ? checkpoint.results : {};
+            await this.runConfigurations(orderedConfigs, passConfig);
+            this.attachBackgroundNoise();
+            // References and injected styles are built for one size; rebuild them for the next
+            this.releaseRenderContexts();
+            if (this.sizeSweep && pass.iconsPerTest === testConfig.iconsPerTest) this.recordSizeSweepResults(pass.iconSize);
+            if (this.scalingSweep && pass.iconSize === DEFAULT_ICON_SIZE) this.recordScalingResults(pass.iconsPerTest);
+            if (pass.reference) this.referenceResults = this.results;
+            if (!this.shouldStop) {
+                this.writeCheckpoint({ passIndex: passIndex + 1, results: {} });
             }
         }
-
-        // Store aggregated results
-        this.results[config.name] = this.calculateStatistics(measurements, testConfig);
+        this.results = this.referenceResults;
+        this.iconsPerTest = testConfig.iconsPerTest;
+        if (this.scalingSweep) this.fitScalingModels();
     }
 
-    async processBatch(config, startIndex, endIndex, measurements, testConfig) {
-        // Get reference element for cloning
-        let referenceElement;
-        if (config.renderType === 'inline-svg' || config.renderType === 'external-svg' || config.renderType === 'optimized-svg') {
-            // SVG render types can work from config alone (svgMarkup / src)
-            // Still try to find a reference element for metrics, but don't require it
-            referenceElement = document.querySelector(config.selector);
-            if (!referenceElement) {
-                // Create a temporary element for metrics measurement
-                const tempDiv = document.createElement('div');
-                tempDiv.style.cssText = 'position:absolute;left:-9999px;top:-9999px;';
-                if (config.svgMarkup) {
-                    tempDiv.innerHTML = config.svgMarkup;
-                } else if (config.src) {
-                    tempDiv.innerHTML = `<img src="${config.src}" width="48" height="48">`;
-                }
-                document.body.appendChild(tempDiv);
-                referenceElement = tempDiv.firstElementChild;
-                // Clean up after metrics
-                requestAnimationFrame(() => tempDiv.remove());
-            }
-        } else if (config.isCircular) {
-            referenceElement = document.querySelectorAll(config.selector)[1] || document.querySelector(config.selector);
-        } else {
-            referenceElement = document.querySelector(config.selector);
+    /**
+     * Completed runs show and save their results. Runs stopped by the user save whatever
+     * finished configs they have, flagged as incomplete; configs cut off mid-way are dropped.
+     * Either way the checkpoint is no longer needed.
+     */
+    async finishRun() {
+        this.clearCheckpoint();
+        if (!this.shouldStop) {
+            await this.displayAggregatedResults();
+            return;
         }
-        
-        if (!referenceElement) {
-            throw new Error(`Element not found: ${config.selector}`);
+        this.runIncomplete = true;
+        if (Object.keys(this.results).length > 0) {
+            await this.displayAggregatedResults({ incomplete: true });
         }
+    }
 
-        // Measure element metrics once per configuration
-        if (!measurements.elementMetrics) {
-            measurements.elementMetrics = this.measureElementMetrics(referenceElement);
-        }
+    /**
+     * Sustained-rendering benchmark. Each config's preset grid (or, in scroll mode, a list
+     * JANK_SCROLL_PAGES grids long) is rendered once, then animated or scrolled from
+     * requestAnimationFrame for jankDuration seconds while every frame interval is recorded.
+     * Frame intervals become the config's samples; size sweeps and scaling do not apply.
+     */
+    async runJankBenchmark(configs, testConfig) {
+        const durationMs = this.jankDuration * 1000;
+        for (let index = 0; index < configs.length; index++) {
+            const config = configs[index];
+            await this.waitWhilePaused();
+            if (this.shouldStop) break;
+            if (this.results[config.name]) continue; // finished before a resumed interruption
+            this.updateProgress(`${config.name}: ${this.benchmarkMode} for ${this.jankDuration}s (${index + 1}/${configs.length})...`,
+                              this.completedIterations / this.totalIterations * 100);
+            this.renderTestHeader(`${config.name} (${this.benchmarkMode} jank)`, testConfig);
 
-        const testContainer = document.getElementById('bulkTestContainer');
+            // Batch render types draw every icon into one canvas: there are no icon elements to
+            // animate, and scrolling one bitmap isn't comparable to scrolling many elements
+            if (StressTestManager.getRenderType(config.renderType).renderBatch) {
+                this.skipConfig(config, 'draws all icons into one canvas, so its frame timing is not comparable in jank modes', 1);
+                continue;
+            }
+            if (!(await this.prepareRenderContext(config, 1))) continue;
+            const renderContext = await this.getRenderContext(config);
+            const testContainer = document.getElementById('bulkTestContainer');
+            const iconCount = this.benchmarkMode === 'scroll' ? testConfig.iconsPerTest * JANK_SCROLL_PAGES : testConfig.iconsPerTest;
+            await this.generateBulkIcons(config, renderContext.referenceElement, testContainer, iconCount, `jank-${index}`);
+            const iconDisplay = document.getElementById('iconDisplay') || testContainer;
 
-        // Run iterations - each iteration tests bulk icon rendering
-        for (let i = startIndex; i < endIndex; i++) {
-            const startMemory = this.getMemoryUsage();
-            
-            // Generate and measure bulk icon rendering
-            const bulkRenderTime = await this.measureBulkRender(config, referenceElement, testContainer, testConfig.iconsPerTest);
-            measurements.renderTimes.push(bulkRenderTime.totalTime);
-            measurements.bulkMetrics.push({
-                totalTime: bulkRenderTime.totalTime,
-                generationTime: bulkRenderTime.generationTime,
-                layoutTime: bulkRenderTime.layoutTime,
-                iconsRendered: testConfig.iconsPerTest
-            });
-            
-            // Measure memory usage
-            const endMemory = this.getMemoryUsage();
-            measurements.memoryUsage.push({
-                used: endMemory.used - startMemory.used,
-                total: endMemory.total
-            });
+            const refreshInterval = await this.estimateRefreshInterval();
+            const driveFrame = this.benchmarkMode === 'scroll'
+                ? this.createScrollDriver(iconDisplay)
+                : this.createAnimationDriver(iconDisplay);
+            const noiseWindow = this.openNoiseWindow(config.name);
+            const frameTimes = await this.recordFrames(durationMs, driveFrame);
+            noiseWindow.end = performance.now();
+            // Every recorded frame is measured, so long tasks here are the animation's own work
+            this.measuredSpans.push({ start: noiseWindow.start, end: noiseWindow.end });
+            iconDisplay.innerHTML = '';
+            // A recording cut short by stopTest() is not a sample of the full duration
+            if (this.shouldStop) break;
 
-            // Track actual completed iterations for accurate progress
+            this.results[config.name] = this.summarizeFrames(frameTimes, refreshInterval, testConfig, renderContext);
+            this.recordRawSamples(config.name, frameTimes);
             this.completedIterations++;
-            
-            // Clean up for next iteration (but leave last batch visible)
-            if (i < endIndex - 1) {
-                const iconDisplay = document.getElementById('iconDisplay');
-                if (iconDisplay) {
-                    iconDisplay.innerHTML = '';
-                } else {
-                    testContainer.innerHTML = '';
-                }
-            } else {
-                // Keep final batch visible for user to see
-                console.log(`Final batch visible: ${testConfig.iconsPerTest} icons`);
-            }
+            this.attachBackgroundNoise();
+            this.writeCheckpoint();
         }
+        this.releaseRenderContexts();
     }
 
-    async measureBulkRender(config, referenceElement, testContainer, iconCount) {
-        return new Promise((resolve) => {
-            const totalStart = performance.now();
-            
-            // Phase 1: Generate icons
-            const generationStart = performance.now();
-            this.generateBulkIcons(config, referenceElement, testContainer, iconCount);
-            const generationEnd = performance.now();
-            
+    // Calls driveFrame(elapsedMs) once per animation frame for durationMs and resolves with the frame intervals
+    recordFrames(durationMs, driveFrame = () => {}) {
+        return new Promise(resolve => {
+            const frameTimes = [];
+            let start = null;
+            let last = null;
+            const step = (timestamp) => {
+                if (start === null) {
+                    start = timestamp;
+                } else {
+                    frameTimes.push(timestamp - last);
+                }
+                last = timestamp;
+                if (timestamp - start >= durationMs || this.shouldStop) {
+                    resolve(frameTimes);
+                    return;
+                }
+                driveFrame(timestamp - start);
+                requestAnimationFrame(step);
+            };
+            requestAnimationFrame(step);
+        });
+    }
+
+    // Median idle frame interval; dropped frames are counted in multiples of it
+    async estimateRefreshInterval() {
+        const idleFrames = await this.recordFrames(REFRESH_CALIBRATION_MS);
+        if (idleFrames.length === 0) return 1000 / 60;
+        return this.quantile([...idleFrames].sort((a, b) => a - b), 0.5);
+    }
+
+    // Every icon gets a phase-shifted transform, opacity and colour each frame. Colour reaches
+    // glyphs drawn with currentColor (font, CSS mask); other techniques only see transform/opacity.
+    // The icons are the display's children except the counter generateBulkIcons() may add.
+    createAnimationDriver(iconDisplay) {
+        const icons = [...iconDisplay.children].filter(element => !('iconCounter' in element.dataset));
+        return (elapsed) => {
+            const phase = elapsed / 1000 * Math.PI * 2;
+            icons.forEach((icon, i) => {
+                const angle = phase + i * 0.3;
+                icon.style.transform = `translate(${(Math.sin(angle) * 4).toFixed(2)}px, ${(Math.cos(angle) * 4).toFixed(2)}px) rotate(${(Math.sin(angle) * 15).toFixed(1)}deg)`;
+                icon.style.opacity = (0.6 + 0.4 * Math.sin(angle)).toFixed(3);
+                icon.style.color = `hsl(${Math.round(elapsed / 10 + i * 7) % 360}, 70%, 45%)`;
+            });
+        };
+    }
+
+    // Scrolls the icon list at a constant speed, wrapping back to the top at the end
+    createScrollDriver(iconDisplay) {
+        return (elapsed) => {
+            const range = iconDisplay.scrollHeight - iconDisplay.clientHeight;
+            iconDisplay.scrollTop = range > 0 ? (elapsed * JANK_SCROLL_SPEED) % range : 0;
+        };
+    }
+
+    /**
+     * Result for one config in a jank mode. Frame intervals stand in for render times so the
+     * existing tables, comparisons and storage work unchanged; the outlier policy is not
+     * applied because long frames are exactly what this mode measures.
+     */
+    summarizeFrames(frameTimes, refreshInterval, testConfig, renderContext) {
+        const sorted = [...frameTimes].sort((a, b) => a - b);
+        const elapsed = frameTimes.reduce((sum, t) => sum + t, 0);
+        const droppedFrames = frameTimes.reduce((sum, t) => sum + Math.max(0, Math.round(t / refreshInterval) - 1), 0);
+        return {
+            renderTime: this.calculateArrayStats(frameTimes),
+            memoryUsage: this.summarizeMemory({}, []),
+            elementMetrics: renderContext.referenceElement ? this.measureElementMetrics(renderContext.referenceElement) : null,
+            networkMetrics: null,
+            payload: renderContext.payload || null,
+            sampleSize: frameTimes.length,
+            testConfig: testConfig,
+            bulkMetrics: null,
+            jank: {
+                mode: this.benchmarkMode,
+                durationMs: elapsed,
+                frameCount: frameTimes.length,
+                fps: elapsed > 0 ? frameTimes.length / (elapsed / 1000) : 0,
+                p95FrameTime: sorted.length > 0 ? this.quantile(sorted, 0.95) : 0,
+                p99FrameTime: sorted.length > 0 ? this.quantile(sorted, 0.99) : 0,
+                maxFrameTime: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+                refreshInterval,
+                droppedFrames
+            }
+        };
+    }
+
+    /**
+     * Passes a run is made of: the reference pass (DEFAULT_ICON_SIZE at the preset icon count),
+     * one pass per other swept size at the preset count, and one per other scaling count at
+     * DEFAULT_ICON_SIZE. Sweeps are not crossed, so enabling both adds their passes together.
+     */
+    createMeasurementPasses(testConfig) {
+        const passes = [];
+        const sizes = this.sweepSizes.length > 0 ? this.sweepSizes : [DEFAULT_ICON_SIZE];
+        for (const iconSize of sizes) {
+            passes.push({ iconSize, iconsPerTest: testConfig.iconsPerTest, reference: iconSize === DEFAULT_ICON_SIZE });
+        }
+        if (this.scalingMode === 'dom-size') {
+            for (const iconsPerTest of SCALING_ICON_COUNTS) {
+                if (iconsPerTest === testConfig.iconsPerTest) continue;
+                passes.push({ iconSize: DEFAULT_ICON_SIZE, iconsPerTest, reference: false });
+            }
+        }
+        return passes;
+    }
+
+    async runConfigurations(orderedConfigs, testConfig) {
+        if (this.executionPlan.strategy === 'round-robin') {
+            await this.testConfigurationsInterleaved(orderedConfigs, testConfig);
+            return;
+        }
+        // Run test for each icon configuration
+        for (let configIndex = 0; configIndex < orderedConfigs.length; configIndex++) {
+            const config = orderedConfigs[configIndex];
+            if (this.shouldStop) break;
+            if (this.results[config.name]) continue; // finished before a resumed interruption
+            
+            if (!(await this.prepareRenderContext(config, testConfig.iterations + this.warmupIterations))) continue;
+            this.updateProgress(`Starting ${config.name} (${configIndex + 1}/${orderedConfigs.length})...`, 
+                              this.completedIterations / this.totalIterations * 100);
+            
+            await this.testIconConfiguration(config, testConfig);
+            if (this.results[config.name]) {
+                // Noise is attributed now so a resumed run keeps it for this config
+                this.attachBackgroundNoise();
+                this.writeCheckpoint();
+            }
+        }
+    }
+
+    // Summarise the pass that just finished under its size, per config. vectorConfigs and the
+    // per-size resampled flag let the summary dashboard, which has no icon configs, split vector
+    // from raster per config and mark raster timings scaled from 48px artwork.
+    recordSizeSweepResults(size) {
+        for (const [name, result] of Object.entries(this.results)) {
+            const perSize = this.sizeSweep.results[name] || (this.sizeSweep.results[name] = {});
+            const vectorConfigs = this.sizeSweep.vectorConfigs || (this.sizeSweep.vectorConfigs = []);
+            if (this.isVectorConfig(name) && !vectorConfigs.includes(name)) vectorConfigs.push(name);
+            perSize[size] = {
+                average: result.renderTime.average,
+                median: result.renderTime.median,
+                ciLower: result.renderTime.confidenceInterval.lower,
+                ciUpper: result.renderTime.confidenceInterval.upper,
+                timePerIcon: result.renderTime.average / (result.testConfig.iconsPerTest || 1),
+                sampleSize: result.sampleSize,
+                resampled: this.usesResampledArtwork(name, size)
+            };
+        }
+    }
+
+    // Summarise the pass that just finished under its icon count, per config
+    recordScalingResults(iconsPerTest) {
+        for (const [name, result] of Object.entries(this.results)) {
+            const perCount = this.scalingSweep.results[name] || (this.scalingSweep.results[name] = {});
+            perCount[iconsPerTest] = {
+                average: result.renderTime.average,
+                median: result.renderTime.median,
+                ciLower: result.renderTime.confidenceInterval.lower,
+                ciUpper: result.renderTime.confidenceInterval.upper,
+                sampleSize: result.sampleSize
+            };
+        }
+    }
+
+    /**
+     * Fit mean render time against icon count for every config, both as a line
+     * (t = intercept + slope·n, ordinary least squares) and as a power law
+     * (t = coefficient·n^exponent, least squares on log–log). R² is computed on the
+     * untransformed times for both so they can be compared; the better one is `best`.
+     * `budgetIcons` is the icon count the best model puts at one 60 Hz frame.
+     */
+    fitScalingModels() {
+        for (const [name, byCount] of Object.entries(this.scalingSweep.results)) {
+            const points = Object.entries(byCount).map(([count, summary]) => ({ n: Number(count), t: summary.average }));
+            this.scalingSweep.fits[name] = this.fitScalingModel(points);
+        }
+    }
+
+    fitScalingModel(points) {
+        const leastSquares = (xs, ys) => {
+            const meanX = xs.reduce((sum, v) => sum + v, 0) / xs.length;
+            const meanY = ys.reduce((sum, v) => sum + v, 0) / ys.length;
+            let sxy = 0, sxx = 0;
+            for (let i = 0; i < xs.length; i++) {
+                sxy += (xs[i] - meanX) * (ys[i] - meanY);
+                sxx += (xs[i] - meanX) ** 2;
+            }
+            const slope = sxx > 0 ? sxy / sxx : 0;
+            return { slope, intercept: meanY - slope * meanX };
+        };
+        const rSquared = (predict) => {
+            const meanT = points.reduce((sum, p) => sum + p.t, 0) / points.length;
+            const total = points.reduce((sum, p) => sum + (p.t - meanT) ** 2, 0);
+            const residual = points.reduce((sum, p) => sum + (p.t - predict(p.n)) ** 2, 0);
+            return total > 0 ? 1 - residual / total : null;
+        };
+
+        if (points.length < 2) return null;
+        const line = leastSquares(points.map(p => p.n), points.map(p => p.t));
+        const linear = { ...line, r2: rSquared(n => line.intercept + line.slope * n) };
+
+        // Power law needs positive times; zero-time points (timer resolution) are left out of it
+        const positive = points.filter(p => p.t > 0);
+        let powerLaw = null;
+        if (positive.length >= 2) {
+            const logFit = leastSquares(positive.map(p => Math.log(p.n)), positive.map(p => Math.log(p.t)));
+            const coefficient = Math.exp(logFit.intercept);
+            powerLaw = { coefficient, exponent: logFit.slope, r2: rSquared(n => coefficient * Math.pow(n, logFit.slope)) };
+        }
+
+        const best = powerLaw && powerLaw.r2 != null && (linear.r2 == null || powerLaw.r2 > linear.r2) ? 'power-law' : 'linear';
+        let budgetIcons = null;
+        if (best === 'linear' && linear.slope > 0) {
+            budgetIcons = (FRAME_BUDGET_MS - linear.intercept) / linear.slope;
+        } else if (best === 'power-law' && powerLaw.exponent > 0) {
+            budgetIcons = Math.pow(FRAME_BUDGET_MS / powerLaw.coefficient, 1 / powerLaw.exponent);
+        }
+        return { linear, powerLaw, best, budgetIcons: budgetIcons != null && budgetIcons > 0 ? Math.floor(budgetIcons) : null };
+    }
+
+    async testIconConfiguration(config, testConfig) {
+        this.updateProgress(`Testing ${config.name}...`, this.completedIterations / this.totalIterations * 100);
+        
+        // Update rendering tab with current test info
+        this.renderTestHeader(config.name, testConfig);
+        
+        const measurements = this.createMeasurements();
+
+        // Measure network overhead for font-based icons (once)
+        if (config.hasNetworkOverhead && !measurements.networkMetrics) {
+            measurements.networkMetrics = await this.measureNetworkOverhead();
+        }
+
+        // Academic research mode - always run straight through for maximum accuracy
+        // UI updates happen in background without affecting timing
+        this.updateProgress(`${config.name}: Starting ${this.usesPrecisionTarget() ? 'up to ' : ''}${testConfig.iterations.toLocaleString()} iterations...`, 
+                          this.completedIterations / this.totalIterations * 100);
+        
+        // Start background progress updates (non-blocking)
+        const progressInterval = this.startProgressMonitoring(config, testConfig);
+        
+        try {
+            // Warm-up phase: same measurement loop, samples kept separately and excluded from stats
+            if (this.warmupIterations > 0) {
+                const warmupMeasurements = this.createMeasurements();
+                await this.processBatch(config, 0, this.warmupIterations, warmupMeasurements, testConfig);
+                measurements.warmupRenderTimes = warmupMeasurements.renderTimes;
+                if (this.shouldStop) return;
+            }
+
+            // measureUserAgentSpecificMemory() is asynchronous and may force a GC, so with that
+            // backend memory is taken once around the measured iterations rather than per iteration
+            const memoryBefore = this.memoryBackend === 'uasm' ? await this.measureMemory() : null;
+
+            // Run performance test without interruptions for accuracy
+            // completedIterations is incremented per-iteration inside processBatch
+            if (this.usesPrecisionTarget()) {
+                measurements.sequentialStopping = await this.runUntilPrecise(config, measurements, testConfig);
+            } else {
+                await this.processBatch(config, 0, testConfig.iterations, measurements, testConfig);
+            }
+
+            if (memoryBefore) {
+                const memoryAfter = await this.measureMemory();
+                measurements.memorySnapshot = { used: memoryAfter.used - memoryBefore.used, total: memoryAfter.total };
+            }
+        } finally {
+            // Stop background monitoring
+            if (progressInterval) {
+                clearInterval(progressInterval);
+            }
+        }
+
+        // A config cut off by stopTest() is dropped rather than saved with a short sample
+        if (this.shouldStop) return;
+
+        // Store aggregated results
+        this.results[config.name] = this.calculateStatistics(measurements, testConfig);
+        this.recordRawSamples(config.name, measurements.renderTimes);
+    }
+
+    usesPrecisionTarget() {
+        return this.precisionTarget > 0 && this.benchmarkMode === 'insertion';
+    }
+
+    /**
+     * Sequential stopping for one config: PRECISION_MIN_ITERATIONS first, then chunks of
+     * PRECISION_CHUNK_ITERATIONS until the target precision is reached or the budget
+     * (testConfig.iterations) is used up. Iterations left in the budget are taken off the
+     * progress total.
+     */
+    async runUntilPrecise(config, measurements, testConfig) {
+        const budget = testConfig.iterations;
+        let precision = null;
+        while (measurements.renderTimes.length < budget && !this.shouldStop) {
+            const done = measurements.renderTimes.length;
+            const chunk = done === 0 ? PRECISION_MIN_ITERATIONS : PRECISION_CHUNK_ITERATIONS;
+            await this.processBatch(config, done, Math.min(budget, done + chunk), measurements, testConfig);
+            precision = this.getRelativePrecision(measurements.renderTimes);
+            if (this.meetsPrecisionTarget(precision)) break;
+        }
+        const iterationsUsed = measurements.renderTimes.length;
+        if (!this.shouldStop) {
+            this.totalIterations -= budget - iterationsUsed;
+        }
+        return this.createStoppingRecord(iterationsUsed, budget, precision);
+    }
+
+    // 95% CI half-width relative to the mean, computed on the samples calculateStatistics() would keep
+    getRelativePrecision(renderTimes) {
+        const outliers = this.applyOutlierPolicy(renderTimes, this.outlierPolicy);
+        const stats = this.calculateArrayStats(renderTimes.filter((_, index) => outliers.keptIndices.has(index)));
+        if (stats.sampleSize < 2 || stats.average === 0) return null;
+        return (stats.confidenceInterval.upper - stats.confidenceInterval.lower) / 2 / Math.abs(stats.average);
+    }
+
+    meetsPrecisionTarget(precision) {
+        return precision !== null && precision <= this.precisionTarget / 100;
+    }
+
+    createStoppingRecord(iterationsUsed, budget, precision) {
+        return {
+            targetRelativeHalfWidth: this.precisionTarget / 100,
+            achievedRelativeHalfWidth: precision,
+            iterationsUsed,
+            budget,
+            targetMet: this.meetsPrecisionTarget(precision)
+        };
+    }
+
+    /**
+     * Round-robin execution: one iteration of each config per round, so every config
+     * sees the same warm-up state and heap pressure. The starting config rotates each
+     * round to keep any position-in-round effect balanced across configs.
+     */
+    async testConfigurationsInterleaved(orderedConfigs, testConfig) {
+        // Every config is in every round, so unavailable ones are left out before the first
+        const configs = [];
+        for (const config of orderedConfigs) {
+            if (await this.prepareRenderContext(config, testConfig.iterations + this.warmupIterations)) configs.push(config);
+        }
+        if (configs.length === 0) return;
+        this.renderTestHeader(`${configs.length} configurations (round-robin)`, testConfig);
+
+        const measurementsByConfig = new Map();
+        const warmupByConfig = new Map();
+        for (const config of configs) {
+            const measurements = this.createMeasurements();
+            if (config.hasNetworkOverhead) {
+                measurements.networkMetrics = await this.measureNetworkOverhead();
+            }
+            measurementsByConfig.set(config, measurements);
+            warmupByConfig.set(config, this.createMeasurements());
+        }
+
+        const progressInterval = this.startProgressMonitoring({ name: 'Round-robin' }, testConfig, this.totalIterations);
+        // With a precision target every config stays in the rotation until all of them meet it,
+        // so no config runs its later rounds without the others
+        const runRound = async (round, byConfig) => {
+            for (let offset = 0; offset < configs.length; offset++) {
+                if (this.shouldStop) return;
+                const config = configs[(round + offset) % configs.length];
+                await this.processBatch(config, round, round + 1, byConfig.get(config), testConfig);
+            }
+        };
+
+        try {
+            for (let round = 0; round < this.warmupIterations && !this.shouldStop; round++) {
+                await runRound(round, warmupByConfig);
+            }
+            for (let round = 0; round < testConfig.iterations && !this.shouldStop; round++) {
+                await runRound(round, measurementsByConfig);
+                const rounds = round + 1;
+                if (!this.usesPrecisionTarget() || this.shouldStop || rounds < PRECISION_MIN_ITERATIONS ||
+                    (rounds - PRECISION_MIN_ITERATIONS) % PRECISION_CHUNK_ITERATIONS !== 0) continue;
+                const precisions = configs.map(config => this.getRelativePrecision(measurementsByConfig.get(config).renderTimes));
+                if (!precisions.every(precision => this.meetsPrecisionTarget(precision))) continue;
+                configs.forEach((config, index) => {
+                    measurementsByConfig.get(config).sequentialStopping = this.createStoppingRecord(rounds, testConfig.iterations, precisions[index]);
+                });
+                this.totalIterations -= (testConfig.iterations - rounds) * configs.length;
+                break;
+            }
+        } finally {
+            if (progressInterval) {
+                clearInterval(progressInterval);
+            }
+        }
+
+        // In a stopped round-robin run every config is at most one round short of the others,
+        // so the partial samples stay comparable and are kept
+        for (const config of configs) {
+            const measurements = measurementsByConfig.get(config);
+            if (measurements.renderTimes.length === 0) continue;
+            if (this.warmupIterations > 0) {
+                measurements.warmupRenderTimes = warmupByConfig.get(config).renderTimes;
+            }
+            if (this.usesPrecisionTarget() && !measurements.sequentialStopping) {
+                measurements.sequentialStopping = this.createStoppingRecord(measurements.renderTimes.length,
+                    testConfig.iterations, this.getRelativePrecision(measurements.renderTimes));
+            }
+            this.results[config.name] = this.calculateStatistics(measurements, testConfig);
+            this.recordRawSamples(config.name, measurements.renderTimes);
+        }
+    }
+
+    createMeasurements() {
+        return {
+            renderTimes: [],
+            memoryUsage: [],
+            elementMetrics: null,
+            networkMetrics: null,
+            bulkMetrics: []
+        };
+    }
+
+    renderTestHeader(title, testConfig) {
+        const testContainer = document.getElementById('bulkTestContainer');
+        if (!testContainer) return;
+        if (this.sizeSweep) title = `${title} @ ${this.iconSize}px`;
+        // Cells never shrink below the icon plus its m-1 margins, so large sizes scroll instead of overlapping
+        const columnWidth = this.iconSize === DEFAULT_ICON_SIZE ? '1fr' : `minmax(${this.iconSize + 8}px, 1fr)`;
+
+        testContainer.innerHTML = `
+                <div style="text-align: center; padding: 20px; border-bottom: 1px solid #e5e5e5; margin-bottom: 16px;">
+                    <h3 style="margin: 0; color: #333; font-size: 18px;">🧪 Testing: ${title}</h3>
+                    <p style="margin: 8px 0 0 0; color: #666; font-size: 14px;">${testConfig.description} • ${this.usesPrecisionTarget() ? 'up to ' : ''}${testConfig.iterations} iterations • ${testConfig.iconsPerTest} icons per test</p>
+                    <p style="margin: 4px 0 0 0; color: #888; font-size: 12px;">Displaying up to ${testConfig.iconsPerTest} icons below</p>
+                </div>
+                <div id="iconDisplay" style="
+                    display: grid; 
+                    grid-template-columns: repeat(20, ${columnWidth}); 
+                    gap: 2px;
+                    max-height: 70vh;
+                    overflow: auto;
+                    border: 1px solid #f0f0f0;
+                    border-radius: 4px;
+                    padding: 8px;
+                ">
+                    <div style="text-align: center; color: #666; grid-column: 1/-1; padding: 20px;">Icons will appear here during testing...</div>
+                </div>
+            `;
+    }
+
+    /**
+     * Decide the order configs run in for this test.
+     * - sequential:   declaration order (original behaviour)
+     * - random:       seeded shuffle; the seed is recorded so the order can be replayed
+     * - latin-square: cyclic rotation by a per-page run counter, so over N runs every
+     *                 config occupies every position exactly once
+     * - round-robin:  declaration order, iterations interleaved (see testConfigurationsInterleaved)
+     */
+    createExecutionPlan() {
+        const names = this.iconConfigs.map(c => c.name);
+        const plan = { strategy: this.executionOrder, seed: null, runIndex: null, configOrder: names };
+
+        if (this.executionOrder === 'random') {
+            plan.seed = this.orderSeed != null ? this.orderSeed : Math.floor(Math.random() * 4294967296);
+            plan.configOrder = this.seededShuffle(names, plan.seed);
+        } else if (this.executionOrder === 'latin-square') {
+            const counterKey = `iconTestRunIndex_${this.detectPageFormat()}`;
+            plan.runIndex = parseInt(localStorage.getItem(counterKey) || '0', 10) || 0;
+            localStorage.setItem(counterKey, String(plan.runIndex + 1));
+            const shift = plan.runIndex % names.length;
+            plan.configOrder = names.slice(shift).concat(names.slice(0, shift));
+        } else if (this.executionOrder === 'round-robin') {
+            plan.rotatedEachRound = true;
+        } else {
+            plan.strategy = 'sequential';
+        }
+
+        return plan;
+    }
+
+    // Fisher–Yates shuffle driven by mulberry32 so the same seed always yields the same order
+    seededShuffle(items, seed) {
+        const random = this.createSeededRandom(seed);
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // mulberry32, shared with the bootstrap in statistics.js
+    createSeededRandom(seed) {
+        return createSeededRandom(seed);
+    }
+
+    async processBatch(config, startIndex, endIndex, measurements, testConfig) {
+        // Reference element (for metrics and markup fallback) is resolved once per config by its render type
+        const renderContext = await this.getRenderContext(config);
+        const referenceElement = renderContext.referenceElement;
+
+        // Measure element metrics once per configuration
+        if (!measurements.elementMetrics) {
+            measurements.elementMetrics = this.measureElementMetrics(referenceElement);
+        }
+        if (!measurements.payload && renderContext.payload) {
+            measurements.payload = renderContext.payload;
+        }
+
+        const testContainer = document.getElementById('bulkTestContainer');
+        const noiseWindow = this.openNoiseWindow(config.name);
+
+        try {
+            await this.runBatchIterations(config, referenceElement, testContainer, startIndex, endIndex, measurements, testConfig);
+        } finally {
+            noiseWindow.end = performance.now();
+        }
+    }
+
+    async runBatchIterations(config, referenceElement, testContainer, startIndex, endIndex, measurements, testConfig) {
+        // Run iterations - each iteration tests bulk icon rendering
+        for (let i = startIndex; i < endIndex; i++) {
+            // Pauses and stops land between iterations, never inside a measurement
+            await this.waitWhilePaused();
+            if (this.shouldStop) break;
+            const startMemory = this.memoryBackend === 'performance-memory' ? this.getMemoryUsage() : null;
+            
+            // Generate and measure bulk icon rendering
+            const bulkRenderTime = await this.measureBulkRender(config, referenceElement, testContainer, testConfig.iconsPerTest);
+            measurements.renderTimes.push(bulkRenderTime.totalTime);
+            measurements.bulkMetrics.push({
+                totalTime: bulkRenderTime.totalTime,
+                generationTime: bulkRenderTime.generationTime,
+                decodeTime: bulkRenderTime.decodeTime,
+                layoutTime: bulkRenderTime.layoutTime,
+                paintTime: bulkRenderTime.paintTime,
+                paintSource: bulkRenderTime.paintSource,
+                iconsRendered: testConfig.iconsPerTest
+            });
+            
+            // Measure memory usage
+            if (startMemory) {
+                const endMemory = this.getMemoryUsage();
+                measurements.memoryUsage.push({
+                    used: endMemory.used - startMemory.used,
+                    total: endMemory.total
+                });
+            }
+
+            // Track actual completed iterations for accurate progress
+            this.completedIterations++;
+            
+            // Clean up for next iteration (but leave last batch visible)
+            if (i < endIndex - 1) {
+                const iconDisplay = document.getElementById('iconDisplay');
+                if (iconDisplay) {
+                    iconDisplay.innerHTML = '';
+                } else {
+                    testContainer.innerHTML = '';
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolve a config's render type and reference element on first use and cache them
+     * for the rest of the run; releaseRenderContexts() hands them back to teardown().
+     * Async because some render types fetch their source before the first batch.
+     */
+    async getRenderContext(config) {
+        if (this.renderContexts.has(config.name)) {
+            return this.renderContexts.get(config.name);
+        }
+
+        const renderType = StressTestManager.getRenderType(config.renderType);
+        const referenceElement = renderType.createReference
+            ? await renderType.createReference(config, this)
+            : this.findReferenceElement(config);
+        if (!referenceElement) {
+            throw new Error(`Element not found: ${config.selector}`);
+        }
+
+        const context = { config, renderType, referenceElement };
+        context.payload = renderType.describePayload ? renderType.describePayload(config, context) : null;
+        this.renderContexts.set(config.name, context);
+        return context;
+    }
+
+    /**
+     * Resolve a config's render context before it is measured. A config this browser can't
+     * render (e.g. no OffscreenCanvas) or whose source fails to load is recorded in
+     * unavailableConfigs and its iterations are taken off the progress total, so the other
+     * configs still run. Returns whether the config can be measured.
+     */
+    async prepareRenderContext(config, iterations) {
+        try {
+            await this.getRenderContext(config);
+            return true;
+        } catch (error) {
+            this.skipConfig(config, error.message, iterations);
+            return false;
+        }
+    }
+
+    // Leave a config out of the run; the reason is listed with the results
+    skipConfig(config, reason, iterations) {
+        console.warn(`Skipping ${config.name}: ${reason}`);
+        this.unavailableConfigs[config.name] = reason;
+        this.totalIterations -= iterations;
+    }
+
+    releaseRenderContexts() {
+        for (const context of this.renderContexts.values()) {
+            if (context.renderType.teardown) {
+                try {
+                    context.renderType.teardown(context.config, context, this);
+                } catch (error) {
+                    console.warn(`Teardown failed for render type "${context.renderType.name}":`, error);
+                }
+            }
+        }
+        this.renderContexts.clear();
+    }
+
+    // Default reference lookup; circular variants use the second matching example on the page
+    findReferenceElement(config) {
+        if (config.isCircular) {
+            return document.querySelectorAll(config.selector)[1] || document.querySelector(config.selector);
+        }
+        return document.querySelector(config.selector);
+    }
+
+    // Off-screen copy of the icon for configs whose example isn't on the page (removed in teardown)
+    createTemporaryReference(markup) {
+        const tempDiv = document.createElement('div');
+        tempDiv.dataset.temporaryReference = 'true';
+        tempDiv.style.cssText = 'position:absolute;left:-9999px;top:-9999px;';
+        tempDiv.innerHTML = markup;
+        document.body.appendChild(tempDiv);
+        return tempDiv.firstElementChild;
+    }
+
+    removeTemporaryReference(element) {
+        const wrapper = element && element.parentElement;
+        if (wrapper && wrapper.dataset.temporaryReference) {
+            wrapper.remove();
+        }
+    }
+
+    // Inline box size for an icon wrapper during a size sweep. The DEFAULT_ICON_SIZE markup is
+    // left untouched so its results stay comparable with runs made before sweeps existed.
+    applyIconSize(element) {
+        if (this.iconSize !== DEFAULT_ICON_SIZE) {
+            element.style.width = element.style.height = `${this.iconSize}px`;
+        }
+        return element;
+    }
+
+    // Glyph size inside the gradient tile: 20px (text-xl) at 48px, scaled with the tile
+    getGlyphSize() {
+        return Math.round(this.iconSize * 20 / DEFAULT_ICON_SIZE);
+    }
+
+    /**
+     * Raster asset for the current icon size. DEFAULT_ICON_SIZE uses the config's own
+     * src / src2x; sweep sizes go.js emits use the config's `sizedSrc` template
+     * ('{size}' and '{density}' placeholders), anything else falls back to a rescaled src.
+     */
+    getSizedSrc(config, density = 1) {
+        const fallback = density === 2 && config.src2x ? config.src2x : config.src;
+        if (this.iconSize === DEFAULT_ICON_SIZE || !config.sizedSrc || !SIZED_ASSET_SIZES.includes(this.iconSize)) {
+            return fallback;
+        }
+        return config.sizedSrc.replace('{size}', this.iconSize).replace('{density}', `${density}x`);
+    }
+
+    /**
+     * Asset URL for one icon under the current cache mode. Warm mode returns the URL
+     * unchanged; cold modes append a cache-busting query that changes per batch
+     * ('cold-iteration') or per icon ('cold-icon'), keeping any #fragment at the end.
+     */
+    resolveAssetUrl(url, { batchId, index } = {}) {
+        if (this.cacheMode === 'warm' || !url) return url;
+        const scope = this.cacheMode === 'cold-icon' ? `${batchId || 'batch'}-${index}` : (batchId || 'batch');
+        const hashIndex = url.indexOf('#');
+        const path = hashIndex === -1 ? url : url.slice(0, hashIndex);
+        const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+        return `${path}${path.includes('?') ? '&' : '?'}cb=${this.cacheBustToken}-${scope}${hash}`;
+    }
+
+    // Stable, CSS-safe class name for a config, e.g. ('css-bg', 'Standard PNG') → 'css-bg-standard-png'
+    getConfigClassName(prefix, config) {
+        return `${prefix}-${config.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+    }
+
+    // Per-config stylesheet so CSS-delivered icons share one rule, as they would in production CSS
+    injectRenderStyle(id, css) {
+        this.removeRenderStyle(id);
+        const style = document.createElement('style');
+        style.dataset.renderStyle = id;
+        style.textContent = css;
+        document.head.appendChild(style);
+    }
+
+    removeRenderStyle(id) {
+        const existing = document.querySelector(`style[data-render-style="${id}"]`);
+        if (existing) existing.remove();
+    }
+
+    async measureBulkRender(config, referenceElement, testContainer, iconCount) {
+        const batchId = `batch-${this.completedIterations}`;
+
+        const totalStart = performance.now();
+
+        // Phase 1: Generate icons (async only for render types that draw off the main thread)
+        const generationStart = performance.now();
+        const pendingGeneration = this.generateBulkIcons(config, referenceElement, testContainer, iconCount, batchId);
+        if (pendingGeneration) {
+            await pendingGeneration;
+        }
+        const generationEnd = performance.now();
+
+        // Phase 1b (optional): wait until every <img> in the batch is decoded; null for non-image batches
+        let decodeTime = null;
+        if (this.decodePhase === 'await') {
+            const iconDisplay = document.getElementById('iconDisplay') || testContainer;
+            const images = iconDisplay.querySelectorAll('img');
+            if (images.length > 0) {
+                const decodeStart = performance.now();
+                await this.waitForImagesDecoded(images);
+                decodeTime = performance.now() - decodeStart;
+            }
+        }
+
+        const timings = await new Promise((resolve) => {
             // Phase 2: Force layout and render
             requestAnimationFrame(() => {
                 const layoutStart = performance.now();
@@ -496,15 +1950,245 @@ class StressTestManager {
                 const totalEnd = performance.now();
                 
                 resolve({
+                    totalStart,
                     totalTime: totalEnd - totalStart,
                     generationTime: generationEnd - generationStart,
-                    layoutTime: layoutEnd - layoutStart
+                    layoutTime: layoutEnd - layoutStart,
+                    layoutEnd
                 });
             });
         });
+
+        const result = {
+            totalTime: timings.totalTime,
+            generationTime: timings.generationTime,
+            decodeTime,
+            layoutTime: timings.layoutTime,
+            paintTime: null,
+            paintSource: null
+        };
+
+        // Phase 3 (paint mode only): wait until the frame containing the icons is presented,
+        // so raster, decode and composite work is included in the measurement
+        if (this.timingMode === 'paint') {
+            const fenceEnd = await this.waitForFramePresented();
+            const paintEntryTime = this.takePaintEntryTime(batchId, timings.layoutEnd);
+            const paintEnd = paintEntryTime !== null ? Math.min(paintEntryTime, fenceEnd) : fenceEnd;
+
+            result.paintTime = paintEnd - timings.layoutEnd;
+            result.paintSource = paintEntryTime !== null ? 'element-timing' : 'frame-fence';
+            result.totalTime = paintEnd - timings.totalStart;
+        }
+
+        this.measuredSpans.push({ start: timings.totalStart, end: timings.totalStart + result.totalTime });
+        return result;
     }
 
-    generateBulkIcons(config, referenceElement, testContainer, iconCount) {
+    /**
+     * Resolve once every image has decoded. decode() rejects for broken images and for
+     * images whose src changed mid-decode, so fall back to the load/error events there;
+     * a failed image still counts as settled so one bad icon can't stall the batch.
+     */
+    waitForImagesDecoded(images) {
+        return Promise.all([...images].map(img => img.decode().catch(() => {
+            if (img.complete) return;
+            return new Promise(resolve => {
+                img.addEventListener('load', resolve, { once: true });
+                img.addEventListener('error', resolve, { once: true });
+            });
+        })));
+    }
+
+    /**
+     * Post-frame fence: the second rAF callback runs at the start of the frame after
+     * the one that painted the icons, and the MessageChannel task queued from it runs
+     * once that callback returns, so the resolved timestamp is after presentation.
+     */
+    waitForFramePresented() {
+        return new Promise((resolve) => {
+            requestAnimationFrame(() => {
+                requestAnimationFrame(() => {
+                    const channel = new MessageChannel();
+                    channel.port1.onmessage = () => {
+                        channel.port1.close();
+                        resolve(performance.now());
+                    };
+                    channel.port2.postMessage(null);
+                });
+            });
+        });
+    }
+
+    /**
+     * Observe Element Timing ('element') and first paint ('paint') entries where the
+     * browser supports them. Entries are buffered until takePaintEntryTime() drains them.
+     */
+    startPaintObserver() {
+        this.stopPaintObserver();
+        if (!('PerformanceObserver' in window)) return;
+
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        const entryTypes = ['element', 'paint'].filter(type => supported.includes(type));
+        if (entryTypes.length === 0) return;
+
+        this.paintEntries = [];
+        this.paintObserver = new PerformanceObserver((list) => {
+            this.paintEntries.push(...list.getEntries());
+        });
+        try {
+            this.paintObserver.observe({ entryTypes });
+        } catch (error) {
+            console.warn('Paint observer unavailable:', error);
+            this.paintObserver = null;
+        }
+    }
+
+    startNoiseObserver() {
+        this.stopNoiseObserver();
+        this.unattributedNoise = this.createNoiseSummary();
+        if (!('PerformanceObserver' in window)) return;
+
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        this.noiseEntryTypes = NOISE_ENTRY_TYPES.filter(type => supported.includes(type));
+        if (this.noiseEntryTypes.length === 0) return;
+
+        this.noiseObserver = new PerformanceObserver((list) => {
+            this.noiseEntries.push(...list.getEntries());
+        });
+        // One observe() call per type: durationThreshold is only accepted with `type`
+        this.noiseEntryTypes = this.noiseEntryTypes.filter(type => {
+            try {
+                this.noiseObserver.observe(type === 'event' ? { type, durationThreshold: NOISE_EVENT_THRESHOLD_MS } : { type });
+                return true;
+            } catch (error) {
+                console.warn(`${type} observer unavailable:`, error);
+                return false;
+            }
+        });
+    }
+
+    stopNoiseObserver() {
+        if (this.noiseObserver) {
+            this.noiseObserver.disconnect();
+        }
+        this.noiseObserver = null;
+        this.noiseEntries = [];
+        this.noiseWindows = [];
+        this.measuredSpans = [];
+    }
+
+    // Time span during which observed entries belong to `name`; the caller sets `end` when done
+    openNoiseWindow(name) {
+        const noiseWindow = { name, start: performance.now(), end: null };
+        this.noiseWindows.push(noiseWindow);
+        return noiseWindow;
+    }
+
+    createNoiseSummary() {
+        return {
+            longTasks: { count: 0, totalDuration: 0, maxDuration: 0 },
+            renderLongTasks: { count: 0, totalDuration: 0, maxDuration: 0 },
+            layoutShifts: { count: 0, totalScore: 0 },
+            events: { count: 0, totalDuration: 0, maxDuration: 0 }
+        };
+    }
+
+    addNoiseEntry(summary, entry, duringRender = false) {
+        if (entry.entryType === 'layout-shift') {
+            // Shifts right after user input are expected and excluded, as in CLS
+            if (entry.hadRecentInput) return;
+            summary.layoutShifts.count++;
+            summary.layoutShifts.totalScore += entry.value;
+            return;
+        }
+        const bucket = entry.entryType !== 'longtask' ? summary.events
+            : duringRender ? summary.renderLongTasks : summary.longTasks;
+        bucket.count++;
+        bucket.totalDuration += entry.duration;
+        bucket.maxDuration = Math.max(bucket.maxDuration, entry.duration);
+    }
+
+    /**
+     * Attribute the entries observed since the last call to the configs whose noise windows
+     * contain them and store each summary on this.results[name].backgroundNoise. Entries
+     * outside every window (between configs, during setup) add to this.unattributedNoise.
+     * Long tasks overlapping a measured span are counted as renderLongTasks, not noise.
+     * Configs summarised by an earlier call (sequential runs call this per config) keep theirs.
+     */
+    attachBackgroundNoise() {
+        const entries = this.noiseEntries.concat(this.noiseObserver ? this.noiseObserver.takeRecords() : []);
+        this.noiseEntries = [];
+
+        const byConfig = new Map();
+        for (const entry of entries) {
+            const noiseWindow = this.findLastSpanStartingBy(this.noiseWindows, entry.startTime);
+            const owner = noiseWindow && entry.startTime <= (noiseWindow.end ?? Infinity) ? noiseWindow : null;
+            let summary = this.unattributedNoise;
+            if (owner) {
+                if (!byConfig.has(owner.name)) byConfig.set(owner.name, this.createNoiseSummary());
+                summary = byConfig.get(owner.name);
+            }
+            const entryEnd = entry.startTime + (entry.duration || 0);
+            const measuredSpan = entry.entryType === 'longtask' ? this.findLastSpanStartingBy(this.measuredSpans, entryEnd) : null;
+            const duringRender = !!measuredSpan && measuredSpan.end >= entry.startTime;
+            if (summary) this.addNoiseEntry(summary, entry, duringRender);
+        }
+        this.noiseWindows = [];
+        this.measuredSpans = [];
+
+        for (const [name, result] of Object.entries(this.results)) {
+            if (!this.noiseObserver) {
+                result.backgroundNoise = null;
+            } else if (byConfig.has(name) || !result.backgroundNoise) {
+                result.backgroundNoise = byConfig.get(name) || this.createNoiseSummary();
+            }
+        }
+    }
+
+    // Binary search over spans recorded in time order: the last one with start <= time, or null
+    findLastSpanStartingBy(spans, time) {
+        let low = 0;
+        let high = spans.length - 1;
+        let found = null;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (spans[mid].start <= time) {
+                found = spans[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    stopPaintObserver() {
+        if (this.paintObserver) {
+            this.paintObserver.disconnect();
+        }
+        this.paintObserver = null;
+        this.paintEntries = [];
+    }
+
+    // Latest paint timestamp reported for this batch, or null when none was observed
+    takePaintEntryTime(batchId, notBefore) {
+        if (!this.paintObserver) return null;
+
+        const entries = this.paintEntries.concat(this.paintObserver.takeRecords());
+        this.paintEntries = [];
+
+        let latest = null;
+        for (const entry of entries) {
+            const isBatchEntry = entry.entryType === 'element' ? entry.identifier === batchId : entry.entryType === 'paint';
+            const time = entry.renderTime || entry.startTime;
+            if (isBatchEntry && time >= notBefore && (latest === null || time > latest)) {
+                latest = time;
+            }
+        }
+        return latest;
+    }
+
+    generateBulkIcons(config, referenceElement, testContainer, iconCount, batchId) {
         // Find the iconDisplay container or use the main container as fallback
         const iconDisplay = document.getElementById('iconDisplay') || testContainer;
         const fragment = document.createDocumentFragment();
@@ -517,6 +2201,7 @@ class StressTestManager {
         // Add counter showing how many icons are being rendered
         if (iconDisplay.id === 'iconDisplay') {
             const counter = document.createElement('div');
+            counter.dataset.iconCounter = '';
             counter.style.cssText = `
                 grid-column: 1/-1;
                 text-align: center;
@@ -531,80 +2216,20 @@ class StressTestManager {
             iconDisplay.appendChild(counter);
         }
         
-        for (let i = 0; i < iconCount; i++) {
-            let iconElement;
-            
-            if (config.renderType === 'inline-svg') {
-                // Inline SVG icon — build SVG DOM nodes with unique gradient IDs
-                iconElement = document.createElement('div');
-                iconElement.className = 'w-12 h-12 m-1 inline-flex';
-                let svgMarkup = config.svgMarkup || referenceElement.outerHTML;
-                // Replace gradient IDs with unique ones to avoid DOM conflicts
-                const uid = 'g' + i;
-                svgMarkup = svgMarkup.replace(/id="[^"]*"/g, `id="${uid}"`).replace(/url\(#[^)]*\)/g, `url(#${uid})`);
-                iconElement.innerHTML = svgMarkup;
-            } else if (config.renderType === 'external-svg') {
-                // External SVG via <img> tag
-                iconElement = document.createElement('div');
-                iconElement.className = 'w-12 h-12 m-1 inline-flex';
-                const img = document.createElement('img');
-                img.src = config.src || 'img/remix_circle_icon.svg';
-                img.width = 48;
-                img.height = 48;
-                img.alt = config.name;
-                iconElement.appendChild(img);
-            } else if (config.renderType === 'optimized-svg') {
-                // Optimized / minified inline SVG with unique gradient IDs
-                iconElement = document.createElement('div');
-                iconElement.className = 'w-12 h-12 m-1 inline-flex';
-                let svgMarkup = config.svgMarkup || referenceElement.outerHTML;
-                const uid = 'o' + i;
-                svgMarkup = svgMarkup.replace(/id="[^"]*"/g, `id="${uid}"`).replace(/url\(#[^)]*\)/g, `url(#${uid})`);
-                iconElement.innerHTML = svgMarkup;
-            } else if (config.hasNetworkOverhead) {
-                // Font-based icon (Remix Icons)
-                iconElement = document.createElement('div');
-                iconElement.className = 'w-12 h-12 bg-gradient-to-br from-blue-600 to-teal-500 rounded-lg flex items-center justify-center m-1 inline-flex';
-                const icon = document.createElement('i');
-                icon.className = 'ri-code-s-slash-line text-white text-xl';
-                iconElement.appendChild(icon);
-                
-                if (config.isCircular) {
-                    iconElement.className = iconElement.className.replace('rounded-lg', 'rounded-full');
-                }
-            } else {
-                // CSS-based icon
-                iconElement = document.createElement('div');
-                iconElement.className = 'w-12 h-12 bg-gradient-to-br from-blue-600 to-teal-500 rounded-lg flex items-center justify-center m-1 inline-flex';
-                const iconContent = document.createElement('div');
-                iconContent.className = config.selector.substring(1); // Remove the dot
-                
-                // For minimal/simple CSS icons, let CSS pseudo-elements handle the content
-                if (config.name.includes('Minimal') || config.name.includes('Simple')) {
-                    // Don't set textContent - let CSS ::after pseudo-element work
-                } else if (config.name.includes('Circular') && !config.name.includes('Pure CSS')) {
-                    // Circular CSS variant, also uses pseudo-elements
-                } else {
-                    // Other CSS icons that might need manual content
-                    iconContent.textContent = '';
-                }
-                
-                iconElement.appendChild(iconContent);
-                
-                if (config.name.includes('Circular')) {
-                    iconElement.className = iconElement.className.replace('rounded-lg', 'rounded-full');
-                }
-                
-                // Add special structure for Pure CSS icons
-                if (config.name.includes('Pure CSS')) {
-                    const slashSpan = document.createElement('span');
-                    slashSpan.className = 'slash';
-                    slashSpan.textContent = '/';
-                    iconContent.innerHTML = '';
-                    iconContent.appendChild(slashSpan);
-                }
+        const renderType = StressTestManager.getRenderType(config.renderType);
+
+        // Batch render types (e.g. canvas) produce one element holding every icon
+        if (renderType.renderBatch) {
+            const rendered = renderType.renderBatch(config, { iconCount, referenceElement, batchId, manager: this });
+            if (rendered instanceof Promise) {
+                return rendered.then(element => { iconDisplay.appendChild(element); });
             }
-            
+            iconDisplay.appendChild(rendered);
+            return;
+        }
+
+        for (let i = 0; i < iconCount; i++) {
+            const iconElement = renderType.createIcon(config, { index: i, referenceElement, batchId, manager: this });
             fragment.appendChild(iconElement);
         }
         
@@ -657,27 +2282,115 @@ class StressTestManager {
     }
 
     calculateStatistics(measurements, testConfig) {
+        // Outliers are identified on render time; the same samples are dropped from every derived series
+        const outliers = this.applyOutlierPolicy(measurements.renderTimes, this.outlierPolicy);
+        const keep = (values) => values.filter((_, index) => outliers.keptIndices.has(index));
+        const renderTimes = keep(measurements.renderTimes);
+        const memoryUsage = keep(measurements.memoryUsage);
+        const bulkMetrics = keep(measurements.bulkMetrics);
+
         const stats = {
-            renderTime: this.calculateArrayStats(measurements.renderTimes),
-            memoryUsage: {
-                used: this.calculateArrayStats(measurements.memoryUsage.map(m => m.used)),
-                total: measurements.memoryUsage.length > 0 ? measurements.memoryUsage[measurements.memoryUsage.length - 1].total : 0
-            },
+            renderTime: outliers.policy === 'trimmed' && outliers.excludedCount > 0
+                ? this.calculateTrimmedStats(measurements.renderTimes, outliers.excludedCount / 2)
+                : this.calculateArrayStats(renderTimes),
+            memoryUsage: this.summarizeMemory(measurements, memoryUsage),
             elementMetrics: measurements.elementMetrics,
             networkMetrics: measurements.networkMetrics,
-            sampleSize: measurements.renderTimes.length,
+            payload: measurements.payload || null,
+            sampleSize: renderTimes.length,
             testConfig: testConfig,
-            bulkMetrics: measurements.bulkMetrics.length > 0 ? {
+            sampleExclusions: {
+                outlierPolicy: outliers.policy,
+                warmupIterations: measurements.warmupRenderTimes ? measurements.warmupRenderTimes.length : 0,
+                outliersExcluded: outliers.excludedCount,
+                rawSampleSize: measurements.renderTimes.length,
+                lowerBound: outliers.lowerBound,
+                upperBound: outliers.upperBound
+            },
+            warmupRenderTimes: measurements.warmupRenderTimes || [],
+            sequentialStopping: measurements.sequentialStopping || null,
+            bulkMetrics: bulkMetrics.length > 0 ? {
                 avgIconsPerTest: testConfig.iconsPerTest,
-                avgTimePerIcon: this.calculateArrayStats(measurements.bulkMetrics.map(m => m.totalTime / m.iconsRendered)),
-                generationTime: this.calculateArrayStats(measurements.bulkMetrics.map(m => m.generationTime)),
-                layoutTime: this.calculateArrayStats(measurements.bulkMetrics.map(m => m.layoutTime))
+                avgTimePerIcon: this.calculateArrayStats(bulkMetrics.map(m => m.totalTime / m.iconsRendered)),
+                generationTime: this.calculateArrayStats(bulkMetrics.map(m => m.generationTime)),
+                layoutTime: this.calculateArrayStats(bulkMetrics.map(m => m.layoutTime)),
+                decodeTime: bulkMetrics.some(m => m.decodeTime != null)
+                    ? this.calculateArrayStats(bulkMetrics.filter(m => m.decodeTime != null).map(m => m.decodeTime))
+                    : null,
+                paintTime: bulkMetrics.some(m => m.paintTime !== null)
+                    ? this.calculateArrayStats(bulkMetrics.map(m => m.paintTime))
+                    : null
             } : null
         };
         
         return stats;
     }
 
+    /**
+     * Decide which samples survive the outlier policy.
+     * - tukey:   drop values outside [Q1 - 1.5·IQR, Q3 + 1.5·IQR]
+     * - mad:     drop values with modified z-score |0.6745·(x - median) / MAD| > 3.5
+     * - trimmed: drop the lowest and highest 10% (trimmed mean; its spread comes from
+     *            calculateTrimmedStats())
+     * Returns the kept indices plus the bounds used, so the exclusion can be audited.
+     */
+    applyOutlierPolicy(values, policy) {
+        const allIndices = new Set(values.map((_, index) => index));
+        const result = { policy: policy || 'none', keptIndices: allIndices, excludedCount: 0, lowerBound: null, upperBound: null };
+        if (values.length < 4 || !policy || policy === 'none') {
+            return result;
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        let lower = -Infinity;
+        let upper = Infinity;
+
+        if (policy === 'tukey') {
+            const q1 = this.quantile(sorted, 0.25);
+            const q3 = this.quantile(sorted, 0.75);
+            const iqr = q3 - q1;
+            lower = q1 - 1.5 * iqr;
+            upper = q3 + 1.5 * iqr;
+        } else if (policy === 'mad') {
+            const median = this.quantile(sorted, 0.5);
+            const deviations = values.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+            const mad = this.quantile(deviations, 0.5);
+            if (mad === 0) return result; // More than half the samples are identical — nothing to scale by
+            const limit = 3.5 * mad / 0.6745;
+            lower = median - limit;
+            upper = median + limit;
+        } else if (policy === 'trimmed') {
+            const trimCount = Math.floor(values.length * 0.1);
+            if (trimCount === 0) return result;
+            // Trim by rank so ties at the cut point don't change how many samples are dropped
+            const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+            const kept = order.slice(trimCount, order.length - trimCount);
+            result.keptIndices = new Set(kept.map(item => item.index));
+            result.excludedCount = values.length - kept.length;
+            result.lowerBound = kept[0].value;
+            result.upperBound = kept[kept.length - 1].value;
+            return result;
+        } else {
+            console.warn(`Unknown outlier policy "${policy}", keeping all samples`);
+            return result;
+        }
+
+        result.keptIndices = new Set(values.map((_, index) => index).filter(index => values[index] >= lower && values[index] <= upper));
+        result.excludedCount = values.length - result.keptIndices.size;
+        result.lowerBound = lower;
+        result.upperBound = upper;
+        return result;
+    }
+
+    // Linear-interpolated quantile of an ascending array
+    quantile(sorted, p) {
+        if (sorted.length === 0) return 0;
+        const position = (sorted.length - 1) * p;
+        const base = Math.floor(position);
+        const rest = position - base;
+        return sorted[base + 1] !== undefined ? sorted[base] + rest * (sorted[base + 1] - sorted[base]) : sorted[base];
+    }
+
     calculateArrayStats(values) {
         if (values.length === 0) return { min: 0, max: 0, average: 0, stdDev: 0, median: 0, confidenceInterval: {lower: 0, upper: 0}, standardError: 0 };
         
@@ -713,23 +2426,40 @@ class StressTestManager {
         };
     }
 
-    // Get t-critical value for confidence intervals
-    getTCritical(df, alpha) {
-        // Simplified t-table for 95% confidence (alpha = 0.05)
-        const tTable = {
-            1: 12.706, 5: 2.571, 10: 2.228, 20: 2.086, 30: 2.042, 
-            40: 2.021, 50: 2.009, 60: 2.000, 100: 1.984, 500: 1.965, 
-            1000: 1.962, Infinity: 1.960
-        };
-        
-        // Find closest match
-        const keys = Object.keys(tTable).map(k => k === 'Infinity' ? Infinity : parseInt(k));
-        for (let i = 0; i < keys.length; i++) {
-            if (df <= keys[i]) {
-                return tTable[keys[i]];
+    /**
+     * Stats for a trimmed mean (Yuen 1974). The kept samples are not an ordinary sample of
+     * size h = n − 2k, so the spread comes from the winsorized SD s_w of all n values:
+     * SE = s_w / ((1 − 2γ)·√n) with γ = k/n, df = h − 1. stdDev is reported as √h·SE with
+     * sampleSize h, so Welch tests and power built on (stdDev, sampleSize) become Yuen's test;
+     * the plain winsorized SD is kept as winsorizedStdDev.
+     */
+    calculateTrimmedStats(values, trimCount) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const n = sorted.length;
+        const kept = sorted.slice(trimCount, n - trimCount);
+        const h = kept.length;
+        const stats = this.calculateArrayStats(kept);
+        const winsorized = sorted.map(value => Math.min(Math.max(value, kept[0]), kept[h - 1]));
+        const winsorizedMean = winsorized.reduce((a, b) => a + b, 0) / n;
+        const winsorizedVariance = winsorized.reduce((acc, val) => acc + Math.pow(val - winsorizedMean, 2), 0) / (n - 1);
+        // (1 − 2γ)·√n = h / √n
+        const standardError = Math.sqrt(winsorizedVariance) * Math.sqrt(n) / h;
+        const marginOfError = this.getTCritical(h - 1, 0.05) * standardError;
+        return {
+            ...stats,
+            stdDev: standardError * Math.sqrt(h),
+            winsorizedStdDev: Math.sqrt(winsorizedVariance),
+            standardError,
+            confidenceInterval: {
+                lower: stats.average - marginOfError,
+                upper: stats.average + marginOfError
             }
-        }
-        return 1.960; // Default to z-score for large samples
+        };
+    }
+
+    // Two-sided t critical value for confidence intervals (exact quantile, see statistics.js)
+    getTCritical(df, alpha) {
+        return studentTQuantile(1 - alpha / 2, df);
     }
 
     // Calculate statistical power for detecting differences
@@ -767,10 +2497,8 @@ class StressTestManager {
         const df = Math.pow(var1/n1 + var2/n2, 2) / 
                   (Math.pow(var1/n1, 2)/(n1-1) + Math.pow(var2/n2, 2)/(n2-1));
         
-        // Two-tailed p-value (approximate)
-        const pValue = 2 * (1 - this.tCDF(Math.abs(tStat), df));
-        
-        return Math.max(0.001, Math.min(0.999, pValue));
+        // Two-tailed p-value from the exact t distribution
+        return studentTTwoTailedP(tStat, df);
     }
 
     // Approximate normal CDF
@@ -796,18 +2524,12 @@ class StressTestManager {
         return sign * y;
     }
 
-    // Approximate t-distribution CDF
+    // Student t-distribution CDF (regularized incomplete beta, see statistics.js)
     tCDF(t, df) {
-        if (df >= 100) {
-            return this.normalCDF(t); // Use normal approximation for large df
-        }
-        
-        // Simplified approximation
-        const x = t / Math.sqrt(df);
-        return 0.5 + 0.5 * this.erf(x / Math.sqrt(2));
+        return studentTCDF(t, df);
     }
 
-    async displayAggregatedResults({ fromSaved = false, savedDuration = null } = {}) {
+    async displayAggregatedResults({ fromSaved = false, savedDuration = null, incomplete = false } = {}) {
         const resultsDiv = document.getElementById('results');
         const testDuration = savedDuration != null ? savedDuration : (performance.now() - this.startTime) / 1000;
         
@@ -829,6 +2551,8 @@ class StressTestManager {
                     </div>
                 </div>
             `;
+        } else if (incomplete) {
+            html = '';
         } else {
             html = `
                 <div class="bg-green-50 border border-green-200 p-3 rounded mb-4">
@@ -847,6 +2571,18 @@ class StressTestManager {
             `;
         }
 
+        if (this.timerResolution && this.timerResolution.coarse) {
+            html += this.generateCoarseTimerWarning();
+        }
+
+        if (incomplete || this.runIncomplete) {
+            html += this.generateIncompleteRunNotice(testDuration);
+        }
+
+        if (Object.keys(this.unavailableConfigs).length > 0) {
+            html += this.generateUnavailableConfigsNotice();
+        }
+
         // Add Export Buttons Section
         html += '<div class="bg-blue-50 border border-blue-200 p-4 rounded mb-4">';
         html += '<h3 class="font-semibold text-blue-800 mb-3">Export Test Results</h3>';
@@ -867,9 +2603,18 @@ class StressTestManager {
         html += '<table class="w-full text-xs">';
         html += '<thead><tr class="bg-gray-50 border-b">';
         html += '<th class="p-2 text-left">Icon Type</th>';
-        html += '<th class="p-2 text-center">Bulk Render Time ± 95% CI (ms)</th>';
+        // Jank modes store frame intervals as their samples
+        const jankResults = Object.values(this.results).some(data => data.jank);
+        html += jankResults
+            ? '<th class="p-2 text-center">Mean Frame Time ± 95% CI (ms)</th>'
+            : '<th class="p-2 text-center">Bulk Render Time ± 95% CI (ms)</th>';
         html += '<th class="p-2 text-center">Icons Per Test</th>';
         html += '<th class="p-2 text-center">Time Per Icon (ms)</th>';
+        // Decode column only appears when the decode phase produced data for at least one config
+        const showDecodeTime = Object.values(this.results).some(data => data.bulkMetrics && data.bulkMetrics.decodeTime);
+        if (showDecodeTime) {
+            html += '<th class="p-2 text-center">Decode Time (ms)</th>';
+        }
         html += '<th class="p-2 text-center">Sample Size</th>';
         html += '</tr></thead><tbody>';
 
@@ -886,17 +2631,44 @@ class StressTestManager {
             const iconsPerTest = data.testConfig ? data.testConfig.iconsPerTest : 1;
             
             html += `<tr class="${rowClass} border-b">`;
-            html += `<td class="p-2 font-medium">${iconType}</td>`;
+            html += `<td class="p-2 font-medium">${iconType}${data.payload ? ` <span class="text-gray-500 font-normal">(${this.formatPayloadSize(data.payload)})</span>` : ''}</td>`;
             html += `<td class="p-2 text-center">${data.renderTime.average.toFixed(3)} ± [${ci.lower.toFixed(3)}, ${ci.upper.toFixed(3)}]</td>`;
             html += `<td class="p-2 text-center">${iconsPerTest}</td>`;
             html += `<td class="p-2 text-center">${timePerIcon.toFixed(4)}</td>`;
-            html += `<td class="p-2 text-center">${data.sampleSize.toLocaleString()}</td>`;
+            if (showDecodeTime) {
+                const decodeTime = data.bulkMetrics && data.bulkMetrics.decodeTime;
+                html += `<td class="p-2 text-center">${decodeTime ? decodeTime.average.toFixed(3) : '—'}</td>`;
+            }
+            const excluded = data.sampleExclusions ? data.sampleExclusions.outliersExcluded : 0;
+            html += `<td class="p-2 text-center">${data.sampleSize.toLocaleString()}${excluded > 0 ? ` <span class="text-gray-500">(${excluded} outliers excluded)</span>` : ''}</td>`;
             html += '</tr>';
         }
 
         html += '</tbody></table></div></div>';
 
+        if (jankResults) {
+            html += this.generateJankSection(sortedResults);
+        }
+        if (sortedResults.some(([, data]) => data.sequentialStopping)) {
+            html += this.generateSequentialStoppingSection(sortedResults);
+        }
+        if (sortedResults.some(([, data]) => data.backgroundNoise)) {
+            html += this.generateBackgroundNoiseSection(sortedResults);
+        }
+        if (this.sizeSweep) {
+            html += this.generateSizeSweepSection();
+        }
+        if (this.scalingSweep) {
+            html += this.generateScalingSection();
+        }
+
         // Statistical Analysis Table
+        if (!fromSaved) {
+            this.nonParametricAnalysis = this.analysisMethod === 'nonparametric' && sortedResults.length > 0
+                ? this.runNonParametricAnalysis(sortedResults) : null;
+            this.pairwiseComparisons = this.buildPairwiseComparisons(sortedResults);
+            this.omnibusTests = this.runOmnibusTests(sortedResults);
+        }
         html += this.generateStatisticalAnalysisTable(sortedResults);
 
         // Detailed analysis
@@ -930,12 +2702,14 @@ class StressTestManager {
                     const effectSize = Math.abs(baselineStats.average - comparisonStats.average) / 
                                      Math.sqrt((Math.pow(baselineStats.stdDev, 2) + Math.pow(comparisonStats.stdDev, 2)) / 2);
                     
-                    statisticsData[`${comparison[0]} vs ${baseline[0]}`] = {
+                    const key = `${comparison[0]} vs ${baseline[0]}`;
+                    statisticsData[key] = {
                         pValue,
                         power,
                         effectSize,
                         isSignificant: pValue < 0.05,
-                        significanceLevel: pValue < 0.001 ? 'highly' : pValue < 0.01 ? 'very' : 'significant'
+                        significanceLevel: pValue < 0.001 ? 'highly' : pValue < 0.01 ? 'very' : 'significant',
+                        nonParametric: this.nonParametricAnalysis ? this.nonParametricAnalysis[key] || null : null
                     };
                 }
             }
@@ -944,10 +2718,28 @@ class StressTestManager {
                 testStartedAt: this.testStartedAt || new Date().toISOString(),
                 testDate: new Date().toISOString(),
                 testType: pageFormat,
+                // Stopped before every config (or pass) finished; see finishRun()
+                incomplete: this.runIncomplete,
                 iterations: this.completedIterations,
                 testDuration: testDuration,
                 results: Object.fromEntries(sortedResults),
+                // Configs skipped as unsupported or unloadable → reason (see prepareRenderContext())
+                unavailableConfigs: this.unavailableConfigs,
+                // Per-size summaries when the run was a size sweep (results above are the 48px pass)
+                sizeSweep: this.sizeSweep,
+                // Per-count summaries and fits when the run used DOM-size scaling
+                scalingSweep: this.scalingSweep,
+                // Per-config counts live in results[name].backgroundNoise; this records coverage and leftovers
+                backgroundNoise: {
+                    observedEntryTypes: this.noiseEntryTypes,
+                    eventDurationThreshold: NOISE_EVENT_THRESHOLD_MS,
+                    unattributed: this.unattributedNoise
+                },
                 statisticalAnalysis: statisticsData,
+                // Every pair with Holm and Benjamini–Hochberg adjusted p-values (see buildPairwiseComparisons())
+                pairwiseComparisons: this.pairwiseComparisons,
+                // Whether any config differs at all, with post-hoc tests (see runOmnibusTests())
+                omnibusTests: this.omnibusTests,
                 performanceRanking: sortedResults.map(([iconType, data], index) => ({
                     rank: index + 1,
                     iconType,
@@ -962,6 +2754,8 @@ class StressTestManager {
                     browserSpecific: true,
                     timestamp: performance.now(),
                     iterationsPerSecond: this.completedIterations / testDuration,
+                    memoryBackend: this.memoryBackend,
+                    timerResolution: this.timerResolution,
                     testingNote: 'Results are specific to this browser environment and are not comparable across different browsers without additional multi-browser testing'
                 },
                 // Add test configuration for reproducibility
@@ -989,10 +2783,12 @@ class StressTestManager {
             this.saveToPastResults(testResults);
 
             // Notify parent window if running inside an iframe (batch runner)
-            if (window.parent !== window) {
+            // Repeated custom runs report completion once, after the last repetition
+            if (window.parent !== window && this.repetition >= this.repetitions) {
                 window.parent.postMessage({
                     type: 'testComplete',
                     format: pageFormat,
+                    incomplete: this.runIncomplete,
                     duration: testDuration,
                     iterations: this.completedIterations
                 }, '*');
@@ -1012,13 +2808,37 @@ class StressTestManager {
         const testConfig = this.getTestConfig(testType);
         
         return {
-            testType: testType,
+            // Jank modes are saved as their own test types so they never mix with insertion results
+            testType: this.benchmarkMode !== 'insertion' ? `jank-${this.benchmarkMode}` : testType,
+            presetTestType: testType,
             testMethod: testMethod,
             iterations: testConfig.iterations,
             iconsPerTest: testConfig.iconsPerTest,
             description: testConfig.description,
             batchSize: this.batchSize,
-            useBatching: this.useBatching
+            useBatching: this.useBatching,
+            timingMode: this.timingMode,
+            decodePhase: this.decodePhase,
+            cacheMode: this.cacheMode,
+            warmupIterations: this.warmupIterations,
+            outlierPolicy: this.outlierPolicy,
+            executionOrder: this.executionPlan,
+            benchmarkMode: this.benchmarkMode,
+            jankDuration: this.benchmarkMode !== 'insertion' ? this.jankDuration : null,
+            sweepSizes: this.sizeSweep ? this.sizeSweep.sizes : null,
+            scalingCounts: this.scalingSweep ? this.scalingSweep.counts : null,
+            // Sequential stopping settings; per-config outcomes are in each result's sequentialStopping
+            precisionTarget: this.usesPrecisionTarget() ? {
+                targetRelativeHalfWidth: this.precisionTarget / 100,
+                budget: this.precisionBudget,
+                minIterations: PRECISION_MIN_ITERATIONS,
+                chunkIterations: PRECISION_CHUNK_ITERATIONS
+            } : null,
+            analysisMethod: this.analysisMethod,
+            bootstrapResamples: this.analysisMethod === 'nonparametric' ? BOOTSTRAP_RESAMPLES : null,
+            // Custom runs record the validated configuration they ran with (URL parameter names)
+            custom: testType === 'custom' && this.customTest ? { ...this.customTest } : null,
+            repetition: this.repetitions > 1 ? { index: this.repetition, total: this.repetitions } : null
         };
     }
 
@@ -1034,17 +2854,33 @@ class StressTestManager {
                 timestamp: new Date().toISOString(),
                 testStartedAt: testResults.testStartedAt || null,
                 testDate: testResults.testDate,
+                incomplete: testResults.incomplete || false,
                 
                 // Test Configuration
                 testConfiguration: {
                     testType: testResults.testConfiguration?.testType || 'unknown',
-                    testTypeDescription: this.getTestTypeDescription(testResults.testConfiguration?.testType),
+                    testTypeDescription: this.getTestTypeDescription(testResults.testConfiguration?.testType, testResults.testConfiguration?.custom),
                     iterations: testResults.iterations,
                     testDuration: testResults.testDuration,
                     iterationsPerSecond: testResults.testMetadata?.iterationsPerSecond || (testResults.iterations / testResults.testDuration),
                     method: testResults.testConfiguration?.testMethod || 'straight',
                     iconsPerTest: testResults.testConfiguration?.iconsPerTest || 100,
-                    batchSize: testResults.testConfiguration?.batchSize || 50
+                    batchSize: testResults.testConfiguration?.batchSize || 50,
+                    timingMode: testResults.testConfiguration?.timingMode || 'layout',
+                    decodePhase: testResults.testConfiguration?.decodePhase || 'off',
+                    cacheMode: testResults.testConfiguration?.cacheMode || 'warm',
+                    warmupIterations: testResults.testConfiguration?.warmupIterations || 0,
+                    outlierPolicy: testResults.testConfiguration?.outlierPolicy || 'none',
+                    executionOrder: testResults.testConfiguration?.executionOrder || null,
+                    benchmarkMode: testResults.testConfiguration?.benchmarkMode || 'insertion',
+                    jankDuration: testResults.testConfiguration?.jankDuration || null,
+                    sweepSizes: testResults.testConfiguration?.sweepSizes || null,
+                    scalingCounts: testResults.testConfiguration?.scalingCounts || null,
+                    precisionTarget: testResults.testConfiguration?.precisionTarget || null,
+                    analysisMethod: testResults.testConfiguration?.analysisMethod || 'parametric',
+                    custom: testResults.testConfiguration?.custom || null,
+                    repetition: testResults.testConfiguration?.repetition || null,
+                    sampleExclusions: this.getSampleExclusions(testResults.results)
                 },
 
                 // System Environment
@@ -1063,7 +2899,13 @@ class StressTestManager {
 
                 // Complete Results
                 results: testResults.results,
+                unavailableConfigs: testResults.unavailableConfigs || {},
+                sizeSweep: testResults.sizeSweep || null,
+                scalingSweep: testResults.scalingSweep || null,
+                backgroundNoise: testResults.backgroundNoise || null,
                 statisticalAnalysis: testResults.statisticalAnalysis || {},
+                pairwiseComparisons: testResults.pairwiseComparisons || null,
+                omnibusTests: testResults.omnibusTests || null,
                 performanceRanking: testResults.performanceRanking || [],
                 
                 // Summary Statistics
@@ -1100,18 +2942,8 @@ class StressTestManager {
         }
     }
 
-    getTestTypeDescription(testType) {
-        const descriptions = {
-            'css': 'CSS Test (legacy)',
-            'single': 'Single Icon Test (2,000 iterations)',
-            'bulk': 'Bulk Icon Test (100 icons × 50 iterations)', 
-            'stress': 'Stress Test (500 icons × 200 iterations)',
-            'statistical': 'Statistical Power Test (100 icons × 200 iterations)',
-            'massive': 'Maximum Power Test (100 icons × 1,000 iterations)',
-            'ultra': 'Ultra Power Test (100 icons × 5,000 iterations)',
-            'extreme': 'Extreme Power Test (100 icons × 10,000 iterations)'
-        };
-        return descriptions[testType] || 'Unknown Test Type';
+    getTestTypeDescription(testType, customConfig = null) {
+        return describeTestType(testType, customConfig);
     }
 
     detectOriginalSource() {
@@ -1147,6 +2979,22 @@ class StressTestManager {
         };
     }
 
+    // e.g. "base64 · 1.9 KB from 1.4 KB"; blob URLs hold the bytes unencoded
+    formatPayloadSize(payload) {
+        const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+        return payload.encodedBytes === payload.sourceBytes
+            ? `${payload.encoding} · ${kb(payload.encodedBytes)}`
+            : `${payload.encoding} · ${kb(payload.encodedBytes)} from ${kb(payload.sourceBytes)}`;
+    }
+
+    // Per-config warm-up and outlier counts, kept at the top of history entries for auditing
+    getSampleExclusions(results) {
+        if (!results) return {};
+        return Object.fromEntries(Object.entries(results)
+            .filter(([, data]) => data.sampleExclusions)
+            .map(([iconType, data]) => [iconType, data.sampleExclusions]));
+    }
+
     getFastestIcon(ranking) {
         return ranking && ranking.length > 0 ? ranking[0].iconType : 'Unknown';
     }
@@ -1173,84 +3021,619 @@ class StressTestManager {
         return ((slowest - fastest) / fastest * 100);
     }
 
-    generateStatisticalSummary(sortedResults) {
-        if (sortedResults.length < 2) return null;
-        
-        const fastest = sortedResults[0][1].renderTime;
-        const slowest = sortedResults[sortedResults.length - 1][1].renderTime;
-        
-        return {
-            fastestMethod: sortedResults[0][0],
-            slowestMethod: sortedResults[sortedResults.length - 1][0],
-            speedDifference: slowest.average / fastest.average,
-            pValue: this.calculatePValue(fastest, slowest),
-            statisticalPower: this.calculateStatisticalPower(fastest, slowest),
-            confidenceIntervalsOverlap: !(fastest.confidenceInterval.upper < slowest.confidenceInterval.lower)
-        };
+    generateStatisticalSummary(sortedResults) {
+        if (sortedResults.length < 2) return null;
+        
+        const fastest = sortedResults[0][1].renderTime;
+        const slowest = sortedResults[sortedResults.length - 1][1].renderTime;
+        
+        return {
+            fastestMethod: sortedResults[0][0],
+            slowestMethod: sortedResults[sortedResults.length - 1][0],
+            speedDifference: slowest.average / fastest.average,
+            pValue: this.calculatePValue(fastest, slowest),
+            statisticalPower: this.calculateStatisticalPower(fastest, slowest),
+            confidenceIntervalsOverlap: !(fastest.confidenceInterval.upper < slowest.confidenceInterval.lower)
+        };
+    }
+
+    generateStatisticalAnalysisTable(sortedResults) {
+        if (sortedResults.length < 2) return '';
+        
+        let html = '<div class="bg-white rounded border overflow-hidden mb-4">';
+        html += '<h3 class="font-semibold p-3 bg-gray-50 border-b">Statistical Significance Analysis</h3>';
+        if (this.omnibusTests) {
+            html += this.generateOmnibusSummary(this.omnibusTests);
+        }
+        html += '<div class="overflow-x-auto">';
+        html += '<table class="w-full text-xs">';
+        html += '<thead><tr class="bg-gray-50 border-b">';
+        html += '<th class="p-2 text-left">Comparison</th>';
+        html += '<th class="p-2 text-center">P-Value</th>';
+        html += '<th class="p-2 text-center">Significance</th>';
+        html += '<th class="p-2 text-center">Statistical Power</th>';
+        html += '<th class="p-2 text-center">Effect Size</th>';
+        html += '<th class="p-2 text-center">Confidence</th>';
+        const nonParametric = this.nonParametricAnalysis;
+        if (nonParametric) {
+            html += '<th class="p-2 text-center">Mann–Whitney p</th>';
+            html += '<th class="p-2 text-center">Brunner–Munzel p</th>';
+            html += '<th class="p-2 text-center">Cliff\'s δ</th>';
+        }
+        html += '</tr></thead><tbody>';
+
+        // Compare each method against the fastest (baseline)
+        const baseline = sortedResults[0];
+        const baselineStats = baseline[1].renderTime;
+        
+        for (let i = 1; i < sortedResults.length; i++) {
+            const comparison = sortedResults[i];
+            const comparisonStats = comparison[1].renderTime;
+            
+            const pValue = this.calculatePValue(baselineStats, comparisonStats);
+            const power = this.calculateStatisticalPower(baselineStats, comparisonStats);
+            const effectSize = Math.abs(baselineStats.average - comparisonStats.average) / 
+                             Math.sqrt((Math.pow(baselineStats.stdDev, 2) + Math.pow(comparisonStats.stdDev, 2)) / 2);
+            
+            const isSignificant = pValue < 0.05;
+            const significanceText = isSignificant ? 
+                (pValue < 0.001 ? 'Highly Significant***' : pValue < 0.01 ? 'Very Significant**' : 'Significant*') : 
+                'Not Significant';
+            const significanceColor = isSignificant ? 'text-green-600' : 'text-red-600';
+            
+            const powerText = power > 0.8 ? 'High' : power > 0.5 ? 'Medium' : 'Low';
+            const powerColor = power > 0.8 ? 'text-green-600' : power > 0.5 ? 'text-yellow-600' : 'text-red-600';
+            
+            const effectSizeText = effectSize > 0.8 ? 'Large' : effectSize > 0.5 ? 'Medium' : 'Small';
+            
+            html += `<tr class="border-b">`;
+            html += `<td class="p-2 font-medium">${comparison[0]} vs ${baseline[0]}</td>`;
+            html += `<td class="p-2 text-center">${pValue < 0.001 ? '<0.001' : pValue.toFixed(3)}</td>`;
+            html += `<td class="p-2 text-center ${significanceColor}">${significanceText}</td>`;
+            html += `<td class="p-2 text-center ${powerColor}">${powerText} (${power.toFixed(2)})</td>`;
+            html += `<td class="p-2 text-center">${effectSizeText} (${effectSize.toFixed(2)})</td>`;
+            html += `<td class="p-2 text-center">${!isSignificant ? 'Low' : power > 0.8 ? 'High' : 'Medium'}</td>`;
+            if (nonParametric) {
+                html += this.generateNonParametricCells(nonParametric[`${comparison[0]} vs ${baseline[0]}`]);
+            }
+            html += '</tr>';
+        }
+
+        html += '</tbody></table></div>';
+        if (sortedResults.some(([, data]) => data.renderTime.bootstrap)) {
+            html += this.generateBootstrapTable(sortedResults);
+        }
+        if (this.pairwiseComparisons && this.pairwiseComparisons.configs.length > 2) {
+            html += this.generatePairwiseHeatmap(this.pairwiseComparisons);
+        }
+        
+        // Statistical interpretation
+        html += '<div class="p-3 bg-gray-50 text-xs">';
+        html += '<div class="mb-2"><strong>Statistical Interpretation:</strong></div>';
+        html += '<div class="grid grid-cols-1 md:grid-cols-2 gap-2">';
+        html += '<div>• <strong>P-Value < 0.05:</strong> Statistically significant difference</div>';
+        html += '<div>• <strong>Power > 0.8:</strong> High confidence in detecting real differences</div>';
+        html += '<div>• <strong>Effect Size > 0.5:</strong> Meaningful practical difference</div>';
+        html += '<div>• <strong>95% CI:</strong> True average lies within this range 95% of the time</div>';
+        if (nonParametric) {
+            html += '<div>• <strong>Brunner–Munzel:</strong> Rank test that tolerates unequal spread and skew</div>';
+            html += '<div>• <strong>Cliff\'s δ:</strong> P(slower) − P(faster) against the baseline; |δ| ≥ 0.474 is large</div>';
+        }
+        html += '</div></div>';
+        
+        html += '</div>';
+        return html;
+    }
+
+    generateNonParametricCells(comparison) {
+        if (!comparison) {
+            return '<td class="p-2 text-center">—</td>'.repeat(3);
+        }
+        const formatP = (test) => test ? (test.pValue < 0.001 ? '<0.001' : test.pValue.toFixed(3)) : '—';
+        const delta = comparison.cliffsDelta;
+        let html = `<td class="p-2 text-center">${formatP(comparison.mannWhitney)}</td>`;
+        html += `<td class="p-2 text-center ${comparison.isSignificant ? 'text-green-600' : 'text-red-600'}">${formatP(comparison.brunnerMunzel)}</td>`;
+        html += `<td class="p-2 text-center">${delta ? `${delta.delta.toFixed(3)} (${delta.magnitude})` : '—'}</td>`;
+        return html;
+    }
+
+    generateBootstrapTable(sortedResults) {
+        const formatInterval = (interval) => interval ? `[${interval.lower.toFixed(3)}, ${interval.upper.toFixed(3)}]` : '—';
+        const first = sortedResults.find(([, data]) => data.renderTime.bootstrap)[1].renderTime.bootstrap;
+        let html = '<div class="overflow-x-auto border-t">';
+        html += `<div class="p-3 text-sm font-medium">Bootstrap 95% Confidence Intervals (${first.resamples.toLocaleString()} resamples, seed ${first.seed})</div>`;
+        html += '<table class="w-full text-xs bootstrap-ci-table"><thead><tr class="bg-gray-50 border-b">';
+        html += '<th class="p-2 text-left">Icon Type</th>';
+        html += '<th class="p-2 text-center">Median (ms)</th><th class="p-2 text-center">Median CI (percentile)</th><th class="p-2 text-center">Median CI (BCa)</th>';
+        html += '<th class="p-2 text-center">Mean (ms)</th><th class="p-2 text-center">Mean CI (percentile)</th><th class="p-2 text-center">Mean CI (BCa)</th>';
+        html += '</tr></thead><tbody>';
+        for (const [iconType, data] of sortedResults) {
+            const bootstrap = data.renderTime.bootstrap;
+            if (!bootstrap) continue;
+            html += `<tr class="border-b"><td class="p-2 font-medium">${iconType}</td>`;
+            for (const statistic of [bootstrap.median, bootstrap.mean]) {
+                html += `<td class="p-2 text-center">${statistic.estimate.toFixed(3)}</td>`;
+                html += `<td class="p-2 text-center">${formatInterval(statistic.percentile)}</td>`;
+                html += `<td class="p-2 text-center">${formatInterval(statistic.bca)}</td>`;
+            }
+            html += '</tr>';
+        }
+        html += '</tbody></table></div>';
+        return html;
+    }
+
+    /**
+     * Non-parametric analysis method: rank tests and Cliff's delta for each config against the
+     * fastest, plus percentile/BCa bootstrap intervals for every config's median and mean. Uses
+     * the reference pass's raw samples with the same exclusions as the parametric statistics.
+     * Bootstrap intervals are stored on renderTime next to its t-based confidenceInterval, and
+     * share one seed (the random seed option, or a new one that is recorded with them).
+     */
+    runNonParametricAnalysis(sortedResults) {
+        const seed = this.orderSeed != null ? this.orderSeed : Math.floor(Math.random() * 4294967296);
+        const samples = new Map();
+        for (const [name, data] of sortedResults) {
+            const values = this.getAnalysisSamples(name, data);
+            if (!values) continue;
+            samples.set(name, values);
+            data.renderTime.bootstrap = bootstrapConfidenceIntervals(values, { resamples: BOOTSTRAP_RESAMPLES, seed });
+        }
+
+        const analysis = {};
+        const [baselineName] = sortedResults[0];
+        const baseline = samples.get(baselineName);
+        for (const [name] of sortedResults.slice(1)) {
+            const comparison = samples.get(name);
+            if (!baseline || !comparison) continue;
+            const brunner = brunnerMunzel(comparison, baseline);
+            analysis[`${name} vs ${baselineName}`] = {
+                mannWhitney: mannWhitneyU(comparison, baseline),
+                brunnerMunzel: brunner,
+                cliffsDelta: cliffsDelta(comparison, baseline),
+                isSignificant: brunner ? brunner.pValue < 0.05 : false
+            };
+        }
+        return analysis;
+    }
+
+    // Samples behind a result's statistics: the reference pass's raw samples minus excluded outliers.
+    // Null when they are not in memory (saved results, or dropped from an oversized checkpoint)
+    getAnalysisSamples(name, data) {
+        const pass = this.rawSamples[`${DEFAULT_ICON_SIZE}px×${this.iconsPerTest}`];
+        const raw = pass && pass[name];
+        if (!raw || raw.length < 2) return null;
+        // Jank results never apply the outlier policy (see summarizeFrames())
+        if (data.jank) return raw;
+        const policy = data.sampleExclusions ? data.sampleExclusions.outlierPolicy : 'none';
+        const outliers = this.applyOutlierPolicy(raw, policy);
+        return raw.filter((_, index) => outliers.keptIndices.has(index));
+    }
+
+    /**
+     * Every pair of configs tested once, with Holm–Bonferroni and Benjamini–Hochberg adjusted
+     * p-values over the whole family. The test follows the analysis method: Brunner–Munzel
+     * when every config's samples are available, Welch's t-test otherwise. Pairs are ordered
+     * fastest-first; `difference` is b's mean minus a's (ms).
+     */
+    buildPairwiseComparisons(sortedResults) {
+        if (sortedResults.length < 2) return null;
+        const samples = new Map(sortedResults.map(([name, data]) => [name, this.getAnalysisSamples(name, data)]));
+        const test = this.analysisMethod === 'nonparametric' && [...samples.values()].every(Boolean)
+            ? 'brunner-munzel' : 'welch';
+
+        const pairs = [];
+        for (let i = 0; i < sortedResults.length; i++) {
+            for (let j = i + 1; j < sortedResults.length; j++) {
+                const [a, dataA] = sortedResults[i];
+                const [b, dataB] = sortedResults[j];
+                const result = test === 'brunner-munzel' ? brunnerMunzel(samples.get(b), samples.get(a)) : null;
+                pairs.push({
+                    a,
+                    b,
+                    difference: dataB.renderTime.average - dataA.renderTime.average,
+                    pValue: test === 'brunner-munzel'
+                        ? (result ? result.pValue : NaN)
+                        : this.calculatePValue(dataA.renderTime, dataB.renderTime)
+                });
+            }
+        }
+
+        const rawPValues = pairs.map(pair => pair.pValue);
+        const holm = holmAdjust(rawPValues);
+        const benjaminiHochberg = benjaminiHochbergAdjust(rawPValues);
+        pairs.forEach((pair, index) => {
+            pair.holm = holm[index];
+            pair.benjaminiHochberg = benjaminiHochberg[index];
+        });
+        return { test, configs: sortedResults.map(([name]) => name), pairs };
+    }
+
+    /**
+     * Heatmap grid of the all-pairs matrix: Holm-adjusted p-values below the diagonal,
+     * Benjamini–Hochberg above it, shaded by significance. Raw p-values are in the tooltips.
+     */
+    generatePairwiseHeatmap(pairwise) {
+        const formatP = (p) => Number.isFinite(p) ? (p < 0.001 ? '<0.001' : p.toFixed(3)) : '—';
+        const shade = (p) => !Number.isFinite(p) ? 'bg-gray-100 text-gray-400'
+            : p < 0.001 ? 'bg-green-600 text-white' : p < 0.01 ? 'bg-green-400' : p < 0.05 ? 'bg-green-200' : 'bg-gray-100';
+        const lookup = new Map();
+        for (const pair of pairwise.pairs) {
+            lookup.set(`${pair.a} vs ${pair.b}`, pair);
+            lookup.set(`${pair.b} vs ${pair.a}`, pair);
+        }
+        const testName = pairwise.test === 'brunner-munzel' ? 'Brunner–Munzel' : 'Welch t-test';
+
+        let html = '<div class="overflow-x-auto border-t">';
+        html += `<div class="p-3 text-sm font-medium">All-Pairs Comparisons (${testName}, ${pairwise.pairs.length} tests)</div>`;
+        html += '<table class="text-xs pairwise-heatmap mx-3 mb-2"><thead><tr><th class="p-1"></th>';
+        pairwise.configs.forEach((name, index) => {
+            html += `<th class="p-1 text-center font-medium" title="${name}">${index + 1}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+        pairwise.configs.forEach((row, rowIndex) => {
+            html += `<tr><th class="p-1 text-left font-medium whitespace-nowrap">${rowIndex + 1}. ${row}</th>`;
+            pairwise.configs.forEach((column, columnIndex) => {
+                if (rowIndex === columnIndex) {
+                    html += '<td class="p-1 text-center bg-white text-gray-300">—</td>';
+                    return;
+                }
+                const pair = lookup.get(`${row} vs ${column}`);
+                const p = rowIndex > columnIndex ? pair.holm : pair.benjaminiHochberg;
+                const title = `${pair.b} vs ${pair.a}: Δ ${pair.difference.toFixed(3)} ms, p ${formatP(pair.pValue)}, Holm ${formatP(pair.holm)}, BH ${formatP(pair.benjaminiHochberg)}`;
+                html += `<td class="p-1 text-center ${shade(p)}" title="${title}">${formatP(p)}</td>`;
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        html += '<div class="px-3 pb-3 text-xs text-gray-600">Below the diagonal: Holm–Bonferroni (family-wise error). ';
+        html += 'Above: Benjamini–Hochberg (false discovery rate). Shading: <span class="bg-green-600 text-white px-1">p < 0.001</span> ';
+        html += '<span class="bg-green-400 px-1">p < 0.01</span> <span class="bg-green-200 px-1">p < 0.05</span> <span class="bg-gray-100 px-1">not significant</span></div>';
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Omnibus tests of whether any config differs at all, for three or more configs (with two,
+     * the pairwise test already answers that): Welch ANOVA from the summaries with Games–Howell
+     * post-hoc, and Kruskal–Wallis with Holm-adjusted Dunn post-hoc when every config's samples
+     * are in memory. Post-hoc pairs follow the all-pairs matrix's fastest-first order.
+     */
+    runOmnibusTests(sortedResults) {
+        if (sortedResults.length < 3) return null;
+        const configs = sortedResults.map(([name]) => name);
+        const named = ({ i, j, ...pair }) => ({ a: configs[i], b: configs[j], ...pair });
+
+        const groups = sortedResults.map(([, data]) => ({
+            mean: data.renderTime.average,
+            variance: Math.pow(data.renderTime.stdDev, 2),
+            n: data.renderTime.sampleSize
+        }));
+        const anova = welchAnova(groups);
+        const samples = sortedResults.map(([name, data]) => this.getAnalysisSamples(name, data));
+        const kruskal = samples.every(Boolean) ? kruskalWallis(samples) : null;
+        return {
+            configs,
+            welchAnova: anova ? { ...anova, postHoc: gamesHowell(groups).map(named) } : null,
+            kruskalWallis: kruskal ? { ...kruskal, postHoc: dunnTest(samples).map(named) } : null
+        };
+    }
+
+    // Summary block above the comparison table: both omnibus tests, then their post-hoc pairs
+    generateOmnibusSummary(omnibus) {
+        const { welchAnova: anova, kruskalWallis: kruskal } = omnibus;
+        if (!anova && !kruskal) return '';
+        const formatP = (p) => Number.isFinite(p) ? (p < 0.001 ? '<0.001' : p.toFixed(3)) : '—';
+        const pClass = (p) => p < 0.05 ? 'text-green-600 font-medium' : '';
+        // Cohen's benchmarks for proportion-of-variance effect sizes
+        const magnitude = (value) => value < 0.01 ? 'negligible' : value < 0.06 ? 'small' : value < 0.14 ? 'medium' : 'large';
+        const row = (name, statistic, pValue, effectSize) => {
+            const verdict = pValue < 0.05 ? '<span class="text-green-600">Configs differ*</span>' : '<span class="text-red-600">No detected difference</span>';
+            return `<tr class="border-b"><td class="p-2 font-medium">${name}</td><td class="p-2 text-center">${statistic}</td>` +
+                `<td class="p-2 text-center ${pClass(pValue)}">${formatP(pValue)}</td><td class="p-2 text-center">${effectSize}</td>` +
+                `<td class="p-2 text-center">${verdict}</td></tr>`;
+        };
+
+        let html = '<div class="border-b omnibus-summary">';
+        html += `<div class="p-3 text-sm font-medium">Omnibus Tests (does any of the ${omnibus.configs.length} configs differ?)</div>`;
+        html += '<div class="overflow-x-auto"><table class="w-full text-xs"><thead><tr class="bg-gray-50 border-b">';
+        html += '<th class="p-2 text-left">Test</th><th class="p-2 text-center">Statistic</th><th class="p-2 text-center">P-Value</th>';
+        html += '<th class="p-2 text-center">Effect Size</th><th class="p-2 text-center">Result</th>';
+        html += '</tr></thead><tbody>';
+        if (anova) {
+            html += row('Welch ANOVA', `F(${anova.df1}, ${anova.df2.toFixed(1)}) = ${anova.statistic.toFixed(3)}`, anova.pValue,
+                `η² = ${anova.etaSquared.toFixed(3)} (${magnitude(anova.etaSquared)})`);
+        }
+        if (kruskal) {
+            html += row('Kruskal–Wallis', `H(${kruskal.df}) = ${kruskal.statistic.toFixed(3)}`, kruskal.pValue,
+                `ε² = ${kruskal.epsilonSquared.toFixed(3)} (${magnitude(kruskal.epsilonSquared)})`);
+        }
+        html += '</tbody></table></div>';
+
+        // Post-hoc pairs; both lists come from the same fastest-first pair order
+        const pairs = (anova || kruskal).postHoc;
+        html += '<div class="overflow-x-auto"><table class="w-full text-xs omnibus-post-hoc"><thead><tr class="bg-gray-50 border-b">';
+        html += '<th class="p-2 text-left">Post-hoc Pair</th>';
+        if (anova) html += '<th class="p-2 text-center">Δ Mean (ms)</th><th class="p-2 text-center">Games–Howell p</th>';
+        if (kruskal) html += '<th class="p-2 text-center">Dunn z</th><th class="p-2 text-center">Dunn p (Holm)</th>';
+        html += '</tr></thead><tbody>';
+        pairs.forEach((pair, index) => {
+            html += `<tr class="border-b"><td class="p-2">${pair.b} vs ${pair.a}</td>`;
+            if (anova) {
+                const gamesHowellPair = anova.postHoc[index];
+                html += `<td class="p-2 text-center">${gamesHowellPair.difference >= 0 ? '+' : ''}${gamesHowellPair.difference.toFixed(3)}</td>`;
+                html += `<td class="p-2 text-center ${pClass(gamesHowellPair.pValue)}">${formatP(gamesHowellPair.pValue)}</td>`;
+            }
+            if (kruskal) {
+                const dunnPair = kruskal.postHoc[index];
+                html += `<td class="p-2 text-center">${dunnPair.z.toFixed(2)}</td>`;
+                html += `<td class="p-2 text-center ${pClass(dunnPair.holm)}">${formatP(dunnPair.holm)}</td>`;
+            }
+            html += '</tr>';
+        });
+        html += '</tbody></table></div>';
+        html += '<div class="p-3 text-xs text-gray-600">Read the post-hoc pairs only when the omnibus test finds a difference. ';
+        html += 'Games–Howell p-values come from the studentized range and are already family-wise adjusted.</div>';
+        html += '</div>';
+        return html;
+    }
+
+    getSavedNonParametricAnalysis(statisticalAnalysis) {
+        const entries = Object.entries(statisticalAnalysis || {}).filter(([, stats]) => stats.nonParametric);
+        return entries.length > 0 ? Object.fromEntries(entries.map(([key, stats]) => [key, stats.nonParametric])) : null;
+    }
+
+    // Vector techniques rasterize at the rendered size; canvas types draw a pre-decoded bitmap
+    isVectorConfig(name) {
+        const config = this.iconConfigs.find(c => c.name === name);
+        if (!config) return false;
+        if (['img', 'external-svg', 'data-uri', 'blob-url'].includes(config.renderType)) {
+            return /\.svg$/i.test(config.src || '');
+        }
+        return VECTOR_RENDER_TYPES.includes(config.renderType);
+    }
+
+    // Raster configs with no asset for a size (sprite sheets, configs without sizedSrc, sizes
+    // outside SIZED_ASSET_SIZES) scale their 48px artwork there, so that sweep point includes
+    // resampling (see getSizedSrc())
+    usesResampledArtwork(name, size) {
+        const config = this.iconConfigs.find(c => c.name === name);
+        if (!config || this.isVectorConfig(name) || size === DEFAULT_ICON_SIZE) return false;
+        return config.renderType === 'css-sprite' || !config.sizedSrc || !SIZED_ASSET_SIZES.includes(size);
+    }
+
+    /**
+     * Render time against icon size for every config (inline SVG line chart, log₂ size axis),
+     * a per-size table, and the sizes at which the fastest vector technique beats the fastest
+     * raster one when the page has both.
+     */
+    generateSizeSweepSection() {
+        const { sizes, results } = this.sizeSweep;
+        const names = Object.keys(results);
+        const series = names.map((name, index) => ({
+            label: `${name}${this.isVectorConfig(name) ? '' : ' (raster)'}`,
+            color: CHART_PALETTE[index % CHART_PALETTE.length],
+            dashed: !this.isVectorConfig(name),
+            line: sizes.filter(size => results[name][size]).map(size => ({ x: size, y: results[name][size].average }))
+        }));
+
+        let html = '<div class="bg-white rounded border overflow-hidden mb-4">';
+        html += '<h3 class="font-semibold p-3 bg-gray-50 border-b">Render Time by Icon Size</h3>';
+        html += `<div class="p-3">${this.buildLogXChart(sizes, series, 'Icon size (px)', 'Render time by icon size')}`;
+        html += '<div class="text-xs text-gray-500 mt-1">Dashed lines are raster techniques. Main results above are from the 48px pass.</div></div>';
+        // Results recorded before the flag was saved fall back to the current icon configs
+        const resampled = (name, size) => results[name][size].resampled ?? this.usesResampledArtwork(name, size);
+        const anyResampled = names.some(name => sizes.some(size => results[name][size] && resampled(name, size)));
+
+        html += '<div class="overflow-x-auto"><table class="w-full text-xs"><thead><tr class="bg-gray-50 border-b"><th class="p-2 text-left">Icon Type</th>';
+        html += sizes.map(size => `<th class="p-2 text-center">${size}px (ms)</th>`).join('');
+        html += '</tr></thead><tbody>';
+        for (const name of names) {
+            html += `<tr class="border-b"><td class="p-2 font-medium">${name}</td>`;
+            html += sizes.map(size => `<td class="p-2 text-center">${results[name][size] ? `${results[name][size].average.toFixed(3)}${resampled(name, size) ? ' *' : ''}` : '—'}</td>`).join('');
+            html += '</tr>';
+        }
+        html += '</tbody></table></div>';
+        if (anyResampled) {
+            html += '<div class="p-3 text-xs text-gray-500 border-t">* No size-matched asset: at this size the config scales ';
+            html += 'the 48px artwork (the whole sheet for sprite sheets), so its timing includes resampling.</div>';
+        }
+
+        const vectorNames = names.filter(name => this.isVectorConfig(name));
+        const rasterNames = names.filter(name => !this.isVectorConfig(name));
+        if (vectorNames.length > 0 && rasterNames.length > 0) {
+            const fastestName = (group, size) => group.filter(name => results[name][size])
+                .reduce((best, name) => best && results[best][size].average <= results[name][size].average ? best : name, null);
+            const fastest = (group, size) => {
+                const name = fastestName(group, size);
+                return name ? results[name][size].average : Infinity;
+            };
+            const vectorWins = sizes.filter(size => fastest(vectorNames, size) < fastest(rasterNames, size));
+            // A * marks sizes where the raster side of the comparison is resampled artwork
+            const label = (size) => {
+                const raster = fastestName(rasterNames, size);
+                return `${size}px${raster && resampled(raster, size) ? ' *' : ''}`;
+            };
+            html += '<div class="p-3 bg-gray-50 text-xs border-t">';
+            html += vectorWins.length > 0
+                ? `<strong>Vector beats raster at:</strong> ${vectorWins.map(label).join(', ')}`
+                : '<strong>Vector beats raster at:</strong> no tested size';
+            html += '</div>';
+        }
+
+        html += '</div>';
+        return html;
+    }
+
+    generateSequentialStoppingSection(sortedResults) {
+        const formatPercent = (value) => value != null ? `±${(value * 100).toFixed(2)}%` : '—';
+        let html = '<div class="bg-white rounded border overflow-hidden mb-4">';
+        html += '<h3 class="font-semibold p-3 bg-gray-50 border-b">Sequential Stopping (Precision Target)</h3>';
+        html += '<div class="overflow-x-auto"><table class="w-full text-xs"><thead><tr class="bg-gray-50 border-b">';
+        html += '<th class="p-2 text-left">Icon Type</th><th class="p-2 text-center">Iterations Used</th>';
+        html += '<th class="p-2 text-center">Achieved CI Half-Width</th><th class="p-2 text-center">Target</th><th class="p-2 text-center">Target Met</th>';
+        html += '</tr></thead><tbody>';
+        for (const [iconType, data] of sortedResults) {
+            const stopping = data.sequentialStopping;
+            if (!stopping) continue;
+            html += `<tr class="border-b sequential-stopping-row"><td class="p-2 font-medium">${iconType}</td>`;
+            html += `<td class="p-2 text-center">${stopping.iterationsUsed.toLocaleString()} / ${stopping.budget.toLocaleString()}</td>`;
+            html += `<td class="p-2 text-center">${formatPercent(stopping.achievedRelativeHalfWidth)}</td>`;
+            html += `<td class="p-2 text-center">${formatPercent(stopping.targetRelativeHalfWidth)}</td>`;
+            html += `<td class="p-2 text-center">${stopping.targetMet ? '✓' : '<span class="text-red-600">✗ budget exhausted</span>'}</td>`;
+            html += '</tr>';
+        }
+        html += '</tbody></table></div>';
+        html += `<div class="p-3 bg-gray-50 text-xs border-t">Each config ran ${PRECISION_MIN_ITERATIONS} iterations, then chunks of ${PRECISION_CHUNK_ITERATIONS}, `;
+        html += 'until the 95% confidence interval of its mean render time (after the outlier policy) was within the target relative to the mean, or its iteration budget ran out. ';
+        html += 'Configs that missed the target have wider intervals than the rest; compare them with care.</div>';
+        html += '</div>';
+        return html;
+    }
+
+    generateBackgroundNoiseSection(sortedResults) {
+        let html = '<div class="bg-white rounded border overflow-hidden mb-4">';
+        html += '<h3 class="font-semibold p-3 bg-gray-50 border-b">Background Noise During Measurement</h3>';
+        html += '<div class="overflow-x-auto"><table class="w-full text-xs"><thead><tr class="bg-gray-50 border-b">';
+        html += '<th class="p-2 text-left">Icon Type</th>';
+        html += '<th class="p-2 text-center">Long Tasks</th><th class="p-2 text-center">Long Task Time (ms)</th>';
+        html += '<th class="p-2 text-center">Long Tasks in Measured Render</th>';
+        html += '<th class="p-2 text-center">Layout Shifts</th><th class="p-2 text-center">Shift Score</th>';
+        html += `<th class="p-2 text-center">Events ≥ ${NOISE_EVENT_THRESHOLD_MS} ms</th><th class="p-2 text-center">Event Time (ms)</th>`;
+        html += '</tr></thead><tbody>';
+        for (const [iconType, data] of sortedResults) {
+            const noise = data.backgroundNoise;
+            if (!noise) continue;
+            html += `<tr class="border-b"><td class="p-2 font-medium">${iconType}</td>`;
+            html += `<td class="p-2 text-center">${noise.longTasks.count}</td>`;
+            html += `<td class="p-2 text-center">${noise.longTasks.totalDuration.toFixed(1)}</td>`;
+            // Results saved before render long tasks were split out counted them as noise
+            html += `<td class="p-2 text-center">${noise.renderLongTasks ? `${noise.renderLongTasks.count} (${noise.renderLongTasks.totalDuration.toFixed(1)} ms)` : '—'}</td>`;
+            html += `<td class="p-2 text-center">${noise.layoutShifts.count}</td>`;
+            html += `<td class="p-2 text-center">${noise.layoutShifts.totalScore.toFixed(4)}</td>`;
+            html += `<td class="p-2 text-center">${noise.events.count}</td>`;
+            html += `<td class="p-2 text-center">${noise.events.totalDuration.toFixed(1)}</td>`;
+            html += '</tr>';
+        }
+        html += '</tbody></table></div>';
+        html += '<div class="p-3 bg-gray-50 text-xs border-t">Entries are attributed to the config being measured when they started. ';
+        html += 'Long tasks that overlap a measured render are the render\'s own work, so they are listed separately and not counted as noise. ';
+        html += 'Long tasks under a fast config point to a noisy run rather than a slow format. Types the browser does not support are not counted.</div>';
+        html += '</div>';
+        return html;
+    }
+
+    generateJankSection(sortedResults) {
+        let html = '<div class="bg-white rounded border overflow-hidden mb-4">';
+        html += '<h3 class="font-semibold p-3 bg-gray-50 border-b">Sustained Rendering (Frame Timing)</h3>';
+        html += '<div class="overflow-x-auto"><table class="w-full text-xs"><thead><tr class="bg-gray-50 border-b">';
+        html += '<th class="p-2 text-left">Icon Type</th><th class="p-2 text-center">Mode</th><th class="p-2 text-center">FPS</th>';
+        html += '<th class="p-2 text-center">p95 Frame (ms)</th><th class="p-2 text-center">p99 Frame (ms)</th><th class="p-2 text-center">Max Frame (ms)</th>';
+        html += '<th class="p-2 text-center">Dropped Frames</th><th class="p-2 text-center">Frames</th>';
+        html += '</tr></thead><tbody>';
+        for (const [iconType, data] of sortedResults) {
+            const jank = data.jank;
+            if (!jank) continue;
+            html += `<tr class="border-b"><td class="p-2 font-medium">${iconType}</td>`;
+            html += `<td class="p-2 text-center">${jank.mode}</td>`;
+            html += `<td class="p-2 text-center">${jank.fps.toFixed(1)}</td>`;
+            html += `<td class="p-2 text-center">${jank.p95FrameTime.toFixed(2)}</td>`;
+            html += `<td class="p-2 text-center">${jank.p99FrameTime.toFixed(2)}</td>`;
+            html += `<td class="p-2 text-center">${jank.maxFrameTime.toFixed(2)}</td>`;
+            html += `<td class="p-2 text-center">${jank.droppedFrames.toLocaleString()}</td>`;
+            html += `<td class="p-2 text-center">${jank.frameCount.toLocaleString()}</td>`;
+            html += '</tr>';
+        }
+        html += '</tbody></table></div>';
+        const refresh = sortedResults.find(([, data]) => data.jank)?.[1].jank.refreshInterval;
+        html += `<div class="p-3 bg-gray-50 text-xs border-t">Dropped frames count the refresh intervals missed between frames, against a measured idle interval of ${refresh ? refresh.toFixed(2) : '—'} ms.</div>`;
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Inline SVG line chart with a log₂ x axis (sizes and icon counts both grow geometrically).
+     * Each series is { label, color, dashed?, line: [{x, y}], markers?: [{x, y}] }.
+     */
+    buildLogXChart(xValues, series, xLabel, ariaLabel) {
+        const width = 640, height = 260, left = 56, right = 16, top = 16, bottom = 36;
+        const allY = series.flatMap(item => [...item.line, ...(item.markers || [])].map(point => point.y));
+        const maxY = Math.max(0, ...allY) || 1;
+        const minLog = Math.log2(xValues[0]);
+        const logSpan = Math.log2(xValues[xValues.length - 1]) - minLog || 1;
+        const x = value => left + (Math.log2(value) - minLog) / logSpan * (width - left - right);
+        const y = value => top + (1 - value / maxY) * (height - top - bottom);
+
+        let svg = `<svg viewBox="0 0 ${width} ${height}" class="w-full" role="img" aria-label="${ariaLabel}">`;
+        svg += `<line x1="${left}" y1="${y(0)}" x2="${width - right}" y2="${y(0)}" stroke="#d1d5db"/>`;
+        for (const fraction of [0, 0.5, 1]) {
+            svg += `<text x="${left - 6}" y="${y(maxY * fraction) + 4}" text-anchor="end" font-size="10" fill="#6b7280">${(maxY * fraction).toFixed(1)}</text>`;
+        }
+        for (const value of xValues) {
+            svg += `<text x="${x(value)}" y="${height - bottom + 14}" text-anchor="middle" font-size="10" fill="#6b7280">${value}</text>`;
+        }
+        svg += `<text x="${(left + width - right) / 2}" y="${height - 4}" text-anchor="middle" font-size="10" fill="#374151">${xLabel}</text>`;
+        svg += `<text x="12" y="${(top + height - bottom) / 2}" text-anchor="middle" font-size="10" fill="#374151" transform="rotate(-90 12 ${(top + height - bottom) / 2})">Render time (ms)</text>`;
+
+        let legend = '';
+        for (const item of series) {
+            const dash = item.dashed ? ' stroke-dasharray="4 3"' : '';
+            const points = item.line.map(point => `${x(point.x).toFixed(1)},${y(point.y).toFixed(1)}`);
+            svg += `<polyline points="${points.join(' ')}" fill="none" stroke="${item.color}" stroke-width="2"${dash}/>`;
+            for (const point of item.markers || []) {
+                svg += `<circle cx="${x(point.x).toFixed(1)}" cy="${y(point.y).toFixed(1)}" r="3" fill="${item.color}"/>`;
+            }
+            legend += `<span class="inline-flex items-center gap-1 mr-3"><span style="display:inline-block;width:12px;height:3px;background:${item.color}"></span>${item.label}</span>`;
+        }
+        svg += '</svg>';
+        return `${svg}<div class="text-xs text-gray-600 mt-2">${legend}</div>`;
     }
 
-    generateStatisticalAnalysisTable(sortedResults) {
-        if (sortedResults.length < 2) return '';
-        
+    /**
+     * DOM-size scaling: measured means (points) with each config's best-fitting model (line),
+     * and a table of both fits plus the icon count that fills one 60 Hz frame.
+     */
+    generateScalingSection() {
+        const { counts, referenceCount, results, fits } = this.scalingSweep;
+        const names = Object.keys(results);
+        const fitted = (fit, n) => fit.best === 'power-law'
+            ? fit.powerLaw.coefficient * Math.pow(n, fit.powerLaw.exponent)
+            : fit.linear.intercept + fit.linear.slope * n;
+        const first = counts[0], last = counts[counts.length - 1];
+        const samples = Array.from({ length: 41 }, (_, i) => first * Math.pow(last / first, i / 40));
+        const series = names.map((name, index) => ({
+            label: name,
+            color: CHART_PALETTE[index % CHART_PALETTE.length],
+            markers: counts.filter(count => results[name][count]).map(count => ({ x: count, y: results[name][count].average })),
+            line: fits[name] ? samples.map(n => ({ x: n, y: Math.max(0, fitted(fits[name], n)) })) : []
+        }));
+
         let html = '<div class="bg-white rounded border overflow-hidden mb-4">';
-        html += '<h3 class="font-semibold p-3 bg-gray-50 border-b">Statistical Significance Analysis</h3>';
-        html += '<div class="overflow-x-auto">';
-        html += '<table class="w-full text-xs">';
-        html += '<thead><tr class="bg-gray-50 border-b">';
-        html += '<th class="p-2 text-left">Comparison</th>';
-        html += '<th class="p-2 text-center">P-Value</th>';
-        html += '<th class="p-2 text-center">Significance</th>';
-        html += '<th class="p-2 text-center">Statistical Power</th>';
-        html += '<th class="p-2 text-center">Effect Size</th>';
-        html += '<th class="p-2 text-center">Confidence</th>';
-        html += '</tr></thead><tbody>';
+        html += '<h3 class="font-semibold p-3 bg-gray-50 border-b">DOM Size Scaling</h3>';
+        html += `<div class="p-3">${this.buildLogXChart(counts, series, 'Icons per test', 'Render time by icons per test')}`;
+        html += `<div class="text-xs text-gray-500 mt-1">Points are measured means; lines are each config's better-fitting model. Main results above are from the ${referenceCount}-icon pass.</div></div>`;
 
-        // Compare each method against the fastest (baseline)
-        const baseline = sortedResults[0];
-        const baselineStats = baseline[1].renderTime;
-        
-        for (let i = 1; i < sortedResults.length; i++) {
-            const comparison = sortedResults[i];
-            const comparisonStats = comparison[1].renderTime;
-            
-            const pValue = this.calculatePValue(baselineStats, comparisonStats);
-            const power = this.calculateStatisticalPower(baselineStats, comparisonStats);
-            const effectSize = Math.abs(baselineStats.average - comparisonStats.average) / 
-                             Math.sqrt((Math.pow(baselineStats.stdDev, 2) + Math.pow(comparisonStats.stdDev, 2)) / 2);
-            
-            const isSignificant = pValue < 0.05;
-            const significanceText = isSignificant ? 
-                (pValue < 0.001 ? 'Highly Significant***' : pValue < 0.01 ? 'Very Significant**' : 'Significant*') : 
-                'Not Significant';
-            const significanceColor = isSignificant ? 'text-green-600' : 'text-red-600';
-            
-            const powerText = power > 0.8 ? 'High' : power > 0.5 ? 'Medium' : 'Low';
-            const powerColor = power > 0.8 ? 'text-green-600' : power > 0.5 ? 'text-yellow-600' : 'text-red-600';
-            
-            const effectSizeText = effectSize > 0.8 ? 'Large' : effectSize > 0.5 ? 'Medium' : 'Small';
-            
-            html += `<tr class="border-b">`;
-            html += `<td class="p-2 font-medium">${comparison[0]} vs ${baseline[0]}</td>`;
-            html += `<td class="p-2 text-center">${pValue < 0.001 ? '<0.001' : pValue.toFixed(3)}</td>`;
-            html += `<td class="p-2 text-center ${significanceColor}">${significanceText}</td>`;
-            html += `<td class="p-2 text-center ${powerColor}">${powerText} (${power.toFixed(2)})</td>`;
-            html += `<td class="p-2 text-center">${effectSizeText} (${effectSize.toFixed(2)})</td>`;
-            html += `<td class="p-2 text-center">${!isSignificant ? 'Low' : power > 0.8 ? 'High' : 'Medium'}</td>`;
+        html += '<div class="overflow-x-auto"><table class="w-full text-xs"><thead><tr class="bg-gray-50 border-b">';
+        html += '<th class="p-2 text-left">Icon Type</th><th class="p-2 text-center">Best Fit</th>';
+        html += '<th class="p-2 text-center">Slope (ms/icon)</th><th class="p-2 text-center">Intercept (ms)</th><th class="p-2 text-center">Linear R²</th>';
+        html += '<th class="p-2 text-center">Power-law t = a·n^k</th><th class="p-2 text-center">Power-law R²</th>';
+        html += '<th class="p-2 text-center">Icons per 16.7 ms Frame</th>';
+        html += '</tr></thead><tbody>';
+        const formatR2 = r2 => r2 != null ? r2.toFixed(3) : '—';
+        for (const name of names) {
+            const fit = fits[name];
+            if (!fit) continue;
+            html += `<tr class="border-b"><td class="p-2 font-medium">${name}</td>`;
+            html += `<td class="p-2 text-center">${fit.best === 'power-law' ? 'Power law' : 'Linear'}</td>`;
+            html += `<td class="p-2 text-center">${fit.linear.slope.toFixed(5)}</td>`;
+            html += `<td class="p-2 text-center">${fit.linear.intercept.toFixed(3)}</td>`;
+            html += `<td class="p-2 text-center">${formatR2(fit.linear.r2)}</td>`;
+            html += `<td class="p-2 text-center">${fit.powerLaw ? `${fit.powerLaw.coefficient.toPrecision(3)}·n^${fit.powerLaw.exponent.toFixed(3)}` : '—'}</td>`;
+            html += `<td class="p-2 text-center">${fit.powerLaw ? formatR2(fit.powerLaw.r2) : '—'}</td>`;
+            html += `<td class="p-2 text-center">${fit.budgetIcons != null ? fit.budgetIcons.toLocaleString() : '—'}</td>`;
             html += '</tr>';
         }
-
         html += '</tbody></table></div>';
-        
-        // Statistical interpretation
-        html += '<div class="p-3 bg-gray-50 text-xs">';
-        html += '<div class="mb-2"><strong>Statistical Interpretation:</strong></div>';
-        html += '<div class="grid grid-cols-1 md:grid-cols-2 gap-2">';
-        html += '<div>• <strong>P-Value < 0.05:</strong> Statistically significant difference</div>';
-        html += '<div>• <strong>Power > 0.8:</strong> High confidence in detecting real differences</div>';
-        html += '<div>• <strong>Effect Size > 0.5:</strong> Meaningful practical difference</div>';
-        html += '<div>• <strong>95% CI:</strong> True average lies within this range 95% of the time</div>';
-        html += '</div></div>';
-        
+        html += '<div class="p-3 bg-gray-50 text-xs border-t">An exponent above 1 means each extra icon costs more than the last; the frame column is where the format stops fitting a single 60 Hz frame.</div>';
         html += '</div>';
         return html;
     }
@@ -1331,6 +3714,89 @@ class StressTestManager {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * Smallest nonzero step between consecutive performance.now() readings. Browsers coarsen
+     * (and jitter) the clock to 100 µs–1 ms unless the page is cross-origin isolated, which is
+     * too coarse for single-icon timings, so runs record the value they actually got.
+     */
+    measureTimerResolution() {
+        let smallest = Infinity;
+        let ticks = 0;
+        let last = performance.now();
+        const deadline = last + TIMER_PROBE_MS;
+        while (ticks < 1000) {
+            const now = performance.now();
+            if (now !== last) {
+                smallest = Math.min(smallest, now - last);
+                ticks++;
+                last = now;
+            }
+            if (now >= deadline) break;
+        }
+        // A clock that never ticked within the probe is at least as coarse as the probe itself
+        const resolutionMs = ticks > 0 ? parseFloat(smallest.toPrecision(3)) : TIMER_PROBE_MS;
+        return {
+            resolutionMs,
+            crossOriginIsolated: window.crossOriginIsolated === true,
+            coarse: resolutionMs >= COARSE_TIMER_THRESHOLD_MS
+        };
+    }
+
+    // Partial results of a stopped run; configs cut off mid-way are not among them
+    generateIncompleteRunNotice(testDuration) {
+        const finished = Object.keys(this.results).length;
+        let html = '<div class="incomplete-run-notice bg-yellow-100 border border-yellow-400 p-3 rounded mb-4" role="alert">';
+        html += `<h3 class="font-semibold text-yellow-800">${this.t('run.incomplete_title', 'Test stopped by user — incomplete results')}</h3>`;
+        html += '<div class="text-sm text-yellow-700 mt-1">';
+        html += `${finished}/${this.iconConfigs.length} ${this.t('run.configs_finished', 'configurations finished')} | `;
+        html += `Duration: ${testDuration.toFixed(1)}s | Iterations: ${this.completedIterations.toLocaleString()}`;
+        html += '</div>';
+        html += `<div class="text-xs text-yellow-700 mt-2">${this.t('run.incomplete_note', 'Saved with an incomplete flag. The configuration interrupted by the stop was discarded.')}</div>`;
+        html += '</div>';
+        return html;
+    }
+
+    // Configs skipped because this browser can't render them or their source failed to load
+    generateUnavailableConfigsNotice() {
+        let html = '<div class="unavailable-configs-notice bg-yellow-50 border border-yellow-300 p-3 rounded mb-4" role="alert">';
+        html += `<h3 class="font-semibold text-yellow-800">${this.t('run.unavailable_title', 'Some configurations were skipped')}</h3>`;
+        html += '<ul class="text-sm text-yellow-700 mt-1 list-disc pl-5">';
+        for (const [name, reason] of Object.entries(this.unavailableConfigs)) {
+            html += `<li><strong>${name}</strong>: ${reason}</li>`;
+        }
+        html += '</ul></div>';
+        return html;
+    }
+
+    generateCoarseTimerWarning() {
+        const { resolutionMs, crossOriginIsolated } = this.timerResolution;
+        let html = '<div class="coarse-timer-warning bg-yellow-50 border border-yellow-300 p-3 rounded mb-4" role="alert">';
+        html += `<h3 class="font-semibold text-yellow-800">${this.t('timer.coarse_title', 'Coarse timer resolution')}</h3>`;
+        html += '<div class="text-sm text-yellow-700 mt-1">';
+        html += `${this.t('timer.resolution', 'performance.now() resolution')}: ${resolutionMs} ms`;
+        html += ` (${crossOriginIsolated ? this.t('timer.isolated', 'cross-origin isolated') : this.t('timer.not_isolated', 'not cross-origin isolated')}). `;
+        html += this.t('timer.coarse_hint', 'Single-icon timings are quantized at this step. Serve with npm run serve:isolated for microsecond timers.');
+        html += '</div></div>';
+        return html;
+    }
+
+    /**
+     * Memory backend for this page: measureUserAgentSpecificMemory() needs a cross-origin
+     * isolated page (COOP/COEP headers) and covers every browser that ships it; the
+     * Chromium-only performance.memory is the fallback. Anything else reports 'unavailable'
+     * rather than 0 bytes.
+     */
+    getMemoryBackend() {
+        if (window.crossOriginIsolated && typeof performance.measureUserAgentSpecificMemory === 'function') {
+            return 'uasm';
+        }
+        if (performance.memory) {
+            return 'performance-memory';
+        }
+        return 'unavailable';
+    }
+
+    // Synchronous heap reading from performance.memory; null when the browser has none
     getMemoryUsage() {
         if (performance.memory) {
             return {
@@ -1339,7 +3805,48 @@ class StressTestManager {
                 limit: performance.memory.jsHeapSizeLimit
             };
         }
-        return { used: 0, total: 0, limit: 0 };
+        return null;
+    }
+
+    // Reading from the active backend; null when memory is unavailable or the measurement fails
+    async measureMemory() {
+        if (this.memoryBackend === 'uasm') {
+            try {
+                const result = await performance.measureUserAgentSpecificMemory();
+                return { used: result.bytes, total: result.bytes, limit: null };
+            } catch (error) {
+                console.warn('measureUserAgentSpecificMemory failed:', error);
+                return null;
+            }
+        }
+        return this.memoryBackend === 'performance-memory' ? this.getMemoryUsage() : null;
+    }
+
+    /**
+     * Memory summary saved with each result. `samples` are the kept per-iteration deltas
+     * (performance.memory backend); the uasm backend contributes one snapshot per config,
+     * saved as its value alone since a single reading has no spread or interval.
+     * Round-robin runs interleave configs, so uasm snapshots can't be attributed and the
+     * result is 'unavailable' there, as it is for browsers with no backend at all.
+     */
+    summarizeMemory(measurements, samples) {
+        if (this.memoryBackend === 'performance-memory' && samples.length > 0) {
+            return {
+                backend: this.memoryBackend,
+                granularity: 'iteration',
+                used: this.calculateArrayStats(samples.map(m => m.used)),
+                total: samples[samples.length - 1].total
+            };
+        }
+        if (this.memoryBackend === 'uasm' && measurements.memorySnapshot) {
+            return {
+                backend: this.memoryBackend,
+                granularity: 'config',
+                used: { average: measurements.memorySnapshot.used },
+                total: measurements.memorySnapshot.total
+            };
+        }
+        return { backend: 'unavailable', granularity: null, used: null, total: null };
     }
 
     updateProgress(message, percentage) {
@@ -1374,6 +3881,7 @@ class StressTestManager {
         const progressDiv = document.getElementById('testProgress');
         const startBtn = document.getElementById('startTest');
         const stopBtn = document.getElementById('stopTest');
+        const pauseBtn = document.getElementById('pauseTest');
         
         if (show) {
             progressDiv.classList.remove('hidden');
@@ -1381,18 +3889,240 @@ class StressTestManager {
             startBtn.textContent = 'Testing...';
             startBtn.classList.add('opacity-50', 'cursor-not-allowed');
             stopBtn.classList.remove('hidden');
+            if (pauseBtn) pauseBtn.classList.remove('hidden');
         } else {
             progressDiv.classList.add('hidden');
             startBtn.disabled = false;
             startBtn.textContent = 'Start Stress Test';
             startBtn.classList.remove('opacity-50', 'cursor-not-allowed');
             stopBtn.classList.add('hidden');
+            if (pauseBtn) pauseBtn.classList.add('hidden');
         }
+        this.updatePauseButton();
+    }
+
+    // Pause button sits next to Stop; built here so every format page gets it
+    renderPauseButton() {
+        const stopBtn = document.getElementById('stopTest');
+        if (!stopBtn || document.getElementById('pauseTest')) return;
+        const pauseBtn = document.createElement('button');
+        pauseBtn.id = 'pauseTest';
+        pauseBtn.className = 'mt-3 mr-2 bg-yellow-500 text-white px-4 py-2 rounded text-sm hover:bg-yellow-600 hidden';
+        pauseBtn.dataset.i18n = 'run.pause';
+        pauseBtn.textContent = this.t('run.pause', 'Pause Test');
+        stopBtn.insertAdjacentElement('beforebegin', pauseBtn);
+    }
+
+    togglePause() {
+        if (this.isPaused) {
+            this.resumeTest();
+        } else {
+            this.pauseTest();
+        }
+    }
+
+    pauseTest() {
+        if (!this.isRunning || this.isPaused) return;
+        this.isPaused = true;
+        this.pausedAt = performance.now();
+        this.updatePauseButton();
+        this.updateProgress(this.t('run.paused', 'Paused — the current iteration finishes, then the run waits'),
+                          this.completedIterations / this.totalIterations * 100);
+    }
+
+    resumeTest() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        // Paused time is excluded from the run's duration and iteration rate
+        this.startTime += performance.now() - this.pausedAt;
+        this.updatePauseButton();
+        this.releasePauseWaiters();
+    }
+
+    releasePauseWaiters() {
+        const waiters = this.pauseWaiters;
+        this.pauseWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // Resolves immediately unless paused; called between iterations and configs
+    waitWhilePaused() {
+        if (!this.isPaused) return Promise.resolve();
+        return new Promise(resolve => this.pauseWaiters.push(resolve));
+    }
+
+    updatePauseButton() {
+        const pauseBtn = document.getElementById('pauseTest');
+        if (!pauseBtn) return;
+        const key = this.isPaused ? 'run.resume' : 'run.pause';
+        pauseBtn.dataset.i18n = key;
+        pauseBtn.textContent = this.isPaused ? this.t(key, 'Resume Test') : this.t(key, 'Pause Test');
+    }
+
+    // Raw samples of a finished config, kept per pass so sweeps don't overwrite each other
+    recordRawSamples(name, samples) {
+        const passKey = `${this.iconSize}px×${this.iconsPerTest}`;
+        const pass = this.rawSamples[passKey] || (this.rawSamples[passKey] = {});
+        pass[name] = samples;
+    }
+
+    getCheckpointKey() {
+        return `iconTestCheckpoint_${this.detectPageFormat()}`;
+    }
+
+    /**
+     * Persist everything needed to resume the run: the options and execution plan, finished
+     * passes (sweep summaries, reference results), the configs finished in the current pass
+     * and every raw sample so far. Written after each config and each pass. If the raw samples
+     * push localStorage over quota the checkpoint is retried without them, so a 20k-iteration
+     * run can still resume, just without its raw data.
+     */
+    writeCheckpoint({ passIndex = this.passIndex, results = this.results } = {}) {
+        const checkpoint = {
+            version: CHECKPOINT_VERSION,
+            format: this.detectPageFormat(),
+            savedAt: new Date().toISOString(),
+            testStartedAt: this.testStartedAt,
+            elapsedMs: performance.now() - this.startTime - (this.isPaused ? performance.now() - this.pausedAt : 0),
+            testType: document.getElementById('testType').value,
+            options: {
+                benchmarkMode: this.benchmarkMode,
+                jankDuration: this.jankDuration,
+                timingMode: this.timingMode,
+                decodePhase: this.decodePhase,
+                cacheMode: this.cacheMode,
+                warmupIterations: this.warmupIterations,
+                outlierPolicy: this.outlierPolicy,
+                executionOrder: this.executionOrder,
+                orderSeed: this.orderSeed,
+                scalingMode: this.scalingMode,
+                sweepSizes: this.sweepSizes,
+                precisionTarget: this.precisionTarget,
+                precisionBudget: this.precisionBudget,
+                analysisMethod: this.analysisMethod,
+                customTest: this.customTest
+            },
+            repetition: this.repetition,
+            executionPlan: this.executionPlan,
+            completedIterations: this.completedIterations,
+            totalIterations: this.totalIterations,
+            passIndex,
+            results,
+            referenceResults: this.referenceResults,
+            sizeSweep: this.sizeSweep,
+            scalingSweep: this.scalingSweep,
+            rawSamples: this.rawSamples,
+            rawSamplesDropped: false
+        };
+        try {
+            localStorage.setItem(this.getCheckpointKey(), JSON.stringify(checkpoint));
+        } catch (error) {
+            console.warn('Checkpoint too large for localStorage, retrying without raw samples:', error);
+            try {
+                localStorage.setItem(this.getCheckpointKey(), JSON.stringify({ ...checkpoint, rawSamples: {}, rawSamplesDropped: true }));
+            } catch (retryError) {
+                console.error('Failed to write checkpoint:', retryError);
+            }
+        }
+    }
+
+    // The stored checkpoint, or null when there is none or it can't resume on this page
+    readCheckpoint() {
+        try {
+            const checkpoint = JSON.parse(localStorage.getItem(this.getCheckpointKey()) || 'null');
+            if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) return null;
+            const names = this.iconConfigs.map(config => config.name);
+            const plan = checkpoint.executionPlan && checkpoint.executionPlan.configOrder;
+            if (!plan || plan.length !== names.length || !plan.every(name => names.includes(name))) return null;
+            return checkpoint;
+        } catch (error) {
+            console.warn('Could not read checkpoint:', error);
+            return null;
+        }
+    }
+
+    clearCheckpoint() {
+        localStorage.removeItem(this.getCheckpointKey());
+    }
+
+    // Put the checkpointed settings back into the controls so readAdvancedOptions() and
+    // getCurrentTestConfig() see the interrupted run's configuration
+    applyCheckpointOptions(checkpoint) {
+        const options = checkpoint.options;
+        const values = {
+            testType: checkpoint.testType,
+            benchmarkMode: options.benchmarkMode,
+            jankDuration: options.jankDuration,
+            timingMode: options.timingMode,
+            decodePhase: options.decodePhase,
+            cacheMode: options.cacheMode,
+            warmupIterations: options.warmupIterations,
+            outlierPolicy: options.outlierPolicy,
+            executionOrder: options.executionOrder,
+            orderSeed: options.orderSeed != null ? options.orderSeed : '',
+            scalingMode: options.scalingMode,
+            sizeSweep: (options.sweepSizes || []).join(', '),
+            precisionTarget: options.precisionTarget,
+            precisionBudget: options.precisionBudget,
+            analysisMethod: options.analysisMethod,
+            customIterations: options.customTest ? options.customTest.iterations : null,
+            customIconsPerTest: options.customTest ? options.customTest.iconsPerTest : null,
+            customRepetitions: options.customTest ? options.customTest.repetitions : null
+        };
+        for (const [id, value] of Object.entries(values)) {
+            const element = document.getElementById(id);
+            if (element && value != null) {
+                element.value = value;
+            }
+        }
+    }
+
+    // Offer to resume a run that was interrupted by a reload or crash
+    offerResume() {
+        const resultsDiv = document.getElementById('results');
+        const checkpoint = this.readCheckpoint();
+        if (!resultsDiv || !checkpoint || document.getElementById('resumeOffer')) return;
+
+        const percentage = checkpoint.totalIterations > 0 ? checkpoint.completedIterations / checkpoint.totalIterations * 100 : 0;
+        const offer = document.createElement('div');
+        offer.id = 'resumeOffer';
+        offer.className = 'bg-yellow-50 border border-yellow-300 p-3 rounded mb-4';
+        offer.setAttribute('role', 'alert');
+        offer.innerHTML = `
+            <h3 class="font-semibold text-yellow-800" data-i18n="run.resume_title">${this.t('run.resume_title', 'Interrupted run found')}</h3>
+            <div class="text-sm text-yellow-700 mt-1">
+                ${checkpoint.testType} · ${this.t('run.started', 'Started')}: ${new Date(checkpoint.testStartedAt).toLocaleString()} ·
+                ${checkpoint.completedIterations.toLocaleString()}/${checkpoint.totalIterations.toLocaleString()} ${this.t('run.iterations_done', 'iterations done')} (${percentage.toFixed(0)}%) ·
+                ${this.t('run.checkpointed', 'Checkpointed')}: ${new Date(checkpoint.savedAt).toLocaleString()}
+            </div>
+            <div class="flex flex-wrap gap-2 mt-2">
+                <button id="resumeRun" class="bg-yellow-500 text-white px-4 py-2 rounded text-sm hover:bg-yellow-600" data-i18n="run.resume_run">${this.t('run.resume_run', 'Resume Run')}</button>
+                <button id="discardCheckpoint" class="bg-gray-500 text-white px-4 py-2 rounded text-sm hover:bg-gray-600" data-i18n="run.discard">${this.t('run.discard', 'Discard')}</button>
+            </div>
+        `;
+        resultsDiv.insertAdjacentElement('afterbegin', offer);
+
+        document.getElementById('resumeRun').addEventListener('click', () => this.resumeFromCheckpoint());
+        document.getElementById('discardCheckpoint').addEventListener('click', () => {
+            this.clearCheckpoint();
+            offer.remove();
+        });
+    }
+
+    resumeFromCheckpoint() {
+        const checkpoint = this.readCheckpoint();
+        const offer = document.getElementById('resumeOffer');
+        if (offer) offer.remove();
+        if (!checkpoint) return;
+        this.startStressTest({ checkpoint });
     }
 
     stopTest() {
         this.shouldStop = true;
         this.isRunning = false;
+        // A paused run has to wake up to unwind; partial results are saved by finishRun()
+        this.isPaused = false;
+        this.releasePauseWaiters();
         this.clearActiveIntervals();
         this.showProgress(false);
         
@@ -1510,10 +4240,24 @@ class StressTestManager {
         // Reset all internal state
         this.isRunning = false;
         this.shouldStop = false;
+        this.isPaused = false;
+        this.releasePauseWaiters();
+        this.runIncomplete = false;
         this.results = {};
         this.completedIterations = 0;
         this.totalIterations = 0;
         this.startTime = 0;
+        this.cacheBustToken = Date.now().toString(36);
+        this.sizeSweep = null;
+        this.scalingSweep = null;
+        this.nonParametricAnalysis = null;
+        this.pairwiseComparisons = null;
+        this.omnibusTests = null;
+        this.passIndex = 0;
+        this.referenceResults = {};
+        this.rawSamples = {};
+        this.unattributedNoise = null;
+        this.unavailableConfigs = {};
         
         // Reset UI state
         this.showProgress(false);
@@ -1545,10 +4289,9 @@ class StressTestManager {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
-    startProgressMonitoring(config, testConfig) {
+    startProgressMonitoring(config, testConfig, targetIterations = testConfig.iterations + this.warmupIterations) {
         // Non-blocking progress monitoring using actual completed iteration counts
         const configStartIterations = this.completedIterations;
-        const targetIterations = testConfig.iterations;
         
         const interval = setInterval(() => {
             const configCompleted = this.completedIterations - configStartIterations;
@@ -1601,7 +4344,15 @@ class StressTestManager {
 
             // Restore state so displayAggregatedResults() can render the full view
             this.results = testData.results;
+            this.sizeSweep = testData.sizeSweep || null;
+            this.scalingSweep = testData.scalingSweep || null;
             this.completedIterations = testData.iterations || 0;
+            this.runIncomplete = testData.incomplete || false;
+            this.unavailableConfigs = testData.unavailableConfigs || {};
+            this.timerResolution = testData.testMetadata ? testData.testMetadata.timerResolution || null : null;
+            this.nonParametricAnalysis = this.getSavedNonParametricAnalysis(testData.statisticalAnalysis);
+            this.pairwiseComparisons = testData.pairwiseComparisons || null;
+            this.omnibusTests = testData.omnibusTests || null;
             this.testStartedAt = testData.testStartedAt || testData.testDate || null;
 
             // Render the full results view with saved duration, without re-saving
@@ -1669,6 +4420,506 @@ class StressTestManager {
     }
 }
 
+// ─── Render-type registry ─────────────────────────────────────────
+// Each render type builds icons for configs with a matching `renderType`:
+//   createReference(config, manager) → Element | Promise<Element>   optional; defaults to manager.findReferenceElement()
+//   createIcon(config, { index, referenceElement, batchId, manager }) → Element   required unless renderBatch is given
+//   renderBatch(config, { iconCount, referenceElement, batchId, manager }) → Element | Promise<Element>
+//                                                optional; renders the whole batch as one element (e.g. a canvas)
+//   teardown(config, context, manager)           optional; runs once per config when the test ends
+//   describePayload(config, context) → { encoding, sourceBytes, encodedBytes }   optional; saved with the results
+// Pages can register additional techniques before constructing the manager.
+StressTestManager.renderTypes = new Map();
+
+StressTestManager.registerRenderType = function(name, { createReference, createIcon, renderBatch, teardown, describePayload } = {}) {
+    if (!name || typeof name !== 'string') {
+        throw new TypeError('Render type name must be a non-empty string');
+    }
+    if (typeof createIcon !== 'function' && typeof renderBatch !== 'function') {
+        throw new TypeError(`Render type "${name}" must provide a createIcon or renderBatch function`);
+    }
+    StressTestManager.renderTypes.set(name, { name, createReference, createIcon, renderBatch, teardown, describePayload });
+};
+
+StressTestManager.getRenderType = function(name) {
+    const renderType = StressTestManager.renderTypes.get(name);
+    if (!renderType) {
+        const known = [...StressTestManager.renderTypes.keys()].join(', ');
+        throw new Error(`Unknown render type "${name}" (registered: ${known})`);
+    }
+    return renderType;
+};
+
+// Inline SVG markup with gradient IDs rewritten per icon to avoid DOM conflicts
+function createInlineSvgRenderType(idPrefix) {
+    return {
+        createReference(config, manager) {
+            return manager.findReferenceElement(config) || manager.createTemporaryReference(config.svgMarkup || '');
+        },
+        createIcon(config, { index, referenceElement, manager }) {
+            const iconElement = document.createElement('div');
+            iconElement.className = 'w-12 h-12 m-1 inline-flex';
+            const uid = idPrefix + index;
+            const svgMarkup = (config.svgMarkup || referenceElement.outerHTML)
+                .replace(/id="[^"]*"/g, `id="${uid}"`)
+                .replace(/url\(#[^)]*\)/g, `url(#${uid})`);
+            iconElement.innerHTML = svgMarkup;
+            if (manager.iconSize !== DEFAULT_ICON_SIZE) {
+                manager.applyIconSize(iconElement);
+                // Markup without an element (empty or text-only) has nothing to resize
+                const svgElement = iconElement.firstElementChild;
+                if (svgElement) {
+                    svgElement.setAttribute('width', manager.iconSize);
+                    svgElement.setAttribute('height', manager.iconSize);
+                }
+            }
+            return iconElement;
+        },
+        teardown(config, { referenceElement }, manager) {
+            manager.removeTemporaryReference(referenceElement);
+        }
+    };
+}
+
+StressTestManager.registerRenderType('inline-svg', createInlineSvgRenderType('g'));
+StressTestManager.registerRenderType('optimized-svg', createInlineSvgRenderType('o'));
+
+// External image file via <img>. Registered as 'img'; 'external-svg' is the original name,
+// kept so existing configs and saved results still resolve.
+const imageElementRenderType = {
+    createReference(config, manager) {
+        const existing = manager.findReferenceElement(config);
+        if (existing || !config.src) return existing;
+        return manager.createTemporaryReference(`<img src="${manager.getSizedSrc(config)}" width="${manager.iconSize}" height="${manager.iconSize}">`);
+    },
+    createIcon(config, { index, batchId, manager }) {
+        const src = manager.resolveAssetUrl(manager.getSizedSrc(config) || 'img/remix_circle_icon.svg', { batchId, index });
+        return createImageIcon(src, config.name, batchId, manager);
+    },
+    teardown(config, { referenceElement }, manager) {
+        manager.removeTemporaryReference(referenceElement);
+    }
+};
+
+function createImageIcon(src, alt, batchId, manager) {
+    const iconElement = manager.applyIconSize(document.createElement('div'));
+    iconElement.className = 'w-12 h-12 m-1 inline-flex';
+    const img = document.createElement('img');
+    img.src = src;
+    img.width = manager.iconSize;
+    img.height = manager.iconSize;
+    img.alt = alt;
+    if (batchId) {
+        // Element Timing only reports images and text; identifier ties entries to this batch
+        img.setAttribute('elementtiming', batchId);
+    }
+    iconElement.appendChild(img);
+    return iconElement;
+}
+
+StressTestManager.registerRenderType('img', imageElementRenderType);
+StressTestManager.registerRenderType('external-svg', imageElementRenderType);
+
+// <img> pointing at bytes already held by the page instead of a separate request per icon.
+// `config.src` is fetched once per config and `encode(blob)` turns it into the URL every
+// icon shares; `release(url)` runs on teardown. Cache modes don't apply: nothing is
+// requested while icons are generated.
+function createInlineImageRenderType(encoding, encode, release) {
+    const sources = new WeakMap();
+
+    return {
+        async createReference(config, manager) {
+            const src = manager.getSizedSrc(config);
+            const response = await fetch(src);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${src} for ${config.name}: HTTP ${response.status}`);
+            }
+            const blob = await response.blob();
+            const url = await encode(blob);
+            sources.set(config, { url, sourceBytes: blob.size, encodedBytes: encoding === 'base64' ? url.length : blob.size });
+            return manager.findReferenceElement(config) ||
+                manager.createTemporaryReference(`<img src="${url}" width="${manager.iconSize}" height="${manager.iconSize}" alt="${config.name}">`);
+        },
+        createIcon(config, { batchId, manager }) {
+            return createImageIcon(sources.get(config).url, config.name, batchId, manager);
+        },
+        describePayload(config) {
+            const { sourceBytes, encodedBytes } = sources.get(config);
+            return { encoding, sourceBytes, encodedBytes };
+        },
+        teardown(config, { referenceElement }, manager) {
+            manager.removeTemporaryReference(referenceElement);
+            const source = sources.get(config);
+            if (source && release) release(source.url);
+            sources.delete(config);
+        }
+    };
+}
+
+// data:<mime>;base64,… — encodedBytes is the full URL length, i.e. the ~4/3 base64 overhead included
+StressTestManager.registerRenderType('data-uri', createInlineImageRenderType('base64', (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+})));
+
+// blob: URL created once per config and revoked when the test ends
+StressTestManager.registerRenderType('blob-url', createInlineImageRenderType('blob',
+    (blob) => URL.createObjectURL(blob),
+    (url) => URL.revokeObjectURL(url)
+));
+
+// CSS-delivered raster icons. `buildRules(config, className, size)` returns the stylesheet for the
+// config; icons are empty 48×48 boxes carrying the class. Sprite-sheet configs also get a
+// per-cell class, cycled by icon index so every icon resolves its own background-position.
+// In cold cache modes each icon also gets an inline background-image from
+// `buildImages(config, resolveUrl)`; values are applied in order so an unsupported
+// syntax is ignored and the previous one stays, as with stylesheet fallbacks.
+function createCssBackgroundRenderType(prefix, buildRules, buildImages) {
+    const classNames = new WeakMap();
+    const classNameFor = (config, manager) => {
+        if (!classNames.has(config)) classNames.set(config, manager.getConfigClassName(prefix, config));
+        return classNames.get(config);
+    };
+
+    return {
+        createReference(config, manager) {
+            const className = classNameFor(config, manager);
+            manager.injectRenderStyle(className, buildRules(config, className, manager.iconSize, manager));
+            return manager.findReferenceElement(config) ||
+                manager.createTemporaryReference(`<div class="${className} ${className}-0" role="img" aria-label="${config.name}"></div>`);
+        },
+        createIcon(config, { index, batchId, manager }) {
+            const className = classNameFor(config, manager);
+            const iconElement = manager.applyIconSize(document.createElement('div'));
+            iconElement.className = config.spriteCells
+                ? `w-12 h-12 m-1 inline-flex ${className} ${className}-${index % config.spriteCells}`
+                : `w-12 h-12 m-1 inline-flex ${className}`;
+            if (manager.cacheMode !== 'warm') {
+                for (const image of buildImages(config, url => manager.resolveAssetUrl(url, { batchId, index }), manager)) {
+                    iconElement.style.backgroundImage = image;
+                }
+            }
+            iconElement.setAttribute('role', 'img');
+            iconElement.setAttribute('aria-label', config.name);
+            return iconElement;
+        },
+        teardown(config, { referenceElement }, manager) {
+            manager.removeTemporaryReference(referenceElement);
+            manager.removeRenderStyle(classNameFor(config, manager));
+        }
+    };
+}
+
+const cssIconBox = (size) => `width:${size}px;height:${size}px;background-repeat:no-repeat;background-size:${size}px ${size}px;`;
+
+// background-image: url(src)
+StressTestManager.registerRenderType('css-background', createCssBackgroundRenderType('css-bg', (config, className, size, manager) =>
+    `.${className}{${cssIconBox(size)}background-image:url("${manager.getSizedSrc(config)}");}`,
+    (config, resolveUrl, manager) => [`url("${resolveUrl(manager.getSizedSrc(config))}")`]
+));
+
+// background-image: image-set(src 1x, src2x 2x), with url() and -webkit-image-set() fallbacks
+StressTestManager.registerRenderType('css-image-set', createCssBackgroundRenderType('css-imgset', (config, className, size, manager) => {
+    const src = manager.getSizedSrc(config, 1);
+    const set = `url("${src}") 1x, url("${manager.getSizedSrc(config, 2)}") 2x`;
+    return `.${className}{${cssIconBox(size)}` +
+        `background-image:url("${src}");background-image:-webkit-image-set(${set});background-image:image-set(${set});}`;
+}, (config, resolveUrl, manager) => {
+    const src = resolveUrl(manager.getSizedSrc(config, 1));
+    const set = `url("${src}") 1x, url("${resolveUrl(manager.getSizedSrc(config, 2))}") 2x`;
+    return [`url("${src}")`, `-webkit-image-set(${set})`, `image-set(${set})`];
+}));
+
+// Single sprite sheet (spriteColumns × n grid of 48px cells) addressed with background-position.
+// Other sizes scale the whole sheet, so cells are resampled from the 48px artwork; the size
+// sweep output marks such configs (usesResampledArtwork()).
+StressTestManager.registerRenderType('css-sprite', createCssBackgroundRenderType('css-sprite', (config, className, size) => {
+    const columns = config.spriteColumns || 1;
+    let css = `.${className}{${cssIconBox(size)}background-image:url("${config.spriteSheet}");background-size:${columns * size}px auto;}`;
+    for (let cell = 0; cell < config.spriteCells; cell++) {
+        const x = (cell % columns) * size;
+        const y = Math.floor(cell / columns) * size;
+        css += `.${className}-${cell}{background-position:-${x}px -${y}px;}`;
+    }
+    return css;
+}, (config, resolveUrl) => [`url("${resolveUrl(config.spriteSheet)}")`]));
+
+// <symbol> sprite referenced with <svg><use href="…"/></svg>. Path data lives once in the
+// sprite; each icon only carries the <use> reference. `spriteHref` is either an in-document
+// fragment ("#id") or an external file ("img/sprite.svg#id").
+function createSpriteSvgRenderType() {
+    const buildMarkup = (config, href, size) =>
+        `<svg width="${size}" height="${size}" viewBox="0 0 48 48" role="img" aria-label="${config.name}"><use href="${href}"/></svg>`;
+
+    return {
+        createReference(config, manager) {
+            const symbolId = config.spriteHref.split('#')[1];
+            // In-document sprites can be supplied as markup when the page doesn't already contain the symbol
+            if (config.spriteHref.startsWith('#') && config.spriteMarkup && !document.getElementById(symbolId)) {
+                const sprite = document.createElement('div');
+                sprite.dataset.injectedSprite = symbolId;
+                sprite.setAttribute('aria-hidden', 'true');
+                sprite.style.cssText = 'position:absolute;width:0;height:0;overflow:hidden;';
+                sprite.innerHTML = config.spriteMarkup;
+                document.body.appendChild(sprite);
+            }
+            return manager.findReferenceElement(config) ||
+                manager.createTemporaryReference(buildMarkup(config, config.spriteHref, manager.iconSize));
+        },
+        createIcon(config, { index, batchId, manager }) {
+            const iconElement = manager.applyIconSize(document.createElement('div'));
+            iconElement.className = 'w-12 h-12 m-1 inline-flex';
+            // Only external sprite files are fetched, so only they are cache-busted in cold modes
+            const href = config.spriteHref.startsWith('#')
+                ? config.spriteHref
+                : manager.resolveAssetUrl(config.spriteHref, { batchId, index });
+            iconElement.innerHTML = buildMarkup(config, href, manager.iconSize);
+            return iconElement;
+        },
+        teardown(config, { referenceElement }, manager) {
+            manager.removeTemporaryReference(referenceElement);
+            const symbolId = config.spriteHref.split('#')[1];
+            const injected = document.querySelector(`[data-injected-sprite="${symbolId}"]`);
+            if (injected) injected.remove();
+        }
+    };
+}
+
+StressTestManager.registerRenderType('sprite-svg', createSpriteSvgRenderType());
+StressTestManager.registerRenderType('external-sprite-svg', createSpriteSvgRenderType());
+
+// ─── Canvas render types ──────────────────────────────────────────
+// Icons drawn into a single <canvas> from an ImageBitmap decoded once per config, laid out on
+// the same 20-column grid as the DOM techniques with a pitch of the icon size plus the
+// 8px of m-1 margins (56px at 48px icons). Like the inline image types, they are
+// unaffected by cache modes.
+const CANVAS_ICON_MARGIN = 4;
+const CANVAS_COLUMNS = 20;
+
+// Decoding through <img> lets SVG sources rasterize too; createImageBitmap(blob) rejects SVG.
+// The bitmap is sized for the device pixel ratio so drawImage never rescales it.
+async function decodeIconBitmap(src, iconSize) {
+    const img = new Image();
+    img.src = src;
+    await img.decode();
+    const size = Math.round(iconSize * (window.devicePixelRatio || 1));
+    return createImageBitmap(img, { resizeWidth: size, resizeHeight: size, resizeQuality: 'high' });
+}
+
+function getCanvasGrid(iconCount, iconSize) {
+    const pitch = iconSize + CANVAS_ICON_MARGIN * 2;
+    const columns = Math.max(1, Math.min(iconCount, CANVAS_COLUMNS));
+    const rows = Math.max(1, Math.ceil(iconCount / CANVAS_COLUMNS));
+    return {
+        columns,
+        iconSize,
+        pitch,
+        scale: window.devicePixelRatio || 1,
+        cssWidth: columns * pitch,
+        cssHeight: rows * pitch
+    };
+}
+
+function createIconCanvas(config, grid) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(grid.cssWidth * grid.scale);
+    canvas.height = Math.round(grid.cssHeight * grid.scale);
+    canvas.style.cssText = `grid-column:1/-1;width:${grid.cssWidth}px;max-width:100%;height:auto;`;
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', config.name);
+    return canvas;
+}
+
+// Off-screen single-icon canvas used for element metrics when the page has no example
+function createCanvasReference(config, bitmap, manager) {
+    const existing = manager.findReferenceElement(config);
+    if (existing) return existing;
+    const reference = manager.createTemporaryReference(
+        `<canvas width="${bitmap.width}" height="${bitmap.height}" style="width:${manager.iconSize}px;height:${manager.iconSize}px" role="img" aria-label="${config.name}"></canvas>`);
+    reference.getContext('2d').drawImage(bitmap, 0, 0);
+    return reference;
+}
+
+// CanvasRenderingContext2D.drawImage on the main thread
+StressTestManager.registerRenderType('canvas-2d', (() => {
+    const bitmaps = new WeakMap();
+
+    return {
+        async createReference(config, manager) {
+            const bitmap = await decodeIconBitmap(manager.getSizedSrc(config), manager.iconSize);
+            bitmaps.set(config, bitmap);
+            return createCanvasReference(config, bitmap, manager);
+        },
+        renderBatch(config, { iconCount, manager }) {
+            const bitmap = bitmaps.get(config);
+            const grid = getCanvasGrid(iconCount, manager.iconSize);
+            const canvas = createIconCanvas(config, grid);
+            const ctx = canvas.getContext('2d');
+            const size = grid.iconSize * grid.scale;
+            for (let i = 0; i < iconCount; i++) {
+                const x = ((i % grid.columns) * grid.pitch + CANVAS_ICON_MARGIN) * grid.scale;
+                const y = (Math.floor(i / grid.columns) * grid.pitch + CANVAS_ICON_MARGIN) * grid.scale;
+                ctx.drawImage(bitmap, x, y, size, size);
+            }
+            return canvas;
+        },
+        teardown(config, { referenceElement }, manager) {
+            manager.removeTemporaryReference(referenceElement);
+            const bitmap = bitmaps.get(config);
+            if (bitmap) bitmap.close();
+            bitmaps.delete(config);
+        }
+    };
+})());
+
+// OffscreenCanvas in a Web Worker (js/offscreen-icon-worker.js). The decoded bitmap is handed
+// to the worker once; each batch is drawn there and transferred back as an ImageBitmap, which
+// the page shows through a 'bitmaprenderer' context. Generation time covers the round trip.
+StressTestManager.registerRenderType('offscreen-canvas', (() => {
+    const workers = new WeakMap();
+
+    return {
+        async createReference(config, manager) {
+            if (typeof OffscreenCanvas === 'undefined' || typeof Worker === 'undefined') {
+                throw new Error(`${config.name} needs OffscreenCanvas and Web Worker support, which this browser lacks`);
+            }
+            const bitmap = await decodeIconBitmap(manager.getSizedSrc(config), manager.iconSize);
+            const reference = createCanvasReference(config, bitmap, manager);
+
+            const state = { worker: new Worker(config.workerSrc || 'js/offscreen-icon-worker.js'), pending: new Map(), nextId: 0 };
+            state.worker.onmessage = ({ data }) => {
+                const request = state.pending.get(data.id);
+                state.pending.delete(data.id);
+                if (!request) return;
+                if (data.error) request.reject(new Error(data.error));
+                else request.resolve(data.bitmap);
+            };
+            state.worker.onerror = (event) => {
+                for (const request of state.pending.values()) request.reject(new Error(event.message || 'Offscreen canvas worker failed'));
+                state.pending.clear();
+            };
+            state.worker.postMessage({ type: 'init', bitmap }, [bitmap]);
+            workers.set(config, state);
+            return reference;
+        },
+        async renderBatch(config, { iconCount, manager }) {
+            const state = workers.get(config);
+            const grid = getCanvasGrid(iconCount, manager.iconSize);
+            const id = state.nextId++;
+            const frame = await new Promise((resolve, reject) => {
+                state.pending.set(id, { resolve, reject });
+                state.worker.postMessage({
+                    type: 'render',
+                    id,
+                    iconCount,
+                    columns: grid.columns,
+                    width: Math.round(grid.cssWidth * grid.scale),
+                    height: Math.round(grid.cssHeight * grid.scale),
+                    pitch: grid.pitch * grid.scale,
+                    inset: CANVAS_ICON_MARGIN * grid.scale,
+                    size: grid.iconSize * grid.scale
+                });
+            });
+            const canvas = createIconCanvas(config, grid);
+            canvas.getContext('bitmaprenderer').transferFromImageBitmap(frame);
+            return canvas;
+        },
+        teardown(config, { referenceElement }, manager) {
+            manager.removeTemporaryReference(referenceElement);
+            const state = workers.get(config);
+            if (state) state.worker.terminate();
+            workers.delete(config);
+        }
+    };
+})());
+
+// Monochrome SVG used as mask-image over a currentColor background, inside the gradient tile.
+// The glyph takes the tile's text colour, so theming only changes CSS, never the asset.
+StressTestManager.registerRenderType('css-mask', (() => {
+    const classNames = new WeakMap();
+    const classNameFor = (config, manager) => {
+        if (!classNames.has(config)) classNames.set(config, manager.getConfigClassName('css-mask', config));
+        return classNames.get(config);
+    };
+
+    return {
+        createReference(config, manager) {
+            const className = classNameFor(config, manager);
+            const image = `url("${config.maskSrc}")`;
+            // -webkit- longhands first so engines with only prefixed support still mask the glyph
+            manager.injectRenderStyle(className, `.${className}{width:20px;height:20px;background-color:currentColor;` +
+                `-webkit-mask-image:${image};-webkit-mask-size:contain;-webkit-mask-repeat:no-repeat;-webkit-mask-position:center;` +
+                `mask-image:${image};mask-size:contain;mask-repeat:no-repeat;mask-position:center;}`);
+            return manager.findReferenceElement(config) ||
+                manager.createTemporaryReference(`<div class="${className}" role="img" aria-label="${config.name}"></div>`);
+        },
+        createIcon(config, { index, batchId, manager }) {
+            const iconElement = manager.applyIconSize(document.createElement('div'));
+            iconElement.className = `w-12 h-12 bg-gradient-to-br from-blue-600 to-teal-500 ${config.isCircular ? 'rounded-full' : 'rounded-lg'} flex items-center justify-center m-1 inline-flex text-white`;
+            const glyph = document.createElement('div');
+            glyph.className = classNameFor(config, manager);
+            if (manager.iconSize !== DEFAULT_ICON_SIZE) {
+                glyph.style.width = glyph.style.height = `${manager.getGlyphSize()}px`;
+            }
+            if (manager.cacheMode !== 'warm') {
+                const image = `url("${manager.resolveAssetUrl(config.maskSrc, { batchId, index })}")`;
+                glyph.style.webkitMaskImage = image;
+                glyph.style.maskImage = image;
+            }
+            glyph.setAttribute('role', 'img');
+            glyph.setAttribute('aria-label', config.name);
+            iconElement.appendChild(glyph);
+            return iconElement;
+        },
+        teardown(config, { referenceElement }, manager) {
+            manager.removeTemporaryReference(referenceElement);
+            manager.removeRenderStyle(classNameFor(config, manager));
+        }
+    };
+})());
+
+// Icon font glyph (Remix Icon) inside the gradient tile
+StressTestManager.registerRenderType('font', {
+    createIcon(config, { manager }) {
+        const iconElement = manager.applyIconSize(document.createElement('div'));
+        iconElement.className = `w-12 h-12 bg-gradient-to-br from-blue-600 to-teal-500 ${config.isCircular ? 'rounded-full' : 'rounded-lg'} flex items-center justify-center m-1 inline-flex`;
+        const icon = document.createElement('i');
+        icon.className = `${config.selector.substring(1)} text-white text-xl`;
+        if (manager.iconSize !== DEFAULT_ICON_SIZE) {
+            icon.style.fontSize = `${manager.getGlyphSize()}px`;
+            icon.style.lineHeight = '1';
+        }
+        iconElement.appendChild(icon);
+        return iconElement;
+    }
+});
+
+// Pure CSS glyph inside the gradient tile. The glyph class comes from the selector;
+// `cssStructure: 'slash'` adds the <span class="slash"> child the Pure CSS icon needs,
+// otherwise the glyph is drawn entirely by CSS pseudo-elements. The pseudo-elements use fixed
+// pixel geometry, so other sizes scale the glyph with a transform.
+StressTestManager.registerRenderType('css', {
+    createIcon(config, { manager }) {
+        const iconElement = manager.applyIconSize(document.createElement('div'));
+        iconElement.className = `w-12 h-12 bg-gradient-to-br from-blue-600 to-teal-500 ${config.isCircular ? 'rounded-full' : 'rounded-lg'} flex items-center justify-center m-1 inline-flex`;
+        const iconContent = document.createElement('div');
+        iconContent.className = config.selector.substring(1); // Remove the dot
+        if (manager.iconSize !== DEFAULT_ICON_SIZE) {
+            iconContent.style.transform = `scale(${manager.iconSize / DEFAULT_ICON_SIZE})`;
+        }
+        if (config.cssStructure === 'slash') {
+            const slashSpan = document.createElement('span');
+            slashSpan.className = 'slash';
+            slashSpan.textContent = '/';
+            iconContent.appendChild(slashSpan);
+        }
+        iconElement.appendChild(iconContent);
+        return iconElement;
+    }
+});
+
 // Auto-initialize only if no page-specific initialization is expected.
 // Pages that pass custom options (e.g., svg.html) set window.__stressTestManagerInit = true
 // before this script loads, and handle initialization themselves.
@@ -0,0 +1,119 @@
+/**
+ * Test Presets Module
+ * Shared by the format pages, the batch runner and past results: the preset test types,
+ * descriptions derived from them (so a description can never disagree with what the
+ * preset runs), and validation for custom test configurations.
+ */
+const TEST_PRESETS = {
+    single: { label: 'Single Icon Test', iterations: 2000, iconsPerTest: 1, description: 'Single icon repeated' },
+    bulk: { label: 'Bulk Icon Test', iterations: 50, iconsPerTest: 100, description: '100 icons per test' },
+    stress: { label: 'Stress Test', iterations: 200, iconsPerTest: 500, description: '500 icons per test' },
+    statistical: { label: 'Statistical Power Test', iterations: 200, iconsPerTest: 100, description: 'High-power statistical analysis' },
+    massive: { label: 'Maximum Power Test', iterations: 1000, iconsPerTest: 100, description: 'Maximum statistical power' },
+    ultra: { label: 'Ultra Power Test', iterations: 10000, iconsPerTest: 100, description: 'Ultra-high statistical power' },
+    extreme: { label: 'Extreme Power Test', iterations: 20000, iconsPerTest: 100, description: 'Extreme statistical confidence' }
+};
+
+// Saved test types that are not presets: legacy imports, jank modes and custom runs
+const OTHER_TEST_TYPE_LABELS = {
+    'custom': 'Custom Test',
+    'jank-animation': 'Animation Jank Test (rAF frame timing)',
+    'jank-scroll': 'Scroll Jank Test (rAF frame timing)',
+    'css': 'CSS Test (legacy)'
+};
+
+// Bounds for custom runs, keyed by URL parameter name. Two iterations is the least that
+// yields a standard deviation; sizes share the size sweep's 8–512px range.
+const CUSTOM_TEST_LIMITS = {
+    iterations: { min: 2, max: 100000 },
+    iconsPerTest: { min: 1, max: 10000 },
+    warmup: { min: 0, max: 1000 },
+    repetitions: { min: 1, max: 50 },
+    sizes: { min: 8, max: 512 }
+};
+const CUSTOM_TEST_PARAMS = Object.keys(CUSTOM_TEST_LIMITS);
+
+function formatTestShape(iterations, iconsPerTest) {
+    const count = n => n.toLocaleString('en-US');
+    return iconsPerTest > 1
+        ? `${count(iconsPerTest)} icons × ${count(iterations)} iterations`
+        : `${count(iterations)} iterations`;
+}
+
+// Human-readable test type; custom runs are described from their saved configuration
+function describeTestType(testType, customConfig = null) {
+    const preset = TEST_PRESETS[testType];
+    if (preset) {
+        return `${preset.label} (${formatTestShape(preset.iterations, preset.iconsPerTest)})`;
+    }
+    if (testType === 'custom' && customConfig && customConfig.iterations) {
+        const repetitions = customConfig.repetitions > 1 ? ` × ${customConfig.repetitions} repetitions` : '';
+        return `Custom Test (${formatTestShape(customConfig.iterations, customConfig.iconsPerTest)}${repetitions})`;
+    }
+    return OTHER_TEST_TYPE_LABELS[testType] || 'Unknown Test Type';
+}
+
+/**
+ * Fill a test type <select> with one option per preset, labelled by describeTestType so
+ * the menu always shows what the preset runs. Options go before any the select already
+ * holds (the batch runner's Custom entry); translate(key, fallback) lets a page with i18n
+ * localize the labels. Locale strings hold {{icons}} / {{iterations}} placeholders filled
+ * from the preset (data-i18n-params), so translations never carry counts of their own.
+ */
+function populateTestTypeSelect(select, selected = 'bulk', translate = (key, fallback) => fallback) {
+    const firstExisting = select.firstElementChild;
+    Object.entries(TEST_PRESETS).forEach(([testType, preset]) => {
+        const option = document.createElement('option');
+        const count = n => n.toLocaleString('en-US');
+        const params = { icons: count(preset.iconsPerTest), iterations: count(preset.iterations) };
+        option.value = testType;
+        option.dataset.i18n = `css.test_${testType}`;
+        option.dataset.i18nParams = JSON.stringify(params);
+        option.textContent = Object.entries(params).reduce(
+            (text, [name, value]) => text.split(`{{${name}}}`).join(value),
+            translate(option.dataset.i18n, describeTestType(testType))
+        );
+        option.selected = testType === selected;
+        select.insertBefore(option, firstExisting);
+    });
+}
+
+/**
+ * Validate a custom configuration given as strings (form inputs or URL parameters).
+ * iterations and iconsPerTest are required; blank warmup, repetitions and sizes take
+ * their defaults. Values that are not whole numbers or fall outside CUSTOM_TEST_LIMITS
+ * are reported rather than clamped, so a typo never silently runs a different experiment.
+ */
+function validateCustomTestConfig(raw) {
+    const errors = [];
+    const inRange = (value, { min, max }) => /^\d+$/.test(value) && Number(value) >= min && Number(value) <= max;
+    const readInteger = (key, fallback) => {
+        const value = raw[key] == null ? '' : String(raw[key]).trim();
+        if (value === '') {
+            if (fallback == null) errors.push(`${key} is required`);
+            return fallback;
+        }
+        const limits = CUSTOM_TEST_LIMITS[key];
+        if (!inRange(value, limits)) {
+            errors.push(`${key} must be a whole number from ${limits.min} to ${limits.max}`);
+            return null;
+        }
+        return Number(value);
+    };
+
+    const config = {
+        iterations: readInteger('iterations', null),
+        iconsPerTest: readInteger('iconsPerTest', null),
+        warmup: readInteger('warmup', 0),
+        repetitions: readInteger('repetitions', 1),
+        sizes: []
+    };
+    const sizes = raw.sizes == null ? [] : String(raw.sizes).split(/[\s,;]+/).filter(Boolean);
+    const invalidSize = sizes.find(size => !inRange(size, CUSTOM_TEST_LIMITS.sizes));
+    if (invalidSize !== undefined) {
+        errors.push(`sizes must be whole pixel sizes from ${CUSTOM_TEST_LIMITS.sizes.min} to ${CUSTOM_TEST_LIMITS.sizes.max} (got "${invalidSize}")`);
+    } else {
+        config.sizes = sizes.map(Number);
+    }
+    return { config, errors };
+}
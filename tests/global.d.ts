@@ -3,6 +3,56 @@
  * Declares custom properties attached to window by the application scripts.
  */
 
+interface RenderTypeDefinition {
+  createReference?(config: any, manager: any): Element | null | Promise<Element | null>;
+  createIcon?(config: any, context: { index: number; referenceElement: Element | null; batchId?: string; manager: any }): Element;
+  renderBatch?(config: any, context: { iconCount: number; referenceElement: Element | null; batchId?: string; manager: any }): Element | Promise<Element>;
+  teardown?(config: any, context: any, manager: any): void;
+  describePayload?(config: any, context: any): { encoding: string; sourceBytes: number; encodedBytes: number };
+}
+
+/** Stress test manager class (src/js/stress-test-manager.js), a global lexical binding in page scripts */
+declare const StressTestManager: {
+  renderTypes: Map<string, RenderTypeDefinition & { name: string }>;
+  registerRenderType(name: string, definition: RenderTypeDefinition): void;
+  getRenderType(name: string): RenderTypeDefinition & { name: string };
+};
+
+/** Shared test presets (src/js/test-presets.js), global bindings in page scripts */
+declare const TEST_PRESETS: Record<string, { label: string; iterations: number; iconsPerTest: number; description: string }>;
+declare function describeTestType(testType: string, customConfig?: Record<string, any> | null): string;
+declare function populateTestTypeSelect(select: HTMLSelectElement, selected?: string, translate?: (key: string, fallback: string) => string): void;
+declare function validateCustomTestConfig(raw: Record<string, any>): {
+  config: { iterations: number | null; iconsPerTest: number | null; warmup: number | null; repetitions: number | null; sizes: number[] };
+  errors: string[];
+};
+
+/** Distribution functions (src/js/statistics.js), global bindings in page scripts */
+declare function regularizedIncompleteBeta(x: number, a: number, b: number): number;
+declare function studentTCDF(t: number, df: number): number;
+declare function studentTTwoTailedP(t: number, df: number): number;
+declare function studentTQuantile(p: number, df: number): number;
+declare function mannWhitneyU(x: number[], y: number[]): { u: number; z: number; pValue: number } | null;
+declare function brunnerMunzel(x: number[], y: number[]): { statistic: number | null; df: number | null; pValue: number; probabilityGreater: number } | null;
+declare function cliffsDelta(x: number[], y: number[]): { delta: number; magnitude: 'negligible' | 'small' | 'medium' | 'large' } | null;
+declare function holmAdjust(pValues: number[]): number[];
+declare function benjaminiHochbergAdjust(pValues: number[]): number[];
+declare function chiSquaredUpperTail(x: number, df: number): number;
+declare function fUpperTail(f: number, df1: number, df2: number): number;
+declare function studentizedRangeCDF(q: number, k: number, df: number): number;
+declare function welchAnova(groups: Array<{ mean: number; variance: number; n: number }>): { statistic: number; df1: number; df2: number; pValue: number; etaSquared: number } | null;
+declare function gamesHowell(groups: Array<{ mean: number; variance: number; n: number }>): Array<{ i: number; j: number; difference: number; statistic: number; df: number; pValue: number }>;
+declare function kruskalWallis(samples: number[][]): { statistic: number; df: number; pValue: number; epsilonSquared: number } | null;
+declare function dunnTest(samples: number[][]): Array<{ i: number; j: number; z: number; pValue: number; holm: number }>;
+declare function requiredSampleSize(options: { varianceA: number; varianceB: number; difference: number; power?: number; alpha?: number }): number | null;
+declare function bootstrapConfidenceIntervals(values: number[], options?: { resamples?: number; level?: number; seed?: number }): {
+  resamples: number;
+  seed: number;
+  level: number;
+  mean: { estimate: number; percentile: { lower: number; upper: number }; bca: { lower: number; upper: number } | null };
+  median: { estimate: number; percentile: { lower: number; upper: number }; bca: { lower: number; upper: number } | null };
+} | null;
+
 interface Window {
   /** i18n module instance (src/js/i18n.js) */
   i18n: {
@@ -10,6 +60,7 @@ interface Window {
     getCurrentLanguage(): string;
     setLanguage(lang: string): Promise<void>;
     translate(key: string, params?: Record<string, string>): string;
+    translatePage(): void;
     isLanguageSupported(code: string): boolean;
     getSupportedLanguages(): Array<{ code: string; name: string; native: string }>;
     formatNumber(n: number): string;
@@ -45,21 +96,169 @@ interface Window {
   /** Stress test manager instance (src/js/stress-test-manager.js) */
   stressTestManager: {
     isRunning: boolean;
+    startStressTest(options?: { checkpoint?: any; repetition?: number }): Promise<void>;
     shouldStop: boolean;
     results: Record<string, any>;
     batchSize: number;
     completedIterations: number;
     totalIterations: number;
+    startTime: number;
+    testStartedAt: string | null;
+    timingMode: 'layout' | 'paint';
+    decodePhase: 'off' | 'await';
+    cacheMode: 'warm' | 'cold-iteration' | 'cold-icon';
+    warmupIterations: number;
+    executionPlan: { strategy: string; seed: number | null; runIndex: number | null; configOrder: string[] } | null;
+    unavailableConfigs: Record<string, string>;
+    runConfigurations(orderedConfigs: any[], testConfig: { iterations: number; iconsPerTest: number; description: string }): Promise<void>;
+    testConfigurationsInterleaved(orderedConfigs: any[], testConfig: { iterations: number; iconsPerTest: number; description: string }): Promise<void>;
+    prepareRenderContext(config: any, iterations: number): Promise<boolean>;
+    skipConfig(config: any, reason: string, iterations: number): void;
+    outlierPolicy: 'none' | 'tukey' | 'mad' | 'trimmed';
+    executionOrder: 'sequential' | 'random' | 'latin-square' | 'round-robin';
+    orderSeed: number | null;
+    sweepSizes: number[];
+    iconSize: number;
+    benchmarkMode: 'insertion' | 'animation' | 'scroll';
+    jankDuration: number;
+    scalingMode: 'off' | 'dom-size';
+    scalingSweep: { counts: number[]; referenceCount: number; results: Record<string, Record<number, Record<string, number>>>; fits: Record<string, any> } | null;
+    sizeSweep: { sizes: number[]; referenceSize: number; results: Record<string, Record<number, Record<string, number>>>; vectorConfigs: string[] } | null;
     systemInfo: Record<string, any>;
     iconConfigs: Array<{
       name: string;
       selector: string;
       containerSelector: string;
       hasNetworkOverhead: boolean;
+      renderType: string;
       isCircular?: boolean;
+      src?: string;
+      src2x?: string;
+      sizedSrc?: string;
+      maskSrc?: string;
     }>;
     systemSpecsManager: any;
     getTestConfig(type: string): { iterations: number; iconsPerTest: number; description: string };
+    measureBulkRender(config: any, referenceElement: Element | null, testContainer: HTMLElement, iconCount: number): Promise<{
+      totalTime: number;
+      generationTime: number;
+      decodeTime: number | null;
+      layoutTime: number;
+      paintTime: number | null;
+      paintSource: 'element-timing' | 'frame-fence' | null;
+    }>;
+    applyOutlierPolicy(values: number[], policy: string): {
+      policy: string;
+      keptIndices: Set<number>;
+      excludedCount: number;
+      lowerBound: number | null;
+      upperBound: number | null;
+    };
+    calculateStatistics(measurements: any, testConfig: any): Record<string, any>;
+    createExecutionPlan(): { strategy: string; seed: number | null; runIndex: number | null; configOrder: string[] };
+    detectPageFormat(): string;
+    getRenderContext(config: any): Promise<{ config: any; renderType: RenderTypeDefinition; referenceElement: Element; payload: { encoding: string; sourceBytes: number; encodedBytes: number } | null }>;
+    releaseRenderContexts(): void;
+    resolveAssetUrl(url: string, context?: { batchId?: string; index?: number }): string;
+    getCurrentTestConfig(): Record<string, any>;
+    parseSweepSizes(value: string): number[];
+    getSizedSrc(config: any, density?: number): string;
+    recordSizeSweepResults(size: number): void;
+    generateSizeSweepSection(): string;
+    usesResampledArtwork(name: string, size: number): boolean;
+    createMeasurementPasses(testConfig: { iterations: number; iconsPerTest: number; description: string }): Array<{ iconSize: number; iconsPerTest: number; reference: boolean }>;
+    fitScalingModel(points: Array<{ n: number; t: number }>): {
+      linear: { slope: number; intercept: number; r2: number | null };
+      powerLaw: { coefficient: number; exponent: number; r2: number | null } | null;
+      best: 'linear' | 'power-law';
+      budgetIcons: number | null;
+    } | null;
+    generateScalingSection(): string;
+    recordFrames(durationMs: number, driveFrame?: (elapsed: number) => void): Promise<number[]>;
+    createAnimationDriver(iconDisplay: Element): (elapsed: number) => void;
+    runJankBenchmark(configs: any[], testConfig: { iterations: number; iconsPerTest: number; description: string }): Promise<void>;
+    summarizeFrames(frameTimes: number[], refreshInterval: number, testConfig: any, renderContext: any): Record<string, any>;
+    generateJankSection(sortedResults: Array<[string, any]>): string;
+    noiseObserver: PerformanceObserver | { takeRecords(): any[]; disconnect(): void } | null;
+    noiseEntries: any[];
+    noiseWindows: Array<{ name: string; start: number; end: number | null }>;
+    measuredSpans: Array<{ start: number; end: number }>;
+    noiseEntryTypes: string[];
+    unattributedNoise: Record<string, any> | null;
+    startNoiseObserver(): void;
+    stopNoiseObserver(): void;
+    openNoiseWindow(name: string): { name: string; start: number; end: number | null };
+    createNoiseSummary(): Record<string, any>;
+    attachBackgroundNoise(): void;
+    memoryBackend: 'uasm' | 'performance-memory' | 'unavailable';
+    getMemoryBackend(): 'uasm' | 'performance-memory' | 'unavailable';
+    getMemoryUsage(): { used: number; total: number; limit: number } | null;
+    measureMemory(): Promise<{ used: number; total: number; limit: number | null } | null>;
+    customTest: { iterations: number; iconsPerTest: number; warmup: number; repetitions: number; sizes: number[] } | null;
+    repetitions: number;
+    repetition: number;
+    getTestTypeDescription(testType: string, customConfig?: Record<string, any> | null): string;
+    renderCustomTestOptions(): void;
+    readCustomTestOptions(): { config: Record<string, any>; errors: string[] };
+    applyUrlTestParams(urlParams: URLSearchParams): void;
+    isPaused: boolean;
+    runIncomplete: boolean;
+    rawSamples: Record<string, Record<string, number[]>>;
+    pauseTest(): void;
+    resumeTest(): void;
+    togglePause(): void;
+    waitWhilePaused(): Promise<void>;
+    writeCheckpoint(state?: { passIndex?: number; results?: Record<string, any> }): void;
+    readCheckpoint(): Record<string, any> | null;
+    clearCheckpoint(): void;
+    offerResume(): void;
+    resumeFromCheckpoint(): void;
+    finishRun(): Promise<void>;
+    timerResolution: { resolutionMs: number; crossOriginIsolated: boolean; coarse: boolean } | null;
+    measureTimerResolution(): { resolutionMs: number; crossOriginIsolated: boolean; coarse: boolean };
+    generateCoarseTimerWarning(): string;
+    precisionTarget: number;
+    precisionBudget: number;
+    usesPrecisionTarget(): boolean;
+    readAdvancedOptions(): void;
+    createMeasurements(): { renderTimes: number[]; memoryUsage: any[]; elementMetrics: any; networkMetrics: any; bulkMetrics: any[] };
+    calculateArrayStats(values: number[]): Record<string, any>;
+    getTCritical(df: number, alpha: number): number;
+    calculatePValue(group1Stats: { average: number; stdDev: number; sampleSize: number }, group2Stats: { average: number; stdDev: number; sampleSize: number }): number;
+    getRelativePrecision(renderTimes: number[]): number | null;
+    runUntilPrecise(config: any, measurements: any, testConfig: { iterations: number }): Promise<{
+      targetRelativeHalfWidth: number;
+      achievedRelativeHalfWidth: number | null;
+      iterationsUsed: number;
+      budget: number;
+      targetMet: boolean;
+    }>;
+    generateSequentialStoppingSection(sortedResults: Array<[string, any]>): string;
+    analysisMethod: 'parametric' | 'nonparametric';
+    iconsPerTest: number;
+    nonParametricAnalysis: Record<string, any> | null;
+    runNonParametricAnalysis(sortedResults: Array<[string, any]>): Record<string, any>;
+    generateStatisticalAnalysisTable(sortedResults: Array<[string, any]>): string;
+    pairwiseComparisons: { test: 'welch' | 'brunner-munzel'; configs: string[]; pairs: Array<{ a: string; b: string; difference: number; pValue: number; holm: number; benjaminiHochberg: number }> } | null;
+    buildPairwiseComparisons(sortedResults: Array<[string, any]>): { test: 'welch' | 'brunner-munzel'; configs: string[]; pairs: Array<{ a: string; b: string; difference: number; pValue: number; holm: number; benjaminiHochberg: number }> } | null;
+    generatePairwiseHeatmap(pairwise: Record<string, any>): string;
+    omnibusTests: Record<string, any> | null;
+    runOmnibusTests(sortedResults: Array<[string, any]>): { configs: string[]; welchAnova: Record<string, any> | null; kruskalWallis: Record<string, any> | null } | null;
+    generateOmnibusSummary(omnibus: Record<string, any>): string;
+    powerPlan: Record<string, any> | null;
+    getPlannerPilot(source: 'pilot' | 'history'): { results: Record<string, any>; iconsPerTest: number; iterationsPerSecond: number | null; testDate: string; settings: Record<string, any> } | null;
+    calculatePowerPlan(pilot: Record<string, any>, options: { effect: number; unit: 'ms' | 'percent'; power: number }): Record<string, any> | null;
+    comparePilotSettings(settings: Record<string, any>): Array<{ id: string; pilot: any; current: string | null; applicable: boolean }>;
+    updatePowerPlan(): void;
+    startPlannedRun(): void;
+    summarizeMemory(measurements: any, samples: Array<{ used: number; total: number }>): {
+      backend: string;
+      granularity: 'iteration' | 'config' | null;
+      used: Record<string, number> | null;
+      total: number | null;
+    };
+    processBatch(config: any, startIndex: number, endIndex: number, measurements: any, testConfig: any): Promise<void>;
+    generateBulkIcons(config: any, referenceElement: Element | null, testContainer: HTMLElement, iconCount: number, batchId?: string): void | Promise<void>;
     setupEventListeners(): void;
     updateMemoryDisplay(): void;
     createTestContainer(): void;
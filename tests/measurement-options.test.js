@@ -0,0 +1,1403 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * REGRESSION TESTS - Advanced Measurement Options (src/js/stress-test-manager.js)
+ * Tests the advanced options panel and the measurement phases it controls.
+ */
+
+test.describe('Advanced Measurement Options', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('svg.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('advanced options panel is rendered once below the controls', async ({ page }) => {
+    await expect(page.locator('#advancedOptions')).toHaveCount(1);
+    await expect(page.locator('#timingMode')).toBeAttached();
+  });
+
+  test('timing mode defaults to layout', async ({ page }) => {
+    const value = await page.locator('#timingMode').inputValue();
+    expect(value).toBe('layout');
+  });
+
+  test('paint timing mode records a paintTime phase', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      manager.timingMode = 'paint';
+      const container = document.getElementById('bulkTestContainer');
+      const config = manager.iconConfigs[0];
+      const reference = document.querySelector(config.selector);
+      return manager.measureBulkRender(config, reference, container, 10);
+    });
+
+    expect(result.paintTime).toBeGreaterThanOrEqual(0);
+    expect(['element-timing', 'frame-fence']).toContain(result.paintSource);
+    expect(result.totalTime).toBeGreaterThanOrEqual(result.layoutTime);
+  });
+
+  test('layout timing mode leaves paintTime empty', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      manager.timingMode = 'layout';
+      const container = document.getElementById('bulkTestContainer');
+      const config = manager.iconConfigs[0];
+      const reference = document.querySelector(config.selector);
+      return manager.measureBulkRender(config, reference, container, 10);
+    });
+
+    expect(result.paintTime).toBeNull();
+  });
+});
+
+test.describe('Warm-up and Outlier Handling', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('css.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('warm-up and outlier controls default to no exclusions', async ({ page }) => {
+    await expect(page.locator('#warmupIterations')).toHaveValue('0');
+    await expect(page.locator('#outlierPolicy')).toHaveValue('none');
+  });
+
+  test('tukey policy drops values outside the IQR fences', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const outliers = window.stressTestManager.applyOutlierPolicy([10, 11, 12, 11, 10, 12, 11, 95], 'tukey');
+      return { excluded: outliers.excludedCount, kept: outliers.keptIndices.has(7) };
+    });
+    expect(result.excluded).toBe(1);
+    expect(result.kept).toBe(false);
+  });
+
+  test('trimmed policy drops 10% from each tail', async ({ page }) => {
+    const excluded = await page.evaluate(() => {
+      const values = Array.from({ length: 20 }, (_, i) => i);
+      return window.stressTestManager.applyOutlierPolicy(values, 'trimmed').excludedCount;
+    });
+    expect(excluded).toBe(4);
+  });
+
+  test('trimmed mean spread uses the winsorized variance (Yuen)', async ({ page }) => {
+    const renderTime = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.outlierPolicy = 'trimmed';
+      const renderTimes = [...Array.from({ length: 19 }, (_, i) => i + 1), 100];
+      const stats = manager.calculateStatistics({
+        renderTimes,
+        memoryUsage: renderTimes.map(() => ({ used: 0, total: 0 })),
+        bulkMetrics: []
+      }, { iconsPerTest: 1 });
+      manager.outlierPolicy = 'none';
+      return stats.renderTime;
+    });
+    // R: WRS2::trimse(c(1:19, 100), tr = 0.1)
+    expect(renderTime.average).toBeCloseTo(10.5, 10);
+    expect(renderTime.standardError).toBeCloseTo(1.524202, 6);
+    expect(renderTime.sampleSize).toBe(16);
+    expect(renderTime.stdDev).toBeCloseTo(1.524202 * 4, 5);
+    expect(renderTime.confidenceInterval.upper - renderTime.average).toBeCloseTo(2.131450 * 1.524202, 5);
+  });
+
+  test('calculateStatistics records policy and excluded counts', async ({ page }) => {
+    const exclusions = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.outlierPolicy = 'mad';
+      const renderTimes = [5, 5.1, 4.9, 5.2, 5, 4.8, 5.1, 40];
+      const stats = manager.calculateStatistics({
+        renderTimes,
+        warmupRenderTimes: [30, 20],
+        memoryUsage: renderTimes.map(() => ({ used: 0, total: 0 })),
+        elementMetrics: null,
+        networkMetrics: null,
+        bulkMetrics: []
+      }, { iterations: 8, iconsPerTest: 1 });
+      return { ...stats.sampleExclusions, sampleSize: stats.sampleSize };
+    });
+    expect(exclusions.outlierPolicy).toBe('mad');
+    expect(exclusions.warmupIterations).toBe(2);
+    expect(exclusions.outliersExcluded).toBe(1);
+    expect(exclusions.sampleSize).toBe(7);
+  });
+});
+
+test.describe('Execution Order', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('css.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('sequential order keeps declaration order', async ({ page }) => {
+    const plan = await page.evaluate(() => {
+      window.stressTestManager.executionOrder = 'sequential';
+      return window.stressTestManager.createExecutionPlan();
+    });
+    const names = await page.evaluate(() => window.stressTestManager.iconConfigs.map((/** @type {{ name: string }} */ c) => c.name));
+    expect(plan.configOrder).toEqual(names);
+  });
+
+  test('random order is reproducible from its recorded seed', async ({ page }) => {
+    const orders = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.executionOrder = 'random';
+      manager.orderSeed = 12345;
+      const first = manager.createExecutionPlan();
+      const second = manager.createExecutionPlan();
+      return { first, second };
+    });
+    expect(orders.first.seed).toBe(12345);
+    expect(orders.first.configOrder).toEqual(orders.second.configOrder);
+  });
+
+  test('latin-square order rotates by one position per run', async ({ page }) => {
+    const plans = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      localStorage.removeItem(`iconTestRunIndex_${manager.detectPageFormat()}`);
+      manager.executionOrder = 'latin-square';
+      return [manager.createExecutionPlan(), manager.createExecutionPlan()];
+    });
+    expect(plans[0].runIndex).toBe(0);
+    expect(plans[1].runIndex).toBe(1);
+    expect(plans[1].configOrder[plans[1].configOrder.length - 1]).toBe(plans[0].configOrder[0]);
+  });
+});
+
+test.describe('Render Type Registry', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('css.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('built-in render types are registered', async ({ page }) => {
+    const names = await page.evaluate(() => [...StressTestManager.renderTypes.keys()]);
+    for (const name of ['inline-svg', 'optimized-svg', 'external-svg', 'font', 'css']) {
+      expect(names).toContain(name);
+    }
+  });
+
+  test('every default config names a registered render type', async ({ page }) => {
+    const missing = await page.evaluate(() =>
+      window.stressTestManager.iconConfigs
+        .filter((/** @type {{ renderType: string }} */ c) => !StressTestManager.renderTypes.has(c.renderType))
+        .map((/** @type {{ name: string }} */ c) => c.name)
+    );
+    expect(missing).toEqual([]);
+  });
+
+  test('unknown render types fail loudly', async ({ page }) => {
+    const message = await page.evaluate(() => {
+      try {
+        StressTestManager.getRenderType('does-not-exist');
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+    expect(message).toContain('Unknown render type "does-not-exist"');
+  });
+
+  test('page scripts can register a new render type', async ({ page }) => {
+    const className = await page.evaluate(() => {
+      StressTestManager.registerRenderType('test-badge', {
+        createIcon: () => {
+          const el = document.createElement('span');
+          el.className = 'test-badge';
+          return el;
+        }
+      });
+      const container = document.getElementById('bulkTestContainer');
+      window.stressTestManager.generateBulkIcons({ name: 'Badge', renderType: 'test-badge' }, null, container, 3);
+      return container.querySelector('.test-badge')?.className;
+    });
+    expect(className).toBe('test-badge');
+  });
+
+  test('a config that cannot be prepared is skipped and recorded as unavailable', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      StressTestManager.registerRenderType('test-unsupported', {
+        createReference: () => { throw new Error('needs a feature this browser lacks'); },
+        createIcon: () => document.createElement('span')
+      });
+      StressTestManager.registerRenderType('test-supported', {
+        createReference: () => document.createElement('span'),
+        createIcon: () => document.createElement('span')
+      });
+      const manager = window.stressTestManager;
+      manager.executionPlan = { strategy: 'sequential', seed: null, runIndex: null, configOrder: [] };
+      manager.warmupIterations = 0;
+      manager.totalIterations = 4;
+      manager.processBatch = async (config, start, end, measurements) => {
+        for (let i = start; i < end; i++) measurements.renderTimes.push(1 + i * 0.1);
+      };
+      await manager.runConfigurations([
+        { name: 'Unsupported', renderType: 'test-unsupported' },
+        { name: 'Supported', renderType: 'test-supported' }
+      ], { iterations: 2, iconsPerTest: 1, description: 'test' });
+      manager.releaseRenderContexts();
+      return { results: Object.keys(manager.results), unavailable: manager.unavailableConfigs, total: manager.totalIterations };
+    });
+    expect(result.results).toEqual(['Supported']);
+    expect(result.unavailable).toEqual({ Unsupported: 'needs a feature this browser lacks' });
+    expect(result.total).toBe(2);
+  });
+});
+
+test.describe('SVG Sprite Render Types', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('svg.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('SVG suite includes in-document and external sprite configs', async ({ page }) => {
+    const renderTypes = await page.evaluate(() =>
+      window.stressTestManager.iconConfigs.map((/** @type {{ renderType: string }} */ c) => c.renderType)
+    );
+    expect(renderTypes).toContain('sprite-svg');
+    expect(renderTypes).toContain('external-sprite-svg');
+  });
+
+  test('sprite icons reference the shared symbol instead of duplicating path data', async ({ page }) => {
+    const markup = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'sprite-svg');
+      const container = document.getElementById('bulkTestContainer');
+      manager.generateBulkIcons(config, null, container, 2);
+      return container.lastElementChild?.innerHTML || '';
+    });
+    expect(markup).toContain('<use href="#remix-circle-icon-sprite"');
+    expect(markup).not.toContain('<path');
+  });
+});
+
+test.describe('CSS Background Render Types', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('raster pages compare <img> against CSS delivery', async ({ page }) => {
+    const renderTypes = await page.evaluate(() =>
+      window.stressTestManager.iconConfigs.map((/** @type {{ renderType: string }} */ c) => c.renderType)
+    );
+    expect(renderTypes).toContain('img');
+    expect(renderTypes).toContain('css-background');
+    expect(renderTypes).toContain('css-image-set');
+    expect(renderTypes).toContain('css-sprite');
+  });
+
+  test('sprite sheet icons cycle through background-position cells', async ({ page }) => {
+    const positions = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'css-sprite');
+      await manager.getRenderContext(config);
+      const container = document.getElementById('bulkTestContainer');
+      manager.generateBulkIcons(config, null, container, 2);
+      const icons = [...container.querySelectorAll('[role="img"]')].slice(-2);
+      const result = icons.map(icon => getComputedStyle(icon).backgroundPosition);
+      manager.releaseRenderContexts();
+      return result;
+    });
+    expect(positions[0]).toBe('0px 0px');
+    expect(positions[1]).toBe('-48px 0px');
+  });
+});
+
+test.describe('Inline Image Render Types', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('webp.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('raster and SVG pages include data URI and blob URL variants', async ({ page }) => {
+    for (const format of ['webp', 'svg']) {
+      await page.goto(`${format}.html`);
+      await page.waitForFunction(() => window.stressTestManager);
+      const renderTypes = await page.evaluate(() =>
+        window.stressTestManager.iconConfigs.map((/** @type {{ renderType: string }} */ c) => c.renderType)
+      );
+      expect(renderTypes).toContain('data-uri');
+      expect(renderTypes).toContain('blob-url');
+    }
+  });
+
+  test('data URI icons embed the fetched bytes and record the base64 payload size', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'data-uri');
+      const context = await manager.getRenderContext(config);
+      const container = document.getElementById('bulkTestContainer');
+      manager.generateBulkIcons(config, context.referenceElement, container, 1);
+      const src = [...container.querySelectorAll('img')].pop()?.getAttribute('src') || '';
+      manager.releaseRenderContexts();
+      return { src, payload: context.payload };
+    });
+    expect(result.src.startsWith('data:image/webp;base64,')).toBe(true);
+    expect(result.payload.encoding).toBe('base64');
+    expect(result.payload.encodedBytes).toBe(result.src.length);
+    expect(result.payload.encodedBytes).toBeGreaterThan(result.payload.sourceBytes);
+  });
+
+  test('blob URL is shared by every icon and revoked on teardown', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'blob-url');
+      const context = await manager.getRenderContext(config);
+      const container = document.getElementById('bulkTestContainer');
+      manager.generateBulkIcons(config, context.referenceElement, container, 3);
+      const urls = [...container.querySelectorAll('img')].slice(-3).map(img => img.getAttribute('src') || '');
+      manager.releaseRenderContexts();
+      const revoked = await fetch(urls[0]).then(() => false, () => true);
+      return { urls, payload: context.payload, revoked };
+    });
+    expect(new Set(result.urls).size).toBe(1);
+    expect(result.urls[0].startsWith('blob:')).toBe(true);
+    expect(result.payload.encodedBytes).toBe(result.payload.sourceBytes);
+    expect(result.revoked).toBe(true);
+  });
+});
+
+test.describe('CSS Mask Render Type', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('css.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('css.html ranks a mask-image icon alongside the CSS and font icons', async ({ page }) => {
+    const config = await page.evaluate(() =>
+      window.stressTestManager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'css-mask')
+    );
+    expect(config.name).toBe('CSS Mask Icon');
+    expect(config.maskSrc).toBe('img/remix_code_slash_mask.svg');
+    await expect(page.locator('.mask-icon')).toBeVisible();
+  });
+
+  test('mask icons paint the glyph with currentColor', async ({ page }) => {
+    const style = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'css-mask');
+      await manager.getRenderContext(config);
+      const container = document.getElementById('bulkTestContainer');
+      manager.generateBulkIcons(config, null, container, 1);
+      const glyph = [...container.querySelectorAll('[role="img"]')].pop();
+      const computed = getComputedStyle(glyph);
+      const result = {
+        backgroundColor: computed.backgroundColor,
+        color: computed.color,
+        maskImage: computed.maskImage || computed.webkitMaskImage
+      };
+      manager.releaseRenderContexts();
+      return result;
+    });
+    expect(style.backgroundColor).toBe(style.color);
+    expect(style.maskImage).toContain('remix_code_slash_mask.svg');
+  });
+});
+
+test.describe('Canvas Render Types', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('canvas variants are listed for PNG, WebP, AVIF and SVG', async ({ page }) => {
+    for (const format of ['png', 'webp', 'avif', 'svg']) {
+      await page.goto(`${format}.html`);
+      await page.waitForFunction(() => window.stressTestManager);
+      const renderTypes = await page.evaluate(() =>
+        window.stressTestManager.iconConfigs.map((/** @type {{ renderType: string }} */ c) => c.renderType)
+      );
+      expect(renderTypes).toContain('canvas-2d');
+      expect(renderTypes).toContain('offscreen-canvas');
+    }
+  });
+
+  test('canvas-2d draws the whole batch into a single canvas', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'canvas-2d');
+      const context = await manager.getRenderContext(config);
+      const container = document.getElementById('bulkTestContainer');
+      const before = container.querySelectorAll('canvas').length;
+      manager.generateBulkIcons(config, context.referenceElement, container, 25);
+      const canvases = [...container.querySelectorAll('canvas')];
+      const canvas = /** @type {HTMLCanvasElement} */ (canvases.pop());
+      const ratio = window.devicePixelRatio || 1;
+      // Centre of the first icon cell should be opaque
+      const alpha = canvas.getContext('2d')?.getImageData(28 * ratio, 28 * ratio, 1, 1).data[3];
+      manager.releaseRenderContexts();
+      return { added: canvases.length + 1 - before, cssWidth: canvas.style.width, alpha };
+    });
+    expect(result.added).toBe(1);
+    expect(result.cssWidth).toBe('1120px');
+    expect(result.alpha).toBeGreaterThan(0);
+  });
+
+  test('offscreen-canvas renders in a worker and measures through processBatch', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'offscreen-canvas');
+      const measurements = { renderTimes: [], memoryUsage: [], elementMetrics: null, networkMetrics: null, bulkMetrics: [] };
+      await manager.processBatch(config, 0, 2, measurements, { iterations: 2, iconsPerTest: 10 });
+      const canvas = document.querySelector('#bulkTestContainer canvas[aria-label="PNG OffscreenCanvas (worker)"]');
+      manager.releaseRenderContexts();
+      return { samples: measurements.renderTimes.length, rendered: !!canvas };
+    });
+    expect(result.samples).toBe(2);
+    expect(result.rendered).toBe(true);
+  });
+});
+
+test.describe('Image Decode Phase', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('avif.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('decode phase is off by default', async ({ page }) => {
+    await expect(page.locator('#decodePhase')).toHaveValue('off');
+  });
+
+  test('awaiting decode records decodeTime for <img> batches', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      manager.decodePhase = 'await';
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'img');
+      const container = document.getElementById('bulkTestContainer');
+      const timing = await manager.measureBulkRender(config, null, container, 10);
+      const images = [...container.querySelectorAll('img')].slice(-10);
+      return { decodeTime: timing.decodeTime, settled: images.every(img => img.complete) };
+    });
+    expect(result.decodeTime).toBeGreaterThanOrEqual(0);
+    expect(result.settled).toBe(true);
+  });
+
+  test('decodeTime stays null when the phase is off or the batch has no images', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      const container = document.getElementById('bulkTestContainer');
+      const imgConfig = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'img');
+      const cssConfig = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'css-background');
+      manager.decodePhase = 'off';
+      const off = await manager.measureBulkRender(imgConfig, null, container, 5);
+      manager.decodePhase = 'await';
+      await manager.getRenderContext(cssConfig);
+      const noImages = await manager.measureBulkRender(cssConfig, null, container, 5);
+      manager.releaseRenderContexts();
+      return [off.decodeTime, noImages.decodeTime];
+    });
+    expect(result).toEqual([null, null]);
+  });
+});
+
+test.describe('Cache Modes', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('cache mode defaults to warm and leaves URLs untouched', async ({ page }) => {
+    await expect(page.locator('#cacheMode')).toHaveValue('warm');
+    const url = await page.evaluate(() =>
+      window.stressTestManager.resolveAssetUrl('img/remix_circle_icon.png', { batchId: 'batch-0', index: 3 })
+    );
+    expect(url).toBe('img/remix_circle_icon.png');
+  });
+
+  test('cold per iteration shares one URL per batch', async ({ page }) => {
+    const urls = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.cacheMode = 'cold-iteration';
+      return [
+        manager.resolveAssetUrl('img/a.png', { batchId: 'batch-0', index: 0 }),
+        manager.resolveAssetUrl('img/a.png', { batchId: 'batch-0', index: 1 }),
+        manager.resolveAssetUrl('img/a.png', { batchId: 'batch-1', index: 0 })
+      ];
+    });
+    expect(urls[0]).toBe(urls[1]);
+    expect(urls[0]).not.toBe(urls[2]);
+    expect(urls[0]).toMatch(/^img\/a\.png\?cb=/);
+  });
+
+  test('cold per icon gives every <img> a unique URL and keeps sprite fragments', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.cacheMode = 'cold-icon';
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'img');
+      const container = document.getElementById('bulkTestContainer');
+      manager.generateBulkIcons(config, null, container, 5, 'batch-0');
+      const srcs = [...container.querySelectorAll('img')].slice(-5).map(img => img.getAttribute('src'));
+      const sprite = manager.resolveAssetUrl('img/sprite.svg#icon', { batchId: 'batch-0', index: 2 });
+      return { unique: new Set(srcs).size, sprite };
+    });
+    expect(result.unique).toBe(5);
+    expect(result.sprite).toMatch(/^img\/sprite\.svg\?cb=[^#]+#icon$/);
+  });
+
+  test('standalone pages do not offer cold modes and say why', async ({ page }) => {
+    await expect(page.locator('#cacheMode option[value="cold-iteration"]')).toBeDisabled();
+    await expect(page.locator('#cacheMode option[value="cold-icon"]')).toBeDisabled();
+    await expect(page.locator('#cacheModeNote')).toContainText('batch runner');
+
+    const cacheMode = await page.evaluate(() => {
+      const select = /** @type {HTMLSelectElement} */ (document.getElementById('cacheMode'));
+      select.value = 'cold-icon';
+      window.stressTestManager.readAdvancedOptions();
+      return window.stressTestManager.cacheMode;
+    });
+    expect(cacheMode).toBe('warm');
+  });
+
+  test('an unknown cacheMode URL parameter falls back to warm', async ({ page }) => {
+    test.setTimeout(120000);
+    await page.evaluate(() => localStorage.removeItem('iconTestHistory'));
+    await page.goto('png.html?autorun=custom&iterations=1&iconsPerTest=1&cacheMode=bogus');
+    await page.waitForFunction(() => JSON.parse(localStorage.getItem('iconTestHistory') || '[]').length > 0, null, { timeout: 90000 });
+    await expect(page.locator('#cacheMode')).toHaveValue('warm');
+    const cacheMode = await page.evaluate(() => JSON.parse(localStorage.getItem('iconTestHistory') || '[]')[0].testConfiguration.cacheMode);
+    expect(cacheMode).toBe('warm');
+  });
+
+  test('cache mode is saved with the test configuration', async ({ page }) => {
+    const cacheMode = await page.evaluate(() => {
+      window.stressTestManager.cacheMode = 'cold-iteration';
+      return window.stressTestManager.getCurrentTestConfig().cacheMode;
+    });
+    expect(cacheMode).toBe('cold-iteration');
+  });
+
+  test('summary dashboard filters by a single cache mode, warm by default', async ({ page }) => {
+    await page.goto('summary.html');
+    const select = page.locator('#summaryFilterCacheMode');
+    await expect(select).toHaveValue('warm');
+    await expect(select.locator('option')).toHaveCount(3);
+  });
+});
+
+test.describe('Icon Size Sweep', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('size sweep is off by default and parses to sorted sizes including 48px', async ({ page }) => {
+    await expect(page.locator('#sizeSweep')).toHaveValue('');
+    const sizes = await page.evaluate(() => ({
+      blank: window.stressTestManager.parseSweepSizes(''),
+      list: window.stressTestManager.parseSweepSizes('256, 16 24,1000, 16')
+    }));
+    expect(sizes.blank).toEqual([]);
+    expect(sizes.list).toEqual([16, 24, 48, 256, 512]);
+  });
+
+  test('sized raster assets are used away from 48px and the original src at 48px', async ({ page }) => {
+    const srcs = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'css-image-set');
+      const atDefault = manager.getSizedSrc(config, 2);
+      manager.iconSize = 128;
+      const sized = [manager.getSizedSrc(config, 1), manager.getSizedSrc(config, 2)];
+      manager.iconSize = 100;
+      const unsized = manager.getSizedSrc(config, 1);
+      manager.iconSize = 48;
+      return { atDefault, sized, unsized };
+    });
+    expect(srcs.atDefault).toBe('img/remix_circle_icon_2x.png');
+    expect(srcs.sized).toEqual(['img/sizes/remix_circle_icon_128_1x.png', 'img/sizes/remix_circle_icon_128_2x.png']);
+    expect(srcs.unsized).toBe('img/remix_circle_icon.png');
+
+    const response = await page.request.get('img/sizes/remix_circle_icon_128_2x.png');
+    expect(response.ok()).toBe(true);
+  });
+
+  test('icons render at the swept size', async ({ page }) => {
+    const box = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.iconSize = 64;
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'img');
+      const container = document.getElementById('bulkTestContainer');
+      manager.generateBulkIcons(config, null, container, 1, 'batch-0');
+      const img = /** @type {HTMLImageElement} */ ([...container.querySelectorAll('img')].pop());
+      manager.iconSize = 48;
+      return { width: img.width, src: img.getAttribute('src') };
+    });
+    expect(box.width).toBe(64);
+    expect(box.src).toBe('img/sizes/remix_circle_icon_64_1x.png');
+  });
+
+  test('per-size summaries are recorded and charted', async ({ page }) => {
+    const html = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const result = (/** @type {number} */ average) => ({
+        renderTime: { average, median: average, confidenceInterval: { lower: average - 1, upper: average + 1 } },
+        testConfig: { iconsPerTest: 100 },
+        sampleSize: 10
+      });
+      manager.sizeSweep = { sizes: [16, 48], referenceSize: 48, results: {}, vectorConfigs: [] };
+      manager.results = { 'Standard PNG': result(4) };
+      manager.recordSizeSweepResults(16);
+      manager.results = { 'Standard PNG': result(8) };
+      manager.recordSizeSweepResults(48);
+      return { sweep: manager.sizeSweep.results, section: manager.generateSizeSweepSection() };
+    });
+    expect(html.sweep['Standard PNG'][16].average).toBe(4);
+    expect(html.sweep['Standard PNG'][48].timePerIcon).toBeCloseTo(0.08);
+    expect(html.section).toContain('Render Time by Icon Size');
+    expect(html.section).toContain('<polyline');
+  });
+
+  test('sweep points without size-matched artwork are marked as resampled', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const result = { renderTime: { average: 1, median: 1, confidenceInterval: { lower: 0, upper: 2 } }, testConfig: { iconsPerTest: 1 }, sampleSize: 10 };
+      manager.sizeSweep = { sizes: [16, 48, 100], referenceSize: 48, results: {}, vectorConfigs: [] };
+      manager.results = { 'Standard PNG': result, 'PNG CSS Sprite Sheet': result };
+      [16, 48, 100].forEach(size => manager.recordSizeSweepResults(size));
+      const flags = (/** @type {string} */ name) => [16, 48, 100].map(size => manager.sizeSweep.results[name][size].resampled);
+      return { png: flags('Standard PNG'), sprite: flags('PNG CSS Sprite Sheet'), section: manager.generateSizeSweepSection() };
+    });
+    // 100px has no generated asset, so even configs with sizedSrc scale the 48px artwork there
+    expect(result.png).toEqual([false, false, true]);
+    expect(result.sprite).toEqual([true, false, true]);
+    expect(result.section.match(/1\.000 \*/g)).toHaveLength(3);
+    expect(result.section).toContain('No size-matched asset');
+  });
+
+  test('inline SVG markup without an element still renders at a swept size', async ({ page }) => {
+    await page.goto('svg.html');
+    await page.waitForFunction(() => window.stressTestManager);
+    const html = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.iconSize = 64;
+      const icon = StressTestManager.getRenderType('inline-svg').createIcon?.({ name: 'Empty', svgMarkup: ' ' }, { index: 0, referenceElement: null, manager });
+      manager.iconSize = 48;
+      return icon?.outerHTML;
+    });
+    expect(html).toContain('64px');
+  });
+
+  test('swept configs are classified as vector or raster one by one for the summary', async ({ page }) => {
+    await page.goto('svg.html');
+    await page.waitForFunction(() => window.stressTestManager);
+    const vectorConfigs = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const result = { renderTime: { average: 1, median: 1, confidenceInterval: { lower: 0, upper: 2 } }, testConfig: { iconsPerTest: 1 }, sampleSize: 10 };
+      manager.sizeSweep = { sizes: [16, 48], referenceSize: 48, results: {}, vectorConfigs: [] };
+      manager.results = { 'Inline SVG': result, 'SVG Data URI': result, 'SVG Canvas drawImage': result };
+      manager.recordSizeSweepResults(16);
+      manager.recordSizeSweepResults(48);
+      return manager.sizeSweep.vectorConfigs;
+    });
+    expect(vectorConfigs).toEqual(['Inline SVG', 'SVG Data URI']);
+  });
+});
+
+test.describe('DOM Size Scaling', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('scaling adds one pass per icon count and keeps the preset count as reference', async ({ page }) => {
+    await expect(page.locator('#scalingMode')).toHaveValue('off');
+    const passes = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const preset = manager.getTestConfig('bulk');
+      const off = manager.createMeasurementPasses(preset);
+      manager.scalingMode = 'dom-size';
+      const on = manager.createMeasurementPasses(preset);
+      manager.scalingMode = 'off';
+      return { off, on };
+    });
+    expect(passes.off).toEqual([{ iconSize: 48, iconsPerTest: 100, reference: true }]);
+    expect(passes.on.map(pass => pass.iconsPerTest)).toEqual([100, 10, 50, 500, 1000, 5000]);
+    expect(passes.on.filter(pass => pass.reference)).toHaveLength(1);
+  });
+
+  test('linear data fits a line with its slope and intercept', async ({ page }) => {
+    const fit = await page.evaluate(() => window.stressTestManager.fitScalingModel(
+      [10, 50, 100, 500, 1000, 5000].map(n => ({ n, t: 2 + 0.01 * n }))
+    ));
+    expect(fit?.best).toBe('linear');
+    expect(fit?.linear.slope).toBeCloseTo(0.01, 8);
+    expect(fit?.linear.intercept).toBeCloseTo(2, 6);
+    expect(fit?.budgetIcons).toBe(1466);
+  });
+
+  test('super-linear data prefers the power law and recovers its exponent', async ({ page }) => {
+    const fit = await page.evaluate(() => window.stressTestManager.fitScalingModel(
+      [10, 50, 100, 500, 1000, 5000].map(n => ({ n, t: 0.002 * Math.pow(n, 1.5) }))
+    ));
+    expect(fit?.best).toBe('power-law');
+    expect(fit?.powerLaw?.exponent).toBeCloseTo(1.5, 8);
+    expect(fit?.powerLaw?.coefficient).toBeCloseTo(0.002, 8);
+  });
+
+  test('fitted curves are shown in the results view', async ({ page }) => {
+    const html = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const points = { 10: { average: 1 }, 100: { average: 3 }, 1000: { average: 21 } };
+      const fit = manager.fitScalingModel(Object.entries(points).map(([n, p]) => ({ n: Number(n), t: p.average })));
+      manager.scalingSweep = { counts: [10, 100, 1000], referenceCount: 100, results: { 'Standard PNG': points }, fits: { 'Standard PNG': fit } };
+      return manager.generateScalingSection();
+    });
+    expect(html).toContain('DOM Size Scaling');
+    expect(html).toContain('<polyline');
+    expect(html).toContain('<circle');
+  });
+});
+
+test.describe('Animation and Scroll Jank Mode', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('benchmark mode defaults to insertion', async ({ page }) => {
+    await expect(page.locator('#benchmarkMode')).toHaveValue('insertion');
+    await expect(page.locator('#jankDuration')).toHaveValue('5');
+  });
+
+  test('frame intervals are recorded from requestAnimationFrame', async ({ page }) => {
+    const frames = await page.evaluate(async () => {
+      let driven = 0;
+      const frameTimes = await window.stressTestManager.recordFrames(200, () => { driven++; });
+      return { count: frameTimes.length, driven, allPositive: frameTimes.every(t => t > 0) };
+    });
+    expect(frames.count).toBeGreaterThan(0);
+    expect(frames.driven).toBeGreaterThan(0);
+    expect(frames.allPositive).toBe(true);
+  });
+
+  test('FPS, p95/p99 and dropped frames are derived from frame intervals', async ({ page }) => {
+    const jank = await page.evaluate(() => {
+      const frameTimes = [...Array(98).fill(10), 30, 50];
+      const result = window.stressTestManager.summarizeFrames(frameTimes, 10, { iconsPerTest: 100 }, { referenceElement: null, payload: null });
+      return result.jank;
+    });
+    expect(jank.frameCount).toBe(100);
+    expect(jank.fps).toBeCloseTo(100 / 1.06, 6);
+    expect(jank.droppedFrames).toBe(6);
+    expect(jank.p99FrameTime).toBeGreaterThan(jank.p95FrameTime);
+    expect(jank.maxFrameTime).toBe(50);
+  });
+
+  test('the animation driver moves every rendered icon, with or without a counter', async ({ page }) => {
+    const animated = await page.evaluate(() => {
+      const build = (/** @type {boolean} */ withCounter) => {
+        const container = document.createElement('div');
+        container.innerHTML = `${withCounter ? '<div data-icon-counter>Rendering 3 icons...</div>' : ''}<i></i><i></i><i></i>`;
+        window.stressTestManager.createAnimationDriver(container)(250);
+        return [...container.children].map(element => /** @type {HTMLElement} */ (element).style.transform !== '');
+      };
+      return { withCounter: build(true), withoutCounter: build(false) };
+    });
+    expect(animated.withCounter).toEqual([false, true, true, true]);
+    expect(animated.withoutCounter).toEqual([true, true, true]);
+  });
+
+  test('batch (canvas) render types are skipped in jank modes', async ({ page }) => {
+    const run = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      manager.benchmarkMode = 'animation';
+      manager.results = {};
+      manager.unavailableConfigs = {};
+      manager.totalIterations = 1;
+      manager.completedIterations = 0;
+      manager.shouldStop = false;
+      const config = manager.iconConfigs.find((/** @type {{ renderType: string }} */ c) => c.renderType === 'canvas-2d');
+      await manager.runJankBenchmark([config], { iterations: 1, iconsPerTest: 5, description: 'test' });
+      manager.benchmarkMode = 'insertion';
+      return { name: config.name, results: Object.keys(manager.results), unavailable: manager.unavailableConfigs, total: manager.totalIterations };
+    });
+    expect(run.results).toEqual([]);
+    expect(run.unavailable[run.name]).toContain('not comparable in jank modes');
+    expect(run.total).toBe(0);
+  });
+
+  test('jank runs are saved under a distinct test type', async ({ page }) => {
+    const types = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const insertion = manager.getCurrentTestConfig().testType;
+      manager.benchmarkMode = 'scroll';
+      const scroll = manager.getCurrentTestConfig().testType;
+      manager.benchmarkMode = 'insertion';
+      return { insertion, scroll };
+    });
+    expect(types.insertion).toBe('bulk');
+    expect(types.scroll).toBe('jank-scroll');
+  });
+});
+
+test.describe('Background Noise Capture', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('observer covers the supported long task, layout shift and event types', async ({ page }) => {
+    const types = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.startNoiseObserver();
+      const observed = manager.noiseEntryTypes;
+      manager.stopNoiseObserver();
+      const supported = PerformanceObserver.supportedEntryTypes || [];
+      return { observed, expected: ['longtask', 'layout-shift', 'event'].filter(type => supported.includes(type)) };
+    });
+    expect(types.observed).toEqual(types.expected);
+  });
+
+  test('entries are attributed to the config whose window contains them', async ({ page }) => {
+    const noise = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.noiseObserver = { takeRecords: () => [], disconnect() {} };
+      manager.unattributedNoise = manager.createNoiseSummary();
+      manager.noiseWindows = [{ name: 'A', start: 0, end: 100 }, { name: 'B', start: 100, end: 200 }];
+      manager.noiseEntries = [
+        { entryType: 'longtask', startTime: 10, duration: 80 },
+        { entryType: 'longtask', startTime: 150, duration: 60 },
+        { entryType: 'layout-shift', startTime: 160, value: 0.05, hadRecentInput: false },
+        { entryType: 'layout-shift', startTime: 170, value: 0.5, hadRecentInput: true },
+        { entryType: 'event', startTime: 250, duration: 24 }
+      ];
+      manager.results = { A: {}, B: {} };
+      manager.attachBackgroundNoise();
+      const summary = { a: manager.results.A.backgroundNoise, b: manager.results.B.backgroundNoise, unattributed: manager.unattributedNoise };
+      manager.stopNoiseObserver();
+      manager.results = {};
+      return summary;
+    });
+    expect(noise.a.longTasks).toEqual({ count: 1, totalDuration: 80, maxDuration: 80 });
+    expect(noise.b.longTasks.count).toBe(1);
+    expect(noise.b.layoutShifts).toEqual({ count: 1, totalScore: 0.05 });
+    expect(noise.unattributed.events.count).toBe(1);
+  });
+
+  test('long tasks overlapping a measured render are reported apart from noise', async ({ page }) => {
+    const noise = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.noiseObserver = { takeRecords: () => [], disconnect() {} };
+      manager.unattributedNoise = manager.createNoiseSummary();
+      manager.noiseWindows = [{ name: 'A', start: 0, end: 300 }];
+      manager.measuredSpans = [{ start: 20, end: 40 }, { start: 200, end: 220 }];
+      manager.noiseEntries = [
+        { entryType: 'longtask', startTime: 0, duration: 60 },
+        { entryType: 'longtask', startTime: 100, duration: 60 },
+        { entryType: 'longtask', startTime: 210, duration: 70 }
+      ];
+      manager.results = { A: {} };
+      manager.attachBackgroundNoise();
+      const summary = manager.results.A.backgroundNoise;
+      manager.stopNoiseObserver();
+      manager.results = {};
+      return summary;
+    });
+    expect(noise.longTasks).toEqual({ count: 1, totalDuration: 60, maxDuration: 60 });
+    expect(noise.renderLongTasks).toEqual({ count: 2, totalDuration: 130, maxDuration: 70 });
+  });
+});
+
+test.describe('Memory Backends', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('backend follows cross-origin isolation and performance.memory support', async ({ page }) => {
+    const backend = await page.evaluate(() => ({
+      detected: window.stressTestManager.getMemoryBackend(),
+      isolated: window.crossOriginIsolated,
+      hasUasm: typeof (/** @type {any} */ (performance)).measureUserAgentSpecificMemory === 'function',
+      hasLegacy: !!(/** @type {any} */ (performance)).memory
+    }));
+    const expected = backend.isolated && backend.hasUasm ? 'uasm' : backend.hasLegacy ? 'performance-memory' : 'unavailable';
+    expect(backend.detected).toBe(expected);
+  });
+
+  test('memory is marked unavailable instead of reporting 0 bytes', async ({ page }) => {
+    const memory = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const previous = manager.memoryBackend;
+      manager.memoryBackend = 'unavailable';
+      const summary = manager.summarizeMemory({}, []);
+      manager.memoryBackend = previous;
+      return summary;
+    });
+    expect(memory).toEqual({ backend: 'unavailable', granularity: null, used: null, total: null });
+  });
+
+  test('uasm snapshots are summarised per config', async ({ page }) => {
+    const memory = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const previous = manager.memoryBackend;
+      manager.memoryBackend = 'uasm';
+      const summary = manager.summarizeMemory({ memorySnapshot: { used: 2048, total: 1 << 20 } }, []);
+      manager.memoryBackend = previous;
+      return summary;
+    });
+    expect(memory.backend).toBe('uasm');
+    expect(memory.granularity).toBe('config');
+    expect(memory.used).toEqual({ average: 2048 });
+  });
+});
+
+test.describe('Timer Resolution', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('probe reports a positive resolution and the isolation state', async ({ page }) => {
+    const probe = await page.evaluate(() => ({
+      timer: window.stressTestManager.measureTimerResolution(),
+      isolated: window.crossOriginIsolated
+    }));
+    expect(probe.timer.resolutionMs).toBeGreaterThan(0);
+    expect(probe.timer.crossOriginIsolated).toBe(probe.isolated);
+    expect(probe.timer.coarse).toBe(probe.timer.resolutionMs >= 0.1);
+  });
+
+  test('coarse timers produce a results warning naming the resolution', async ({ page }) => {
+    const warning = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.timerResolution = { resolutionMs: 0.1, crossOriginIsolated: false, coarse: true };
+      return manager.generateCoarseTimerWarning();
+    });
+    expect(warning).toContain('coarse-timer-warning');
+    expect(warning).toContain('0.1 ms');
+    expect(warning).toContain('not cross-origin isolated');
+    expect(warning).toContain('serve:isolated');
+  });
+});
+
+test.describe('Pause, Resume and Checkpoints', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+    await page.evaluate(() => localStorage.removeItem('iconTestCheckpoint_png'));
+  });
+
+  test('pause button appears with the progress controls', async ({ page }) => {
+    await expect(page.locator('#pauseTest')).toBeHidden();
+    await page.evaluate(() => window.stressTestManager.showProgress(true));
+    await expect(page.locator('#pauseTest')).toBeVisible();
+    await page.evaluate(() => window.stressTestManager.showProgress(false));
+    await expect(page.locator('#pauseTest')).toBeHidden();
+  });
+
+  test('paused runs wait until resumed and exclude the paused time', async ({ page }) => {
+    const state = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      manager.isRunning = true;
+      manager.totalIterations = 10;
+      manager.startTime = performance.now();
+      const startTime = manager.startTime;
+      manager.pauseTest();
+      let released = false;
+      const waiting = manager.waitWhilePaused().then(() => { released = true; });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const releasedWhilePaused = released;
+      manager.resumeTest();
+      await waiting;
+      manager.isRunning = false;
+      return { releasedWhilePaused, released, shift: manager.startTime - startTime };
+    });
+    expect(state.releasedWhilePaused).toBe(false);
+    expect(state.released).toBe(true);
+    expect(state.shift).toBeGreaterThanOrEqual(40);
+  });
+
+  test('stopTest releases a paused run', async ({ page }) => {
+    const released = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      manager.isRunning = true;
+      manager.totalIterations = 10;
+      manager.pauseTest();
+      const waiting = manager.waitWhilePaused();
+      manager.stopTest();
+      await waiting;
+      return !manager.isPaused && manager.shouldStop;
+    });
+    expect(released).toBe(true);
+  });
+
+  test('checkpoints round-trip and are rejected for a different config set', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.executionPlan = { strategy: 'sequential', seed: null, runIndex: null, configOrder: manager.iconConfigs.map(c => c.name) };
+      manager.testStartedAt = new Date().toISOString();
+      manager.startTime = performance.now();
+      manager.completedIterations = 50;
+      manager.totalIterations = 300;
+      manager.results = { [manager.iconConfigs[0].name]: { sampleSize: 50 } };
+      manager.rawSamples = { '48px×100': { [manager.iconConfigs[0].name]: [1.5, 1.6] } };
+      manager.writeCheckpoint();
+      const restored = manager.readCheckpoint();
+
+      const stored = JSON.parse(localStorage.getItem('iconTestCheckpoint_png') || '{}');
+      stored.executionPlan.configOrder = ['Not on this page'];
+      localStorage.setItem('iconTestCheckpoint_png', JSON.stringify(stored));
+      const mismatched = manager.readCheckpoint();
+      manager.clearCheckpoint();
+      manager.results = {};
+      return { restored, mismatched, firstName: manager.iconConfigs[0].name };
+    });
+    expect(result.restored.completedIterations).toBe(50);
+    expect(result.restored.passIndex).toBe(0);
+    expect(result.restored.results[result.firstName].sampleSize).toBe(50);
+    expect(result.restored.rawSamples['48px×100'][result.firstName]).toEqual([1.5, 1.6]);
+    expect(result.mismatched).toBeNull();
+  });
+
+  test('an interrupted run is offered for resume after reload', async ({ page }) => {
+    await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.executionPlan = { strategy: 'sequential', seed: null, runIndex: null, configOrder: manager.iconConfigs.map(c => c.name) };
+      manager.testStartedAt = new Date().toISOString();
+      manager.completedIterations = 50;
+      manager.totalIterations = 300;
+      manager.writeCheckpoint({ passIndex: 0, results: {} });
+    });
+    await page.reload();
+    await page.waitForFunction(() => window.stressTestManager);
+    await expect(page.locator('#resumeOffer')).toBeVisible();
+    await expect(page.locator('#resumeRun')).toBeVisible();
+
+    await page.click('#discardCheckpoint');
+    await expect(page.locator('#resumeOffer')).toHaveCount(0);
+    const stored = await page.evaluate(() => localStorage.getItem('iconTestCheckpoint_png'));
+    expect(stored).toBeNull();
+  });
+
+  test('stopping after a finished config saves partial results flagged incomplete', async ({ page }) => {
+    test.setTimeout(120000);
+    await page.evaluate(() => localStorage.removeItem('iconTestResults_png'));
+    await page.selectOption('#testType', 'bulk');
+    await page.click('#startTest');
+    await page.waitForFunction(() => Object.keys(window.stressTestManager.results).length >= 1, null, { timeout: 90000 });
+    await page.evaluate(() => window.stressTestManager.stopTest());
+
+    await page.waitForFunction(() => !!localStorage.getItem('iconTestResults_png'), null, { timeout: 30000 });
+    const saved = await page.evaluate(() => JSON.parse(localStorage.getItem('iconTestResults_png') || '{}'));
+    expect(saved.incomplete).toBe(true);
+    expect(Object.keys(saved.results).length).toBeGreaterThanOrEqual(1);
+    await expect(page.locator('#results .incomplete-run-notice')).toBeVisible();
+    const checkpoint = await page.evaluate(() => localStorage.getItem('iconTestCheckpoint_png'));
+    expect(checkpoint).toBeNull();
+  });
+});
+
+test.describe('Custom Test Configuration', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('preset descriptions are derived from the presets they describe', async ({ page }) => {
+    const presets = await page.evaluate(() => ['single', 'bulk', 'stress', 'statistical', 'massive', 'ultra', 'extreme'].map(type => ({
+      type,
+      config: window.stressTestManager.getTestConfig(type),
+      description: window.stressTestManager.getTestTypeDescription(type)
+    })));
+    for (const { config, description } of presets) {
+      expect(description).toContain(`${config.iterations.toLocaleString('en-US')} iterations`);
+      if (config.iconsPerTest > 1) expect(description).toContain(`${config.iconsPerTest} icons`);
+    }
+    expect(presets.find(p => p.type === 'ultra')?.description).toBe('Ultra Power Test (100 icons × 10,000 iterations)');
+  });
+
+  test('test type menus are built from the presets they describe', async ({ page }) => {
+    const readMenu = (/** @type {string} */ selector) => page.evaluate(sel => ({
+      presets: Object.keys(TEST_PRESETS),
+      options: [...document.querySelectorAll(`${sel} option`)].map(option => ({
+        value: /** @type {HTMLOptionElement} */ (option).value,
+        text: option.textContent,
+        expected: describeTestType(/** @type {HTMLOptionElement} */ (option).value)
+      }))
+    }), selector);
+
+    const menu = await readMenu('#testType');
+    expect(menu.options.map(option => option.value)).toEqual([...menu.presets, 'custom']);
+    for (const option of menu.options.filter(o => o.value !== 'custom')) {
+      expect(option.text).toBe(option.expected);
+    }
+    expect(menu.options.find(option => option.value === 'massive')?.text).toBe('Maximum Power Test (100 icons × 1,000 iterations)');
+
+    // Translations supply the wording only; the counts are filled in from the preset
+    const translated = await page.evaluate(() => {
+      window.i18n.translations['css.test_bulk'] = 'Massen-Icon-Test ({{iterations}} Iterationen × {{icons}} Icons)';
+      window.i18n.translatePage();
+      return document.querySelector('#testType option[value="bulk"]')?.textContent;
+    });
+    expect(translated).toBe('Massen-Icon-Test (50 Iterationen × 100 Icons)');
+
+    await page.goto('index.html');
+    const batchMenu = await readMenu('#batchTestType');
+    expect(batchMenu.options.map(option => option.value)).toEqual([...batchMenu.presets, 'custom']);
+    await expect(page.locator('#batchTestType')).toHaveValue('bulk');
+  });
+
+  test('custom values are validated rather than clamped', async ({ page }) => {
+    const results = await page.evaluate(() => [
+      validateCustomTestConfig({ iterations: '300', iconsPerTest: '20', warmup: '', repetitions: '3', sizes: '16, 48' }),
+      validateCustomTestConfig({ iterations: '1', iconsPerTest: '2.5', warmup: '-1', repetitions: '', sizes: '4000' }),
+      validateCustomTestConfig({ iterations: '', iconsPerTest: '10' })
+    ]);
+    expect(results[0].errors).toEqual([]);
+    expect(results[0].config).toEqual({ iterations: 300, iconsPerTest: 20, warmup: 0, repetitions: 3, sizes: [16, 48] });
+    expect(results[1].errors.length).toBe(4);
+    expect(results[2].errors).toEqual(['iterations is required']);
+  });
+
+  test('URL parameters select and fill the custom test type', async ({ page }) => {
+    await page.goto('png.html?iterations=300&iconsPerTest=20&warmup=5&repetitions=2&sizes=24,48');
+    await page.waitForFunction(() => window.stressTestManager);
+    await expect(page.locator('#testType')).toHaveValue('custom');
+    await expect(page.locator('#customTestOptions')).toBeVisible();
+    const state = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const { errors } = manager.readCustomTestOptions();
+      return { errors, config: manager.getTestConfig('custom'), custom: manager.customTest };
+    });
+    expect(state.errors).toEqual([]);
+    expect(state.config.iterations).toBe(300);
+    expect(state.config.iconsPerTest).toBe(20);
+    expect(state.custom).toEqual({ iterations: 300, iconsPerTest: 20, warmup: 5, repetitions: 2, sizes: [24, 48] });
+  });
+
+  test('an invalid custom configuration is reported and does not start', async ({ page }) => {
+    await page.selectOption('#testType', 'custom');
+    await page.fill('#customIterations', '0');
+    await page.click('#startTest');
+    await expect(page.locator('#results')).toContainText('Invalid custom test configuration');
+    const running = await page.evaluate(() => window.stressTestManager.isRunning);
+    expect(running).toBe(false);
+  });
+
+  test('autorun=custom runs every repetition and stores the configuration', async ({ page }) => {
+    test.setTimeout(120000);
+    await page.evaluate(() => localStorage.removeItem('iconTestHistory'));
+    await page.goto('png.html?autorun=custom&iterations=2&iconsPerTest=1&repetitions=2');
+    await page.waitForFunction(() => {
+      const history = JSON.parse(localStorage.getItem('iconTestHistory') || '[]');
+      return history.length >= 2;
+    }, null, { timeout: 90000 });
+
+    const history = await page.evaluate(() => JSON.parse(localStorage.getItem('iconTestHistory') || '[]'));
+    const configs = history.slice(0, 2).map(entry => entry.testConfiguration);
+    expect(configs.map(c => c.testType)).toEqual(['custom', 'custom']);
+    expect(configs.map(c => c.repetition.index).sort()).toEqual([1, 2]);
+    expect(configs[0].custom).toEqual({ iterations: 2, iconsPerTest: 1, warmup: 0, repetitions: 2, sizes: [] });
+    expect(configs[0].testTypeDescription).toBe('Custom Test (2 iterations × 2 repetitions)');
+  });
+});
+
+test.describe('Sequential Stopping', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('precision target and budget fields are labelled and off by default', async ({ page }) => {
+    await expect(page.locator('label[for="precisionTarget"]')).toHaveCount(1);
+    await expect(page.locator('label[for="precisionBudget"]')).toHaveCount(1);
+    expect(await page.locator('#precisionTarget').inputValue()).toBe('0');
+    const enabled = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.readAdvancedOptions();
+      return manager.usesPrecisionTarget();
+    });
+    expect(enabled).toBe(false);
+  });
+
+  test('relative precision is the CI half-width over the mean', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.outlierPolicy = 'none';
+      const samples = [9, 11, 9, 11, 9, 11, 9, 11, 9, 11];
+      const stats = manager.calculateArrayStats(samples);
+      return {
+        precision: manager.getRelativePrecision(samples),
+        expected: (stats.confidenceInterval.upper - stats.confidenceInterval.lower) / 2 / stats.average,
+        single: manager.getRelativePrecision([5])
+      };
+    });
+    expect(result.precision).toBeCloseTo(result.expected, 10);
+    expect(result.single).toBeNull();
+  });
+
+  test('configs stop once the target is met and record the iterations used', async ({ page }) => {
+    const record = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      manager.precisionTarget = 1;
+      manager.outlierPolicy = 'none';
+      manager.shouldStop = false;
+      manager.totalIterations = 1000;
+      manager.processBatch = async (config, start, end, measurements) => {
+        for (let i = start; i < end; i++) measurements.renderTimes.push(i % 2 === 0 ? 10 : 10.1);
+      };
+      const measurements = manager.createMeasurements();
+      const stopping = await manager.runUntilPrecise({ name: 'steady' }, measurements, { iterations: 1000 });
+      return { stopping, totalIterations: manager.totalIterations };
+    });
+    expect(record.stopping.iterationsUsed).toBe(30);
+    expect(record.stopping.targetMet).toBe(true);
+    expect(record.stopping.achievedRelativeHalfWidth).toBeLessThanOrEqual(0.01);
+    expect(record.totalIterations).toBe(30);
+  });
+
+  test('round-robin keeps converged configs in the rotation until every config converges', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      manager.precisionTarget = 5;
+      manager.warmupIterations = 0;
+      manager.outlierPolicy = 'none';
+      manager.shouldStop = false;
+      manager.results = {};
+      manager.totalIterations = 2000;
+      manager.getRenderContext = async config => ({ config, renderType: null, referenceElement: null, payload: null });
+      manager.calculateStatistics = measurements => measurements;
+      // 'steady' meets ±5% after 30 rounds, 'spread' only after 55
+      manager.processBatch = async (config, start, end, measurements) => {
+        const [low, high] = config.name === 'steady' ? [10, 10.1] : [10, 14];
+        for (let i = start; i < end; i++) measurements.renderTimes.push(i % 2 === 0 ? low : high);
+      };
+      await manager.testConfigurationsInterleaved([{ name: 'steady' }, { name: 'spread' }], { iterations: 1000, iconsPerTest: 1, description: 'test' });
+      return {
+        samples: ['steady', 'spread'].map(name => manager.results[name].renderTimes.length),
+        used: ['steady', 'spread'].map(name => manager.results[name].sequentialStopping.iterationsUsed),
+        totalIterations: manager.totalIterations
+      };
+    });
+    expect(result.samples).toEqual([55, 55]);
+    expect(result.used).toEqual([55, 55]);
+    expect(result.totalIterations).toBe(110);
+  });
+
+  test('an exhausted budget is recorded as not meeting the target', async ({ page }) => {
+    const stopping = await page.evaluate(async () => {
+      const manager = window.stressTestManager;
+      manager.precisionTarget = 0.1;
+      manager.outlierPolicy = 'none';
+      manager.shouldStop = false;
+      manager.processBatch = async (config, start, end, measurements) => {
+        for (let i = start; i < end; i++) measurements.renderTimes.push(i % 2 === 0 ? 1 : 100);
+      };
+      return manager.runUntilPrecise({ name: 'noisy' }, manager.createMeasurements(), { iterations: 70 });
+    });
+    expect(stopping.iterationsUsed).toBe(70);
+    expect(stopping.budget).toBe(70);
+    expect(stopping.targetMet).toBe(false);
+    expect(stopping.targetRelativeHalfWidth).toBeCloseTo(0.001, 10);
+  });
+});
+
+test.describe('Power Planner', () => {
+  const pilotResults = {
+    Fast: { renderTime: { average: 10, stdDev: 1, sampleSize: 50 } },
+    Slow: { renderTime: { average: 12, stdDev: 2, sampleSize: 50 } },
+    Middle: { renderTime: { average: 11, stdDev: 0.5, sampleSize: 50 } }
+  };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('planner fields are labelled and a missing pilot is reported', async ({ page }) => {
+    for (const id of ['plannerSource', 'plannerEffect', 'plannerEffectUnit', 'plannerPower']) {
+      await expect(page.locator(`label[for="${id}"]`)).toHaveCount(1);
+    }
+    await page.evaluate(() => localStorage.removeItem('iconTestResults_png'));
+    await page.locator('#powerPlanner summary').click();
+    await page.click('#planPower');
+    await expect(page.locator('#plannerResult')).toContainText('Run a short pilot test first');
+    await expect(page.locator('#startPlannedRun')).toBeHidden();
+  });
+
+  test('a pilot run yields a recommendation that starts as a custom run with the pilot settings', async ({ page }) => {
+    await page.evaluate((results) => {
+      localStorage.setItem('iconTestResults_png', JSON.stringify({
+        results,
+        testDate: new Date().toISOString(),
+        testConfiguration: { testType: 'bulk', iconsPerTest: 20, timingMode: 'paint', warmupIterations: 3 },
+        testMetadata: { iterationsPerSecond: 20 }
+      }));
+      // Record the start instead of running a real test
+      window.stressTestManager.startStressTest = async () => { document.body.dataset.plannedStart = 'yes'; };
+    }, pilotResults);
+    await page.locator('#powerPlanner summary').click();
+    await page.fill('#plannerEffect', '10');
+    await page.click('#planPower');
+
+    const plan = await page.evaluate(() => window.stressTestManager.powerPlan);
+    // 10% of the fastest mean is 1 ms; at the Bonferroni α for 3 pairs the least precise
+    // pair (Slow, Fast) needs 55 per config
+    expect(plan.difference).toBeCloseTo(1, 10);
+    expect(plan.alpha).toBeCloseTo(0.05 / 3, 12);
+    expect(plan.worstPair).toEqual(['Slow', 'Fast']);
+    expect(plan.iterations).toBe(55);
+    expect(plan.configs.find(config => config.name === 'Middle').iterations).toBe(15);
+    expect(plan.estimatedSeconds).toBeCloseTo(55 * 3 / 20, 10);
+    await expect(page.locator('#plannerResult')).toContainText('55 iterations per config');
+    await expect(page.locator('#plannerResult')).toContainText('(Bonferroni)');
+    await expect(page.locator('#plannerResult .pilot-settings-applied')).toContainText('timingMode');
+
+    await page.click('#startPlannedRun');
+    await expect(page.locator('#testType')).toHaveValue('custom');
+    await expect(page.locator('#customIterations')).toHaveValue('55');
+    await expect(page.locator('#customIconsPerTest')).toHaveValue('20');
+    await expect(page.locator('#timingMode')).toHaveValue('paint');
+    await expect(page.locator('#warmupIterations')).toHaveValue('3');
+    await expect(page.locator('body')).toHaveAttribute('data-planned-start', 'yes');
+  });
+
+  test('history source uses the latest insertion entry saved from this page', async ({ page }) => {
+    const pilot = await page.evaluate((results) => {
+      const entry = (page, testType, iconsPerTest) => ({
+        testDate: new Date().toISOString(),
+        testConfiguration: { testType, iconsPerTest, iterationsPerSecond: 10 },
+        results,
+        sourceInfo: { originalSource: page }
+      });
+      localStorage.setItem('iconTestHistory', JSON.stringify([
+        entry('svg.html', 'bulk', 1),
+        entry('png.html', 'jank-scroll', 2),
+        entry('png.html', 'stress', 500),
+        entry('png.html', 'bulk', 100)
+      ]));
+      return window.stressTestManager.getPlannerPilot('history');
+    }, pilotResults);
+    expect(pilot.iconsPerTest).toBe(500);
+    expect(pilot.iterationsPerSecond).toBe(10);
+  });
+
+  test('pilot settings this page cannot reproduce are reported', async ({ page }) => {
+    const changes = await page.evaluate(() => window.stressTestManager.comparePilotSettings({
+      timingMode: 'paint', cacheMode: 'cold-icon', useBatching: true, batchSize: 10
+    }));
+    expect(changes).toEqual([
+      { id: 'timingMode', pilot: 'paint', current: 'layout', applicable: true },
+      { id: 'cacheMode', pilot: 'cold-icon', current: 'warm', applicable: false },
+      { id: 'batchSize', pilot: 10, current: null, applicable: false }
+    ]);
+  });
+
+  test('a pilot saved by this page needs no settings changes', async ({ page }) => {
+    await page.evaluate((results) => {
+      // The configuration a real run saves, including testMethod, which has no control here
+      const testConfiguration = window.stressTestManager.getCurrentTestConfig();
+      localStorage.setItem('iconTestResults_png', JSON.stringify({
+        results, testDate: new Date().toISOString(), testConfiguration, testMetadata: {}
+      }));
+    }, pilotResults);
+    expect(await page.evaluate(() => window.stressTestManager.comparePilotSettings(
+      window.stressTestManager.getCurrentTestConfig()))).toEqual([]);
+    await page.locator('#powerPlanner summary').click();
+    await page.fill('#plannerEffect', '10');
+    await page.click('#planPower');
+    await expect(page.locator('#plannerResult')).toContainText('iterations per config');
+    await expect(page.locator('#plannerResult .pilot-settings-unavailable')).toHaveCount(0);
+    await expect(page.locator('#plannerResult .pilot-settings-applied')).toHaveCount(0);
+  });
+});
@@ -0,0 +1,364 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * REGRESSION TESTS - Statistics Module (src/js/statistics.js)
+ * Golden values for the Student t distribution and the rank tests. Reference values are
+ * from R (qt, pt, wilcox.test, lawstat) to the digits shown; df = 1 (Cauchy) and df = 2
+ * have closed forms.
+ */
+
+test.describe('Student t Distribution', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('quantiles match published t tables', async ({ page }) => {
+    const quantiles = await page.evaluate(() => ({
+      df1: studentTQuantile(0.975, 1),
+      df2: studentTQuantile(0.975, 2),
+      df5: studentTQuantile(0.975, 5),
+      df10: studentTQuantile(0.975, 10),
+      df30: studentTQuantile(0.975, 30),
+      df49: studentTQuantile(0.975, 49),
+      df100: studentTQuantile(0.975, 100),
+      df1000: studentTQuantile(0.975, 1000),
+      df10p995: studentTQuantile(0.995, 10),
+      df5Lower: studentTQuantile(0.025, 5),
+      median: studentTQuantile(0.5, 7)
+    }));
+    expect(quantiles.df1).toBeCloseTo(12.7062047, 6);
+    expect(quantiles.df2).toBeCloseTo(4.3026527, 6);
+    expect(quantiles.df5).toBeCloseTo(2.5705818, 6);
+    expect(quantiles.df10).toBeCloseTo(2.2281389, 6);
+    expect(quantiles.df30).toBeCloseTo(2.0422725, 6);
+    expect(quantiles.df49).toBeCloseTo(2.0095752, 6);
+    expect(quantiles.df100).toBeCloseTo(1.9839715, 6);
+    expect(quantiles.df1000).toBeCloseTo(1.9623391, 6);
+    expect(quantiles.df10p995).toBeCloseTo(3.1692727, 6);
+    expect(quantiles.df5Lower).toBeCloseTo(-2.5705818, 6);
+    expect(quantiles.median).toBe(0);
+  });
+
+  test('CDF matches closed forms and published values', async ({ page }) => {
+    const values = await page.evaluate(() => ({
+      cauchy: studentTCDF(1, 1),
+      cauchyLower: studentTCDF(-1, 1),
+      df2: studentTCDF(1, 2),
+      df2Expected: 0.5 + 1 / (2 * Math.sqrt(3)),
+      df5: studentTCDF(2, 5),
+      twoTailed: studentTTwoTailedP(3, 10),
+      roundTrip: studentTCDF(studentTQuantile(0.9, 17), 17)
+    }));
+    expect(values.cauchy).toBeCloseTo(0.75, 12);
+    expect(values.cauchyLower).toBeCloseTo(0.25, 12);
+    expect(values.df2).toBeCloseTo(values.df2Expected, 12);
+    expect(values.df5).toBeCloseTo(0.9490303, 6);
+    expect(values.twoTailed).toBeCloseTo(0.0133437, 6);
+    expect(values.roundTrip).toBeCloseTo(0.9, 10);
+  });
+
+  test('small two-tailed p-values keep their precision', async ({ page }) => {
+    const values = await page.evaluate(() => ({
+      // df = 2: P(|T| ≥ t) = 1 − t / √(2 + t²)
+      df2: studentTTwoTailedP(100, 2),
+      df2Expected: 1 - 100 / Math.sqrt(2 + 100 * 100),
+      df30: studentTTwoTailedP(10, 30),
+      infinite: studentTTwoTailedP(Infinity, 5)
+    }));
+    expect(values.df2 / values.df2Expected).toBeCloseTo(1, 8);
+    expect(values.df30).toBeGreaterThan(0);
+    expect(values.df30).toBeLessThan(1e-10);
+    expect(values.infinite).toBe(0);
+  });
+
+  test('invalid arguments return NaN', async ({ page }) => {
+    const values = await page.evaluate(() => [
+      studentTCDF(1, 0), studentTQuantile(1.5, 5), regularizedIncompleteBeta(-0.1, 1, 1)
+    ]);
+    expect(values.every(value => value === null || Number.isNaN(value))).toBe(true);
+  });
+});
+
+test.describe('Stats Engine Integration', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('confidence intervals use the exact t quantile for the sample size', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const stats = window.stressTestManager.calculateArrayStats([1, 2, 3, 4, 5, 6]);
+      return { stats, expectedMargin: studentTQuantile(0.975, 5) * stats.standardError };
+    });
+    expect(result.stats.confidenceInterval.upper - result.stats.average).toBeCloseTo(result.expectedMargin, 10);
+    // df = 5 is 2.5706; the old lookup table rounded it to 2.571
+    expect(result.expectedMargin / result.stats.standardError).toBeCloseTo(2.5705818, 6);
+  });
+
+  test('Welch p-values are exact and no longer clamped', async ({ page }) => {
+    const values = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const group = (average, stdDev, sampleSize) => ({ average, stdDev, sampleSize });
+      return {
+        // Equal n and variances: t = 2, Welch df = 18
+        moderate: manager.calculatePValue(group(12, Math.sqrt(5), 10), group(10, Math.sqrt(5), 10)),
+        moderateExpected: studentTTwoTailedP(2, 18),
+        separated: manager.calculatePValue(group(20, 1, 50), group(10, 1, 50)),
+        identical: manager.calculatePValue(group(10, 1, 50), group(10, 1, 50))
+      };
+    });
+    expect(values.moderate).toBeCloseTo(values.moderateExpected, 12);
+    expect(values.moderate).toBeCloseTo(0.0608215, 6);
+    expect(values.separated).toBeLessThan(0.001);
+    expect(values.identical).toBe(1);
+  });
+});
+
+test.describe('Non-parametric Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('Mann–Whitney U matches the tie-corrected normal approximation', async ({ page }) => {
+    const result = await page.evaluate(() => mannWhitneyU([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]));
+    // R: wilcox.test(1:5, 6:10, exact = FALSE) → W = 0, p = 0.01219
+    expect(result.u).toBe(0);
+    expect(result.pValue).toBeCloseTo(0.0121858, 6);
+  });
+
+  test('Brunner–Munzel matches the lawstat reference example', async ({ page }) => {
+    const result = await page.evaluate(() => brunnerMunzel(
+      [3, 3, 4, 3, 1, 2, 3, 1, 1, 5, 4],
+      [1, 2, 1, 1, 1, 1, 1, 1, 1, 1, 2, 4, 1, 1]
+    ));
+    // lawstat's example with the groups as (y, x): statistic 3.1375, df 17.683, p 0.005786, estimate 0.789
+    expect(result.statistic).toBeCloseTo(3.1374675, 6);
+    expect(result.df).toBeCloseTo(17.682842, 5);
+    expect(result.pValue).toBeCloseTo(0.0057862, 6);
+    expect(result.probabilityGreater).toBeCloseTo(0.788961, 6);
+  });
+
+  test('Cliff\'s delta counts dominance over all pairs', async ({ page }) => {
+    const result = await page.evaluate(() => ({
+      overlap: cliffsDelta([1, 2, 3], [2, 3, 4]),
+      separated: cliffsDelta([10, 11], [1, 2])
+    }));
+    // 1 pair greater, 6 pairs smaller, 2 ties out of 9
+    expect(result.overlap.delta).toBeCloseTo(-5 / 9, 12);
+    expect(result.overlap.magnitude).toBe('large');
+    expect(result.separated.delta).toBe(1);
+  });
+
+  test('bootstrap intervals are reproducible for a seed and bracket the estimate', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const values = Array.from({ length: 200 }, (_, i) => 1 + (i % 17) * 0.25 + (i % 5 === 0 ? 3 : 0));
+      return {
+        first: bootstrapConfidenceIntervals(values, { resamples: 500, seed: 42 }),
+        again: bootstrapConfidenceIntervals(values, { resamples: 500, seed: 42 }),
+        other: bootstrapConfidenceIntervals(values, { resamples: 500, seed: 43 })
+      };
+    });
+    expect(result.again).toEqual(result.first);
+    expect(result.other.mean.percentile).not.toEqual(result.first.mean.percentile);
+    for (const statistic of [result.first.mean, result.first.median]) {
+      expect(statistic.percentile.lower).toBeLessThanOrEqual(statistic.estimate);
+      expect(statistic.percentile.upper).toBeGreaterThanOrEqual(statistic.estimate);
+      expect(statistic.bca.lower).toBeLessThan(statistic.bca.upper);
+    }
+  });
+
+  test('non-parametric analysis method adds rank tests and bootstrap intervals', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const fast = Array.from({ length: 60 }, (_, i) => 1 + (i % 7) * 0.1);
+      const slow = Array.from({ length: 60 }, (_, i) => 2 + (i % 7) * 0.1);
+      manager.analysisMethod = 'nonparametric';
+      manager.orderSeed = 7;
+      manager.iconsPerTest = 100;
+      manager.rawSamples = { '48px×100': { Fast: fast, Slow: slow } };
+      const results = {
+        Fast: { renderTime: manager.calculateArrayStats(fast), sampleExclusions: { outlierPolicy: 'none' } },
+        Slow: { renderTime: manager.calculateArrayStats(slow), sampleExclusions: { outlierPolicy: 'none' } }
+      };
+      const sorted = Object.entries(results);
+      manager.nonParametricAnalysis = manager.runNonParametricAnalysis(sorted);
+      const html = manager.generateStatisticalAnalysisTable(sorted);
+      const analysis = manager.nonParametricAnalysis;
+      manager.rawSamples = {};
+      manager.nonParametricAnalysis = null;
+      return { analysis, bootstrap: results.Slow.renderTime.bootstrap, html };
+    });
+    const comparison = result.analysis['Slow vs Fast'];
+    expect(comparison.cliffsDelta.delta).toBe(1);
+    expect(comparison.brunnerMunzel.pValue).toBeLessThan(0.001);
+    expect(comparison.isSignificant).toBe(true);
+    expect(result.bootstrap.seed).toBe(7);
+    expect(result.bootstrap.median.percentile.lower).toBeGreaterThan(2);
+    expect(result.html).toContain('Brunner–Munzel p');
+    expect(result.html).toContain('bootstrap-ci-table');
+  });
+});
+
+test.describe('Multiple Comparisons', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('Holm and Benjamini–Hochberg match R p.adjust', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const p = [0.042, 0.001, 0.06, 0.008, 0.205, 0.039, 0.074, 0.041];
+      return { holm: holmAdjust(p), bh: benjaminiHochbergAdjust(p), withNaN: holmAdjust([0.5, NaN, 0.01]) };
+    });
+    const expectAll = (actual, expected) => expected.forEach((value, i) => expect(actual[i]).toBeCloseTo(value, 10));
+    expectAll(result.holm, [0.234, 0.008, 0.234, 0.056, 0.234, 0.234, 0.234, 0.234]);
+    expectAll(result.bh, [0.0672, 0.008, 0.08, 0.032, 0.205, 0.0672, 0.074 * 8 / 7, 0.0672]);
+    // NaN p-values are left out of the family size
+    expect(result.withNaN[0]).toBeCloseTo(0.5, 10);
+    expect(Number.isNaN(result.withNaN[1])).toBe(true);
+    expect(result.withNaN[2]).toBeCloseTo(0.02, 10);
+  });
+
+  test('all-pairs matrix covers every pair and is saved with the results', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      manager.analysisMethod = 'parametric';
+      const config = (average) => ({ renderTime: { average, stdDev: 1, sampleSize: 50 } });
+      const sorted = Object.entries({ A: config(10), B: config(10.2), C: config(11), D: config(15) });
+      const pairwise = manager.buildPairwiseComparisons(sorted);
+      manager.pairwiseComparisons = pairwise;
+      const html = manager.generatePairwiseHeatmap(pairwise);
+      manager.pairwiseComparisons = null;
+      return { pairwise, html };
+    });
+    expect(result.pairwise.test).toBe('welch');
+    expect(result.pairwise.configs).toEqual(['A', 'B', 'C', 'D']);
+    expect(result.pairwise.pairs).toHaveLength(6);
+    for (const pair of result.pairwise.pairs) {
+      expect(pair.holm).toBeGreaterThanOrEqual(pair.pValue);
+      expect(pair.benjaminiHochberg).toBeGreaterThanOrEqual(pair.pValue);
+      expect(pair.benjaminiHochberg).toBeLessThanOrEqual(pair.holm);
+    }
+    expect(result.html).toContain('pairwise-heatmap');
+    expect(result.html).toContain('Holm–Bonferroni');
+  });
+});
+
+test.describe('Omnibus Tests', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('F, chi-squared and studentized range match published tables', async ({ page }) => {
+    const result = await page.evaluate(() => ({
+      f: fUpperTail(4.964603, 1, 10),
+      chiSquared: chiSquaredUpperTail(18.307038, 10),
+      range: [studentizedRangeCDF(3.877, 3, 10), studentizedRangeCDF(3.958, 4, 20), studentizedRangeCDF(5.27, 3, 10)],
+      // With two means the studentized range is √2·|T|
+      twoMeans: [studentizedRangeCDF(3, 2, 10), 2 * studentTCDF(3 / Math.SQRT2, 10) - 1]
+    }));
+    expect(result.f).toBeCloseTo(0.05, 7);
+    expect(result.chiSquared).toBeCloseTo(0.05, 7);
+    // Tukey HSD tables: q(0.05; 3, 10) = 3.877, q(0.05; 4, 20) = 3.958, q(0.01; 3, 10) = 5.27
+    expect(result.range[0]).toBeCloseTo(0.95, 4);
+    expect(result.range[1]).toBeCloseTo(0.95, 4);
+    expect(result.range[2]).toBeCloseTo(0.99, 4);
+    expect(result.twoMeans[0]).toBeCloseTo(result.twoMeans[1], 6);
+  });
+
+  test('Kruskal–Wallis and Welch ANOVA match their reference values', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const x = [2.9, 3.0, 2.5, 2.6, 3.2];
+      const y = [3.8, 2.7, 4.0, 2.4];
+      const z = [2.8, 3.4, 3.7, 2.2, 2.0];
+      const summary = (values) => {
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+        return { mean, variance, n: values.length };
+      };
+      const [a, b] = [summary(x), summary(y)];
+      const t = (a.mean - b.mean) / Math.sqrt(a.variance / a.n + b.variance / b.n);
+      return {
+        kruskal: kruskalWallis([x, y, z]),
+        twoGroups: welchAnova([a, b]),
+        t,
+        welchP: window.stressTestManager.calculatePValue(
+          { average: a.mean, stdDev: Math.sqrt(a.variance), sampleSize: a.n },
+          { average: b.mean, stdDev: Math.sqrt(b.variance), sampleSize: b.n }
+        ),
+        dunn: dunnTest([x, y, z])
+      };
+    });
+    // R: kruskal.test(list(x, y, z)) → chi-squared = 0.77143, df = 2, p-value = 0.68
+    expect(result.kruskal.statistic).toBeCloseTo(0.771429, 6);
+    expect(result.kruskal.df).toBe(2);
+    expect(result.kruskal.pValue).toBeCloseTo(Math.exp(-0.771429 / 2), 6);
+    expect(result.kruskal.epsilonSquared).toBeCloseTo(0.771429 / 13, 6);
+    // Welch ANOVA on two groups is the Welch t-test: F = t²
+    expect(result.twoGroups.statistic).toBeCloseTo(result.t * result.t, 10);
+    expect(result.twoGroups.pValue).toBeCloseTo(result.welchP, 10);
+    expect(result.dunn).toHaveLength(3);
+    for (const pair of result.dunn) expect(pair.holm).toBeGreaterThanOrEqual(pair.pValue);
+  });
+
+  test('omnibus summary with post-hoc pairs appears above the comparison table', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const manager = window.stressTestManager;
+      const wave = (base, spread) => Array.from({ length: 40 }, (_, i) => base + ((i * 7) % 13) * spread);
+      const samples = { A: wave(1, 0.05), B: wave(1.02, 0.05), C: wave(1.6, 0.08) };
+      manager.iconsPerTest = 100;
+      manager.rawSamples = { '48px×100': samples };
+      /** @type {[string, any][]} */
+      const sorted = Object.entries(samples).map(([name, values]) => [name, {
+        renderTime: manager.calculateArrayStats(values),
+        sampleExclusions: { outlierPolicy: 'none' }
+      }]);
+      const omnibus = manager.runOmnibusTests(sorted);
+      const twoConfigs = manager.runOmnibusTests(sorted.slice(0, 2));
+      manager.omnibusTests = omnibus;
+      manager.pairwiseComparisons = manager.buildPairwiseComparisons(sorted);
+      const html = manager.generateStatisticalAnalysisTable(sorted);
+      manager.rawSamples = {};
+      manager.omnibusTests = null;
+      manager.pairwiseComparisons = null;
+      return { omnibus, twoConfigs, html };
+    });
+    expect(result.twoConfigs).toBeNull();
+    expect(result.omnibus.welchAnova.pValue).toBeLessThan(0.001);
+    expect(result.omnibus.kruskalWallis.pValue).toBeLessThan(0.001);
+    const [ab, ac] = result.omnibus.welchAnova.postHoc;
+    expect([ab.a, ab.b]).toEqual(['A', 'B']);
+    expect(ab.pValue).toBeGreaterThan(0.05);
+    expect(ac.pValue).toBeLessThan(0.001);
+    expect(result.omnibus.kruskalWallis.postHoc[0].holm).toBeGreaterThan(0.05);
+    expect(result.html.indexOf('omnibus-summary')).toBeGreaterThan(-1);
+    expect(result.html.indexOf('omnibus-summary')).toBeLessThan(result.html.indexOf('Statistical Power</th>'));
+    expect(result.html).toContain('Games–Howell p');
+    expect(result.html).toContain('Dunn p (Holm)');
+  });
+});
+
+test.describe('Sample-Size Planning', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('png.html');
+    await page.waitForFunction(() => window.stressTestManager);
+  });
+
+  test('required iterations match power.t.test', async ({ page }) => {
+    const result = await page.evaluate(() => ({
+      medium: requiredSampleSize({ varianceA: 1, varianceB: 1, difference: 1, power: 0.8 }),
+      small: requiredSampleSize({ varianceA: 1, varianceB: 1, difference: 0.5, power: 0.9 }),
+      unequal: requiredSampleSize({ varianceA: 4, varianceB: 1, difference: 1, power: 0.8 }),
+      nothing: requiredSampleSize({ varianceA: 0, varianceB: 0, difference: 1 })
+    }));
+    // R: power.t.test(delta = 1, sd = 1, power = 0.8) → n = 16.71; delta = 0.5, power = 0.9 → n = 85.03
+    expect(result.medium).toBe(17);
+    expect(result.small).toBe(86);
+    expect(result.unequal).toBeGreaterThan(result.medium);
+    expect(result.nothing).toBeNull();
+  });
+});
@@ -46,9 +46,9 @@ test.describe('Stress Test Manager', () => {
       await page.waitForFunction(() => window.stressTestManager);
     });
 
-    test('iconConfigs contains 5 icon types', async ({ page }) => {
+    test('iconConfigs contains 6 icon types', async ({ page }) => {
       const count = await page.evaluate(() => window.stressTestManager.iconConfigs.length);
-      expect(count).toBe(5);
+      expect(count).toBe(6);
     });
 
     test('each config has required properties', async ({ page }) => {
@@ -153,8 +153,10 @@ test.describe('Stress Test Manager', () => {
     });
 
     test('test type selector has all expected options', async ({ page }) => {
+      await page.waitForFunction(() => window.stressTestManager);
       const options = await page.locator('#testType option').allTextContents();
-      expect(options.length).toBe(7);
+      // Seven presets plus the custom test type
+      expect(options.length).toBe(8);
     });
 
     test('test type defaults to bulk', async ({ page }) => {